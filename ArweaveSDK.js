@@ -1,9 +1,12 @@
 import fs from "fs";
 import path from "path";
 import Arweave from "arweave";
+import axios from "axios";
 import mime from "mime";
 import { TurboFactory, ArweaveSigner } from "@ardrive/turbo-sdk/node";
 
+import { parseArweaveLocator, arweaveLocator, fetchFromGateways, existsOnGateways } from "./GatewayPool.js";
+
 // const gateway = "https://arweave.net";
 const gateway = "https://v1.filedust.workers.dev";
 
@@ -31,7 +34,8 @@ async function initTurboClient() {
     return turbo;
 }
 
-export async function uploadDataStream(data, filename) {
+// 通过 Turbo 上传一段数据，返回交易 ID
+export async function uploadDataStreamTx(data, filename) {
     if (!Buffer.isBuffer(data)) {
         throw new Error("data 必须是 Buffer 类型");
     }
@@ -55,8 +59,48 @@ export async function uploadDataStream(data, filename) {
             },
         });
 
-        return gateway + "/" + uploadResult.id;
+        return uploadResult.id;
     } catch (error) {
         throw new Error(`上传失败: ${error.message} (File: ${filename}, Size: ${dataSize})`);
     }
 }
+
+// 同 uploadDataStreamTx，但返回默认网关上的 URL (早期的返回形式，供直接调用者使用)
+export async function uploadDataStream(data, filename) {
+    return gateway + "/" + (await uploadDataStreamTx(data, filename));
+}
+
+// StorageBackend 接口的 Arweave (Turbo) 实现，定位符为 ar://<交易 ID>，不绑定任何网关。
+// 读取时按交易 ID 交给 GatewayPool，在所有配置的网关之间择优与回退；
+// 老星图中的 https://<网关>/<交易 ID> 同样按交易 ID 读取，不是这种形式的 URL 才原样请求
+export function createArweaveBackend() {
+    return {
+        name: "arweave",
+
+        async put(buffer, meta = {}) {
+            return arweaveLocator(await uploadDataStreamTx(buffer, meta.filename || "chunk"));
+        },
+
+        async get(locator, options = {}) {
+            const parsed = parseArweaveLocator(locator);
+            if (parsed) return fetchFromGateways(parsed.txid, { origin: parsed.gateway, timeout: options.timeout, validate: options.validate });
+            const response = await axios.get(locator, {
+                responseType: "arraybuffer",
+                timeout: options.timeout || 30000,
+            });
+            return Buffer.from(response.data);
+        },
+
+        async exists(locator) {
+            const parsed = parseArweaveLocator(locator);
+            if (parsed) return existsOnGateways(parsed.txid, { origin: parsed.gateway });
+            try {
+                await axios.head(locator, { timeout: 15000 });
+                return true;
+            } catch (error) {
+                if (error.response && error.response.status === 404) return false;
+                throw error;
+            }
+        },
+    };
+}
@@ -0,0 +1,238 @@
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+
+import { isEncryptedManifest, openManifest } from "./ManifestFile.js";
+import { normalizeLocator } from "./GatewayPool.js";
+
+// 仓库级分片索引：所有上传与同步共用，按明文 Hash 记录已经存在于存储后端的密文分片，
+// 让任意文件中出现过的相同内容只上传一次 (跨文件去重)。
+//
+// 同一明文在不同密钥下的密文不同，不能互相复用，所以条目按密钥指纹 (key id) 分区:
+//   { format, version, scopes: { <keyId>: { <plain_hash>: { hash, size, url, backend, refs: [manifest...] } } } }
+// backend 记录分片所在的存储后端，只在同一后端内复用，避免私有的本地/S3 分片被永久存档引用 (或反之)。
+//
+// refs 记录引用该分片的星图 (相对索引所在目录的路径)。gc 以可达性为准：
+// 只有当所有已知星图 (refs 中的、以及仓库目录里能扫描到的) 都不再引用某个分片时才移除索引条目。
+// gc 只修剪索引本身，从不删除存储后端中的数据 (Arweave 上也删不掉)，因此即使与上传并发执行，
+// 最坏情况也只是丢失一次去重机会，不会让任何星图指向不存在的数据。
+//
+// 索引位置来自 FILEDUST_INDEX 环境变量，默认当前目录下的 dust_index.json
+
+const INDEX_FORMAT = "filedust-chunk-index";
+const INDEX_VERSION = 1;
+const DEFAULT_INDEX_FILE = "dust_index.json";
+const MANIFEST_SUFFIXES = [".dust", ".manifest.json"];
+
+export const defaultIndexPath = () => path.resolve(process.env.FILEDUST_INDEX || DEFAULT_INDEX_FILE);
+
+// 密钥指纹：不可逆地标识一把密钥，用于隔离不同密码写入的分片
+export const keyIdFor = (key) => crypto.createHmac("sha256", key).update("filedust-chunk-index").digest("hex").slice(0, 16);
+
+const emptyIndex = () => ({ format: INDEX_FORMAT, version: INDEX_VERSION, scopes: {} });
+
+const readIndexFile = (indexPath) => {
+    if (!fs.existsSync(indexPath)) return emptyIndex();
+    const data = JSON.parse(fs.readFileSync(indexPath, "utf8"));
+    if (data.format !== INDEX_FORMAT) {
+        throw new Error(`不是 FileDust 分片索引文件: ${indexPath}`);
+    }
+    if (!data.scopes) data.scopes = {};
+    // 早期索引记录的是网关 URL，读入时统一换成 ar://<交易 ID>，下次落盘时写回
+    for (const entries of Object.values(data.scopes)) {
+        for (const entry of Object.values(entries)) {
+            if (entry.url) entry.url = normalizeLocator(entry.url);
+        }
+    }
+    return data;
+};
+
+const writeIndexFile = (indexPath, data) => {
+    fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+    const tempPath = `${indexPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, indexPath);
+};
+
+// 把 incoming 合并进 target：条目取并集，refs 取并集；标记为 replaced 的条目 (修复后换了位置) 覆盖原有的位置信息
+const mergeScopes = (target, incoming) => {
+    for (const [keyId, entries] of Object.entries(incoming)) {
+        const scope = target[keyId] || (target[keyId] = {});
+        for (const [plainHash, { replaced, ...entry }] of Object.entries(entries)) {
+            const existing = scope[plainHash];
+            if (!existing) {
+                scope[plainHash] = { ...entry, refs: [...(entry.refs || [])] };
+            } else {
+                if (replaced) Object.assign(existing, { hash: entry.hash, size: entry.size, url: entry.url, backend: entry.backend });
+                existing.refs = [...new Set([...(existing.refs || []), ...(entry.refs || [])])];
+            }
+        }
+    }
+};
+
+/**
+ * 打开仓库级分片索引
+ * @param {string} [indexPath] - 索引文件路径，默认 defaultIndexPath()
+ */
+export const openChunkIndex = (indexPath = defaultIndexPath()) => {
+    const data = readIndexFile(indexPath);
+    const baseDir = path.dirname(indexPath);
+    // 本进程新增的条目与引用，落盘时与磁盘上的最新内容合并，避免多个进程互相覆盖
+    const pending = {};
+    let pendingCount = 0;
+
+    const flush = () => {
+        if (pendingCount === 0) return;
+        const latest = readIndexFile(indexPath);
+        mergeScopes(latest.scopes, pending);
+        writeIndexFile(indexPath, latest);
+        mergeScopes(data.scopes, pending);
+        mergeScopes(data.scopes, latest.scopes);
+        for (const keyId of Object.keys(pending)) delete pending[keyId];
+        pendingCount = 0;
+    };
+
+    return {
+        path: indexPath,
+
+        /**
+         * 取得某把密钥下的索引视图
+         * @param {Buffer} key - 分片加密密钥
+         */
+        forKey(key) {
+            const keyId = keyIdFor(key);
+
+            return {
+                keyId,
+
+                // 查找 backend 中已上传过的同内容分片，返回 { hash, size, url } 或 null
+                lookup(plainHash, backend) {
+                    const entry = (pending[keyId] && pending[keyId][plainHash]) || (data.scopes[keyId] && data.scopes[keyId][plainHash]);
+                    if (!entry || !entry.url || entry.backend !== backend) return null;
+                    return { hash: entry.hash, size: entry.size, url: entry.url };
+                },
+
+                // 记录分片并登记引用它的星图
+                record(plainHash, { hash, size, url, backend }, manifestPath) {
+                    const ref = path.relative(baseDir, path.resolve(manifestPath));
+                    const known = data.scopes[keyId] && data.scopes[keyId][plainHash];
+                    if (known && known.refs && known.refs.includes(ref)) return;
+
+                    const scope = pending[keyId] || (pending[keyId] = {});
+                    // 已有条目以最早的记录为准，这里只追加引用
+                    const base = known ? { hash: known.hash, size: known.size, url: known.url, backend: known.backend } : { hash, size, url, backend };
+                    const entry = scope[plainHash] || (scope[plainHash] = { ...base, refs: [] });
+                    if (!entry.refs.includes(ref)) {
+                        entry.refs.push(ref);
+                        pendingCount++;
+                    }
+                    // 分批落盘，大文件也不会每个分片都重写一次索引
+                    if (pendingCount >= 64) flush();
+                },
+
+                // 分片修复后换了位置：覆盖已有条目的 url 与 hash，保留原有引用
+                replace(plainHash, { hash, size, url, backend }, manifestPath) {
+                    const ref = path.relative(baseDir, path.resolve(manifestPath));
+                    const scope = pending[keyId] || (pending[keyId] = {});
+                    const entry = scope[plainHash] || (scope[plainHash] = { refs: [] });
+                    Object.assign(entry, { hash, size, url, backend, replaced: true });
+                    if (!entry.refs.includes(ref)) entry.refs.push(ref);
+                    pendingCount++;
+                    if (pendingCount >= 64) flush();
+                },
+            };
+        },
+
+        flush,
+    };
+};
+
+// 从星图中收集被引用的明文 Hash (同时兼容 .dust 与 .sync.dust 两种布局)
+const referencedPlainHashes = (manifest) => {
+    const hashes = new Set();
+    for (const chunk of manifest.chunks || []) {
+        if (chunk && chunk.plain_hash) hashes.add(chunk.plain_hash);
+    }
+    for (const plainHash of Object.keys(manifest.pool || {})) hashes.add(plainHash);
+    for (const ver of manifest.versions || []) {
+        for (const chunk of ver.chunks || []) {
+            if (typeof chunk === "string") hashes.add(chunk);
+            else if (chunk && chunk.plain_hash) hashes.add(chunk.plain_hash);
+        }
+    }
+    return hashes;
+};
+
+const findManifests = (dir) => {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter((f) => MANIFEST_SUFFIXES.some((suffix) => f.endsWith(suffix)))
+        .map((f) => path.join(dir, f));
+};
+
+/**
+ * 索引垃圾回收：移除任何已知星图都不再引用的条目，并清理失效的 refs
+ * @param {object} [options]
+ * @param {string} [options.indexPath]
+ * @param {string[]} [options.searchDirs] - 额外扫描星图的目录，默认索引所在目录及其 dusts/ 子目录
+ * @param {boolean} [options.dryRun=false] - 只报告不写回
+ * @param {string} [options.password] - 用于打开加密星图；打不开的加密星图视为无法解析
+ * @returns {Promise<{ scanned: number, kept: number, removed: Array<{ keyId: string, plain_hash: string, url: string }> }>}
+ */
+export const gcChunkIndex = async ({ indexPath = defaultIndexPath(), searchDirs, dryRun = false, password } = {}) => {
+    const data = readIndexFile(indexPath);
+    const baseDir = path.dirname(indexPath);
+    const dirs = searchDirs || [baseDir, path.join(baseDir, "dusts")];
+
+    // 标记阶段：读取所有已知星图
+    const manifestRefs = new Map(); // ref -> Set<plain_hash> | null (null 表示存在但无法解析)
+    const load = async (manifestPath) => {
+        const ref = path.relative(baseDir, path.resolve(manifestPath));
+        if (manifestRefs.has(ref)) return;
+        if (!fs.existsSync(manifestPath)) return;
+        try {
+            let manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+            if (isEncryptedManifest(manifest)) {
+                if (!password) throw new Error("加密星图需要密码");
+                ({ manifest } = await openManifest(manifestPath, password));
+            }
+            manifestRefs.set(ref, referencedPlainHashes(manifest));
+        } catch (e) {
+            manifestRefs.set(ref, null);
+        }
+    };
+    for (const entries of Object.values(data.scopes)) {
+        for (const entry of Object.values(entries)) {
+            for (const ref of entry.refs || []) await load(path.resolve(baseDir, ref));
+        }
+    }
+    for (const dir of dirs) {
+        for (const manifestPath of findManifests(dir)) await load(manifestPath);
+    }
+
+    // 存在无法解析的星图时无法证明任何分片不可达，只清理 refs，不移除条目
+    const hasOpaqueManifests = [...manifestRefs.values()].some((hashes) => hashes === null);
+
+    // 清除阶段
+    const removed = [];
+    let kept = 0;
+    for (const [keyId, entries] of Object.entries(data.scopes)) {
+        for (const [plainHash, entry] of Object.entries(entries)) {
+            const liveRefs = [...manifestRefs.entries()]
+                .filter(([, hashes]) => hashes && hashes.has(plainHash))
+                .map(([ref]) => ref);
+            if (liveRefs.length === 0 && !hasOpaqueManifests) {
+                removed.push({ keyId, plain_hash: plainHash, url: entry.url });
+                delete entries[plainHash];
+            } else {
+                // 扫描发现的星图也补登记为引用，使索引与实际可达性一致
+                if (liveRefs.length > 0) entry.refs = liveRefs;
+                kept++;
+            }
+        }
+        if (Object.keys(entries).length === 0) delete data.scopes[keyId];
+    }
+
+    if (!dryRun) writeIndexFile(indexPath, data);
+    return { scanned: manifestRefs.size, kept, removed };
+};
@@ -0,0 +1,39 @@
+// CDC 切出的分片大小各不相同，不能再用 "偏移 / 固定块大小" 定位分片。
+// 这里维护一份按明文偏移升序排列的索引，通过二分查找把任意字节位置映射到分片序号。
+
+/**
+ * 根据每个分片的明文长度构建偏移索引
+ * @param {number[]} sizes - 按 part 顺序排列的明文长度
+ * @returns {{ offsets: number[], sizes: number[], totalSize: number }}
+ */
+export const buildOffsetIndex = (sizes) => {
+    const offsets = new Array(sizes.length);
+    let cursor = 0;
+    for (let i = 0; i < sizes.length; i++) {
+        offsets[i] = cursor;
+        cursor += sizes[i];
+    }
+    return { offsets, sizes: [...sizes], totalSize: cursor };
+};
+
+/**
+ * 二分查找包含 position 的分片序号 (即满足 offsets[i] <= position 的最大 i)
+ * @param {number[]} offsets - 升序排列的分片起始偏移
+ * @param {number} position - 明文字节位置
+ * @returns {number} 分片序号，position 越界时返回 -1
+ */
+export const findChunkIndex = (offsets, position) => {
+    if (offsets.length === 0 || position < 0) return -1;
+
+    let low = 0;
+    let high = offsets.length - 1;
+    while (low < high) {
+        const mid = (low + high + 1) >>> 1;
+        if (offsets[mid] <= position) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return offsets[low] <= position ? low : -1;
+};
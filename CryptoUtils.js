@@ -9,6 +9,10 @@ const IV_LENGTH = 12;
 const SCRYPT_COST = 16384;
 const SCRYPT_R = 8;
 const SCRYPT_P = 1;
+// AES-GCM 不改变长度，密文 = IV + AuthTag + 明文
+const ENCRYPTION_OVERHEAD = IV_LENGTH + 16;
+// 旧星图的 plain_hash / hash 都是 MD5 (32 位十六进制)，新星图分别是 HMAC-SHA256 与 SHA-256 (64 位)
+const LEGACY_DIGEST_LENGTH = 32;
 
 async function generateKeyFromPassword(password, saltBase64) {
     if (typeof password !== 'string' || password.length === 0) {
@@ -38,6 +42,131 @@ async function generateKeyFromPassword(password, saltBase64) {
     };
 }
 
+// 星图中记录的密钥派生参数: { name, salt, N, r, p, key_length, check }
+// 有了它，任何机器、任何目录都能只凭密码重新派生出同一把密钥，不再依赖当前目录的 salt.json。
+// check 是密钥的 HMAC 校验值，用来在解密任何分片之前就明确判断密码是否正确。
+const KDF_NAME = 'scrypt';
+// 防止恶意星图用超大参数拖垮内存
+const MAX_SCRYPT_COST = 1 << 20;
+
+function keyCheckValue(key) {
+    return crypto.createHmac('sha256', key).update('filedust-key-check').digest('hex').slice(0, 16);
+}
+
+function createKdfParams(saltBase64, key) {
+    const kdf = { name: KDF_NAME, salt: saltBase64, N: SCRYPT_COST, r: SCRYPT_R, p: SCRYPT_P, key_length: KEY_LENGTH };
+    if (key) kdf.check = keyCheckValue(key);
+    return kdf;
+}
+
+async function deriveKeyFromKdf(password, kdf) {
+    if (typeof password !== 'string' || password.length === 0) {
+        throw new Error('password 不能为空');
+    }
+    if (!kdf || kdf.name !== KDF_NAME) {
+        throw new Error(`不支持的密钥派生算法: ${kdf && kdf.name}`);
+    }
+    const { N, r, p } = kdf;
+    const keyLength = kdf.key_length || KEY_LENGTH;
+    if (!Number.isInteger(N) || N < 2 || N > MAX_SCRYPT_COST || (N & (N - 1)) !== 0 || !Number.isInteger(r) || r < 1 || !Number.isInteger(p) || p < 1) {
+        throw new Error(`无效的 scrypt 参数: N=${N} r=${r} p=${p}`);
+    }
+
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(
+            password,
+            Buffer.from(kdf.salt, 'base64'),
+            keyLength,
+            { N, r, p, maxmem: 256 * N * r + 1024 * 1024 },
+            (err, derivedKey) => {
+                if (err) return reject(err);
+                resolve(derivedKey);
+            }
+        );
+    });
+}
+
+// 信封加密：分片用随机的数据密钥 (前 32 字节加密，后 32 字节派生分片标识) 加密，
+// 数据密钥再用口令派生密钥包裹后存进星图。换密码只需重新包裹数据密钥，分片一个都不用动。
+const DATA_KEY_LENGTH = 64;
+
+function generateDataKey() {
+    return crypto.randomBytes(DATA_KEY_LENGTH);
+}
+
+// 口令派生密钥中专门用来包裹数据密钥的部分 (第 64~96 字节)，与旧星图直接用来加密分片的前 64 字节互不重叠
+function keyEncryptionKey(passwordKey) {
+    if (passwordKey.length < 96) {
+        throw new Error(`口令派生密钥长度不足: ${passwordKey.length}`);
+    }
+    return passwordKey.subarray(64, 96);
+}
+
+// 没有数据密钥的旧星图直接用口令派生密钥加密分片，把这部分当作数据密钥即可无缝接入信封加密
+function legacyDataKey(passwordKey) {
+    return Buffer.from(passwordKey.subarray(0, DATA_KEY_LENGTH));
+}
+
+async function wrapDataKey(dataKey, passwordKey) {
+    return encrypt(dataKey, keyEncryptionKey(passwordKey));
+}
+
+async function unwrapDataKey(wrappedKey, passwordKey) {
+    return decrypt(wrappedKey, keyEncryptionKey(passwordKey), { autoJson: false });
+}
+
+// 多接收者：数据密钥还可以用接收者的 X25519 公钥包裹 (临时密钥对 ECDH + HKDF-SHA256 + AES-256-GCM)，
+// 持有对应私钥的人不需要知道密码也能打开星图。公私钥都用 base64url 编码的 32 字节原始值表示。
+const RECIPIENT_WRAP_INFO = 'filedust-recipient-wrap-v1';
+
+// PKCS#8 DER 中 X25519 私钥的固定前缀，后接 32 字节原始私钥
+const X25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b656e04220420', 'hex');
+
+const x25519PublicKey = (publicKey) => crypto.createPublicKey({ key: { kty: 'OKP', crv: 'X25519', x: publicKey }, format: 'jwk' });
+const x25519PrivateKey = (privateKey) => crypto.createPrivateKey({
+    key: Buffer.concat([X25519_PKCS8_PREFIX, Buffer.from(privateKey, 'base64url')]),
+    format: 'der',
+    type: 'pkcs8',
+});
+
+function generateRecipientKeyPair() {
+    const { privateKey } = crypto.generateKeyPairSync('x25519');
+    const jwk = privateKey.export({ format: 'jwk' });
+    return { publicKey: jwk.x, privateKey: jwk.d };
+}
+
+function recipientPublicKey(privateKey) {
+    return crypto.createPublicKey(x25519PrivateKey(privateKey)).export({ format: 'jwk' }).x;
+}
+
+// 接收者标识：公钥指纹，打开星图时用来快速找到属于自己的那一项
+function recipientId(publicKey) {
+    return crypto.createHash('sha256').update(Buffer.from(publicKey, 'base64url')).digest('hex').slice(0, 16);
+}
+
+function recipientWrapKey(sharedSecret, ephemeralPublicKey, publicKey) {
+    const salt = Buffer.concat([Buffer.from(ephemeralPublicKey, 'base64url'), Buffer.from(publicKey, 'base64url')]);
+    return Buffer.from(crypto.hkdfSync('sha256', sharedSecret, salt, RECIPIENT_WRAP_INFO, 32));
+}
+
+async function wrapDataKeyForRecipient(dataKey, publicKey) {
+    const ephemeral = crypto.generateKeyPairSync('x25519');
+    const ephemeralPublicKey = ephemeral.publicKey.export({ format: 'jwk' }).x;
+    const sharedSecret = crypto.diffieHellman({ privateKey: ephemeral.privateKey, publicKey: x25519PublicKey(publicKey) });
+    return {
+        id: recipientId(publicKey),
+        public_key: publicKey,
+        epk: ephemeralPublicKey,
+        wrapped_key: await encrypt(dataKey, recipientWrapKey(sharedSecret, ephemeralPublicKey, publicKey)),
+    };
+}
+
+async function unwrapDataKeyForRecipient(entry, privateKey) {
+    const publicKey = recipientPublicKey(privateKey);
+    const sharedSecret = crypto.diffieHellman({ privateKey: x25519PrivateKey(privateKey), publicKey: x25519PublicKey(entry.epk) });
+    return decrypt(entry.wrapped_key, recipientWrapKey(sharedSecret, entry.epk, publicKey), { autoJson: false });
+}
+
 async function encrypt(data, key, options = {}) {
     let keyBuf = Buffer.isBuffer(key) ? key : Buffer.from(String(key), 'base64');
     if (keyBuf.length > 32) keyBuf = keyBuf.subarray(0, 32);
@@ -71,7 +200,12 @@ async function decrypt(cipherText, key, options = {}) {
     const decipher = crypto.createDecipheriv(DEFAULT_ALGO, keyBuf, iv);
     decipher.setAuthTag(authTag);
 
-    const decrypted = Buffer.concat([decipher.update(encrypted), decipher.final()]);
+    let decrypted;
+    try {
+        decrypted = Buffer.concat([decipher.update(encrypted), decipher.final()]);
+    } catch (error) {
+        throw new Error('解密失败：密钥不正确 (密码错误或盐不匹配)，或数据已被篡改');
+    }
 
     if (options.autoJson === false) {
         return decrypted;
@@ -85,6 +219,46 @@ async function decrypt(cipherText, key, options = {}) {
     }
 }
 
+// 分片标识的 MAC 密钥取派生密钥中加密密钥 (前 32 字节) 之后的 32 字节，两者互不相关
+function chunkIdKey(key) {
+    const keyBuf = Buffer.isBuffer(key) ? key : Buffer.from(String(key), 'base64');
+    if (keyBuf.length >= 64) return keyBuf.subarray(32, 64);
+    return Buffer.from(crypto.hkdfSync('sha256', keyBuf, Buffer.alloc(0), 'filedust-chunk-id', 32));
+}
+
+// 明文分片标识：HMAC-SHA256。没有密钥的人无法通过猜测文件内容去比对星图里的标识
+function chunkId(plain, key) {
+    return crypto.createHmac('sha256', chunkIdKey(key)).update(plain).digest('hex');
+}
+
+// 密文完整性摘要：SHA-256
+function sha256Hex(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function isLegacyDigest(hex) {
+    return typeof hex === 'string' && hex.length === LEGACY_DIGEST_LENGTH;
+}
+
+function md5Hex(data) {
+    return crypto.createHash('md5').update(data).digest('hex');
+}
+
+// 旧星图的明文分片标识 (明文 MD5)，仅用于迁移与兼容匹配
+function legacyChunkId(plain) {
+    return md5Hex(plain);
+}
+
+// 校验明文分片是否与记录的标识一致，兼容旧星图的 MD5 标识
+function chunkIdMatches(plain, key, expected) {
+    return (isLegacyDigest(expected) ? md5Hex(plain) : chunkId(plain, key)) === expected;
+}
+
+// 校验密文是否与记录的 hash 一致，兼容旧星图的 MD5
+function cipherHashMatches(data, expected) {
+    return (isLegacyDigest(expected) ? md5Hex(data) : sha256Hex(data)) === expected;
+}
+
 async function loadOrGenerateKey(password, keyFile = 'salt.json') {
     let key, salt;
 
@@ -107,4 +281,28 @@ async function loadOrGenerateKey(password, keyFile = 'salt.json') {
     return { key, salt };
 }
 
-export { generateKeyFromPassword, encrypt, decrypt, loadOrGenerateKey };
+export {
+    generateKeyFromPassword,
+    createKdfParams,
+    deriveKeyFromKdf,
+    keyCheckValue,
+    generateDataKey,
+    legacyDataKey,
+    wrapDataKey,
+    unwrapDataKey,
+    generateRecipientKeyPair,
+    recipientPublicKey,
+    recipientId,
+    wrapDataKeyForRecipient,
+    unwrapDataKeyForRecipient,
+    encrypt,
+    decrypt,
+    loadOrGenerateKey,
+    chunkId,
+    sha256Hex,
+    isLegacyDigest,
+    legacyChunkId,
+    chunkIdMatches,
+    cipherHashMatches,
+    ENCRYPTION_OVERHEAD,
+};
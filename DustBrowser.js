@@ -3,36 +3,39 @@ import fs from 'node:fs';
 import { fileURLToPath } from 'node:url';
 import path from 'node:path';
 import axios from 'axios';
-import crypto from 'node:crypto';
 import mime from 'mime';
 import multer from 'multer';
-import { loadOrGenerateKey, decrypt } from './CryptoUtils.js';
+import pLimit from 'p-limit';
+import { decrypt, cipherHashMatches, ENCRYPTION_OVERHEAD } from './CryptoUtils.js';
 import { uploadToDust } from './FileDustUploader.js';
+import { buildOffsetIndex, findChunkIndex } from './ChunkOffsets.js';
+import { getByLocator } from './StorageBackend.js';
+import { openManifest } from './ManifestFile.js';
+import { fetchWithParity } from './FileDustParity.js';
+import { TREE_MANIFEST_SUFFIX } from './FileDustTree.js';
+import { readPassword, requirePassword, DEFAULT_PASSWORD_ENV } from './PasswordProvider.js';
 
 // ---- Configuration ----
 const PORT = 3000;
 const MAX_CACHE_SIZE = 50; // Cache 50 chunks (approx 4.5MB) to handle fast seeking / range overlapping
 
-let encryptionKey = null;
 let globalPassword = null;
+let globalPrivateKeys = []; // X25519 recipient keys: open manifests shared with us without knowing their password
 
 const uploadFolder = multer({ dest: 'uploads/' });
 
-const manifestCache = new Map(); // key: filename, value: { manifest, chunkSize, chunkCache, pendingRequests }
+const manifestCache = new Map(); // key: manifest path (+ version), value: { manifest, offsetIndex, chunkCache, pendingRequests }
+const openedManifests = new Map(); // key: manifest path, value: { mtimeMs, opening } where opening resolves { manifest, key }
 
 const CACHE_DIR = path.join(process.cwd(), 'cache');
-if (!fs.existsSync(CACHE_DIR)) {
-    fs.mkdirSync(CACHE_DIR, { recursive: true });
-}
-
-const calculateHash = (buffer) => crypto.createHash('md5').update(buffer).digest('hex');
 
-// ---- Chunk Fetcher with In-Memory Cache ----
-async function getOrInitManifestInfo(manifestFilename) {
-    if (manifestCache.has(manifestFilename)) {
-        return manifestCache.get(manifestFilename);
-    }
+// ---- Manifest Loading ----
+// Opens plain and encrypted manifests alike; resolves { manifest, key } with the key derived from the manifest's own KDF parameters
+async function readManifestFile(manifestFilename) {
+    return openManifest(resolveManifestPath(manifestFilename), { password: globalPassword, privateKeys: globalPrivateKeys });
+}
 
+function resolveManifestPath(manifestFilename) {
     // Safety check: ensure the manifest exists in the current working directory
     const cwd = process.cwd();
     const manifestPath = path.resolve(cwd, manifestFilename);
@@ -44,13 +47,79 @@ async function getOrInitManifestInfo(manifestFilename) {
         throw new Error(`Manifest not found: ${manifestPath}`);
     }
 
-    const manifestContent = fs.readFileSync(manifestPath, 'utf-8');
-    const manifest = JSON.parse(manifestContent);
-    manifest.chunks.sort((a, b) => a.part - b.part);
+    return manifestPath;
+}
+
+// Opening a manifest means parsing the envelope and unwrapping its key, which is too slow to repeat for
+// every Range request of a seek. The opened manifest is reused until the file's mtime changes; a rewrite
+// also drops every cached view of it, decrypted chunks included, since they may belong to old chunks.
+async function openManifestCached(manifestPath) {
+    const { mtimeMs } = fs.statSync(manifestPath);
+    const opened = openedManifests.get(manifestPath);
+    if (opened && opened.mtimeMs === mtimeMs) return opened.opening;
+
+    for (const [cacheKey, info] of manifestCache) {
+        if (info.manifestPath === manifestPath) manifestCache.delete(cacheKey);
+    }
+    const opening = openManifest(manifestPath, { password: globalPassword, privateKeys: globalPrivateKeys });
+    openedManifests.set(manifestPath, { mtimeMs, opening });
+    opening.catch(() => {
+        if (openedManifests.get(manifestPath)?.opening === opening) openedManifests.delete(manifestPath);
+    });
+    return opening;
+}
+
+// `.sync.dust` manifests keep a shared `pool` of chunks plus a `versions` timeline instead of a flat `chunks` list
+const isSyncManifest = (manifest) => Array.isArray(manifest.versions);
+
+function pickSyncVersion(manifest, version) {
+    if (!manifest.versions.length) throw new Error(`Sync manifest has no versions`);
+    if (version === undefined || version === null || version === '') {
+        return manifest.versions[manifest.versions.length - 1];
+    }
+    const found = manifest.versions.find(v => v.version === Number(version));
+    if (!found) throw new Error(`Version v${version} not found in sync manifest`);
+    return found;
+}
+
+// Flattens either manifest layout into { filename, total_size, chunks: [{ part, url, hash, plain_hash, size }] }
+function resolveManifestView(manifest, version) {
+    if (!isSyncManifest(manifest)) {
+        manifest.chunks.sort((a, b) => a.part - b.part);
+        return manifest;
+    }
+
+    const ver = pickSyncVersion(manifest, version);
+    const pool = manifest.pool || {};
+    const chunks = (ver.chunks || []).map((entry, i) => {
+        // Versions written before the pool layout stored full chunk objects inline
+        if (entry && typeof entry === 'object') {
+            return { part: entry.part !== undefined ? entry.part : i, url: entry.url, hash: entry.hash, plain_hash: entry.plain_hash, size: entry.size };
+        }
+        const pooled = pool[entry] || {};
+        return { part: i, url: pooled.url, hash: pooled.hash, plain_hash: entry, size: pooled.size };
+    });
+
+    return { filename: manifest.filename, total_size: ver.total_size, version: ver, chunks };
+}
+
+// ---- Chunk Fetcher with In-Memory Cache ----
+async function getOrInitManifestInfo(manifestFilename, version) {
+    const manifestPath = resolveManifestPath(manifestFilename);
+    const { manifest: raw, key } = await openManifestCached(manifestPath);
+    const manifest = resolveManifestView(raw, version);
+    const cacheKey = manifest.version ? `${manifestPath}#v${manifest.version.version}` : manifestPath;
+
+    if (manifestCache.has(cacheKey)) {
+        return manifestCache.get(cacheKey);
+    }
 
     const info = {
+        manifestPath,
         manifest,
-        chunkSize: null,
+        raw,
+        key,
+        offsetIndex: null,
         chunkCache: new Map(),
         pendingRequests: new Map()
     };
@@ -66,9 +135,11 @@ async function getOrInitManifestInfo(manifestFilename) {
         const chunkPromise = (async () => {
             const chunkInfo = info.manifest.chunks.find(c => c.part === index);
             if (!chunkInfo) throw new Error(`Chunk ${index} not found in manifest`);
+            if (!chunkInfo.url) throw new Error(`Chunk ${index} was never uploaded (incomplete version)`);
 
-            // 3. Check durable disk cache
-            const diskCachePath = path.join(CACHE_DIR, `${manifest.filename}_chunk_${index}`);
+            // 3. Check durable disk cache (keyed by content so versions sharing a pool share cache entries)
+            const cacheName = chunkInfo.plain_hash ? `${manifest.filename}_${chunkInfo.plain_hash}` : `${manifest.filename}_chunk_${index}`;
+            const diskCachePath = path.join(CACHE_DIR, cacheName);
             if (fs.existsSync(diskCachePath)) {
                 console.log(`⚡ [${manifestFilename}] Loading Chunk [${index}] from local disk cache...`);
                 const decrypted = fs.readFileSync(diskCachePath);
@@ -85,26 +156,16 @@ async function getOrInitManifestInfo(manifestFilename) {
 
             console.log(`☁️  [${manifestFilename}] Fetching Chunk [${index}] from Arweave...`);
 
-            // Timeout 30s with Retry and Gateway Fallback
+            // Timeout 30s with Retry; gateway fallback and hedging happen per request inside GatewayPool
             const retryFetch = async (url, retries = 5, delayMs = 1000) => {
                 for (let i = 0; i < retries; i++) {
                     try {
-                        return await axios.get(url, { responseType: 'arraybuffer', timeout: 30000 });
+                        // A gateway serving bytes that fail the hash check is scored as failing and skipped
+                        return await getByLocator(url, { timeout: 30000, validate: (data) => cipherHashMatches(data, chunkInfo.hash) });
                     } catch (error) {
                         const status = error.response ? error.response.status : 'Network Error';
                         console.warn(`⚠️ [Chunk ${index}] Fetch failed ${i + 1}/${retries} (Status: ${status}): ${error.message}`);
 
-                        // Gateway Fallback Logic for 5xx errors or network timeouts
-                        if (!error.response || error.response.status >= 500) {
-                            if (url.includes('v1.filedust.workers.dev')) {
-                                url = url.replace('v1.filedust.workers.dev', 'arweave.net');
-                                console.log(`🔄 [Chunk ${index}] Switching gateway to: arweave.net`);
-                            } else if (url.includes('arweave.net')) {
-                                url = url.replace('arweave.net', 'arweave.dev');
-                                console.log(`🔄 [Chunk ${index}] Switching gateway to: arweave.dev`);
-                            }
-                        }
-
                         if (i === retries - 1) throw error;
                         const jitter = Math.random() * 1000;
                         await new Promise(r => setTimeout(r, delayMs + jitter));
@@ -112,16 +173,17 @@ async function getOrInitManifestInfo(manifestFilename) {
                 }
             };
 
-            const response = await retryFetch(chunkInfo.url);
-            const netData = Buffer.from(response.data);
-
-            // Hash Verification
-            if (calculateHash(netData) !== chunkInfo.hash) {
-                throw new Error(`Hash mismatch for chunk ${index} from network`);
-            }
+            // Hash verification; a lost or corrupt chunk is rebuilt from its parity stripe when the manifest has one
+            const netData = await fetchWithParity(info.raw, chunkInfo, async (url) => {
+                const data = await retryFetch(url);
+                if (!cipherHashMatches(data, chunkInfo.hash)) {
+                    throw new Error(`Hash mismatch for chunk ${index} from network`);
+                }
+                return data;
+            });
 
             // Decryption
-            const decrypted = await decrypt(netData, encryptionKey, { autoJson: false });
+            const decrypted = await decrypt(netData, info.key, { autoJson: false });
 
             // 4. Save to durable disk cache
             fs.writeFileSync(diskCachePath, decrypted);
@@ -145,28 +207,128 @@ async function getOrInitManifestInfo(manifestFilename) {
         return chunkPromise;
     };
 
-    console.log(`📦 Loaded Manifest: ${manifest.filename} (Total Size: ${manifest.total_size})`);
-    console.log(`🔍 Determining dynamic chunk size structure...`);
+    // CDC chunks vary in size, so byte ranges are mapped through a per-chunk offset index.
+    // Built lazily on the first stream request and shared by all concurrent requests.
+    info.getOffsetIndex = () => {
+        if (!info.offsetIndex) {
+            info.offsetIndex = buildManifestOffsetIndex(manifestFilename, info).catch(e => {
+                info.offsetIndex = null;
+                throw e;
+            });
+        }
+        return info.offsetIndex;
+    };
 
-    // Download chunk 0 to gauge size
-    const chunk0 = await info.getDecryptedChunk(0);
-    info.chunkSize = chunk0.length;
-    console.log(`📏 Decrypted Chunk Size determined: ${info.chunkSize} bytes/chunk`);
+    const versionLabel = manifest.version ? ` v${manifest.version.version}` : '';
+    console.log(`📦 Loaded Manifest: ${manifest.filename}${versionLabel} (Total Size: ${manifest.total_size})`);
 
-    manifestCache.set(manifestFilename, info);
+    manifestCache.set(cacheKey, info);
     return info;
 }
 
+// ---- Offset Index ----
+// New manifests record the plaintext `size` of every chunk. Older ones don't, so the missing
+// sizes are recovered from the ciphertext length (AES-GCM only adds IV + auth tag), falling
+// back to downloading and decrypting the chunk when the gateway won't tell us.
+async function buildManifestOffsetIndex(manifestFilename, info) {
+    const { chunks } = info.manifest;
+    const missing = chunks.filter(c => typeof c.size !== 'number');
+
+    if (missing.length > 0) {
+        console.log(`🔍 [${manifestFilename}] Manifest lacks chunk sizes, rebuilding offset index for ${missing.length} chunks...`);
+        const headLimit = pLimit(5);
+        const sizes = await Promise.all(missing.map(chunkInfo => headLimit(async () => {
+            try {
+                // Only gateway URLs can be sized without downloading; other backends fall through
+                if (!/^https?:\/\//.test(chunkInfo.url)) throw new Error('not a gateway URL');
+                const response = await axios.head(chunkInfo.url, { timeout: 15000 });
+                const contentLength = parseInt(response.headers['content-length'], 10);
+                if (contentLength > ENCRYPTION_OVERHEAD) return contentLength - ENCRYPTION_OVERHEAD;
+            } catch (e) { }
+            const decrypted = await info.getDecryptedChunk(chunkInfo.part);
+            return decrypted.length;
+        })));
+        missing.forEach((chunkInfo, i) => { chunkInfo.size = sizes[i]; });
+    }
+
+    const index = buildOffsetIndex(chunks.map(c => c.size));
+    if (index.totalSize !== info.manifest.total_size) {
+        console.warn(`⚠️ [${manifestFilename}] Chunk sizes add up to ${index.totalSize} bytes but manifest says ${info.manifest.total_size}`);
+    }
+    console.log(`📏 [${manifestFilename}] Offset index ready: ${chunks.length} chunks`);
+    return index;
+}
+
+// Parses a single `bytes=` range (including suffix ranges). Returns null when unsatisfiable.
+function parseRange(header, totalSize) {
+    const match = /^bytes=(\d*)-(\d*)/.exec(header.trim());
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+
+    let start, end;
+    if (match[1] === '') {
+        const suffixLength = parseInt(match[2], 10);
+        start = Math.max(totalSize - suffixLength, 0);
+        end = totalSize - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        end = match[2] ? Math.min(parseInt(match[2], 10), totalSize - 1) : totalSize - 1;
+    }
+
+    if (start > end || start >= totalSize) return null;
+    return { start, end };
+}
+
+// ---- HTML Helpers ----
+const formatSize = (bytes) => {
+    if (bytes < 1024) return bytes + ' B';
+    else if (bytes < 1048576) return (bytes / 1024).toFixed(2) + ' KB';
+    else return (bytes / 1048576).toFixed(2) + ' MB';
+};
+
+// Version history of a `.sync.dust`, newest first. The selected version (if any) is highlighted.
+function renderVersionTimeline(m, manifest, selectedVersion) {
+    const rows = [...manifest.versions].reverse().map(ver => {
+        const selected = selectedVersion === ver.version;
+        const statusColor = ver.status === 'completed' ? '#a3e635' : '#f59e0b';
+        const timestamp = ver.timestamp ? new Date(ver.timestamp).toLocaleString() : '-';
+        const size = typeof ver.total_size === 'number' ? formatSize(ver.total_size) : '-';
+        return `<a class="version-link${selected ? ' selected' : ''}" href="/view?m=${encodeURIComponent(m)}&v=${ver.version}">`
+            + `<span>🕰️ v${ver.version}</span><span>${timestamp}</span><span>${size}</span>`
+            + `<span style="color: ${statusColor};">${ver.status || 'unknown'}</span></a>`;
+    }).join('');
+    return `<div class="version-timeline">${rows}</div>`;
+}
+
+const TIMELINE_STYLE = `
+               .version-timeline { margin: -6px 0 10px 20px; border-left: 2px solid #334155; padding-left: 10px; }
+               .version-link {
+                   display: grid;
+                   grid-template-columns: 80px 1fr 100px 90px;
+                   gap: 10px;
+                   padding: 6px 10px;
+                   color: #cbd5e1;
+                   text-decoration: none;
+                   font-size: 0.9rem;
+                   border-radius: 6px;
+                   text-align: left;
+               }
+               .version-link:hover { background: #334155; }
+               .version-link.selected { background: #3b82f6; color: #fff; }
+`;
+
 // ---- Express Server ----
 const app = express();
 
-app.get('/', (req, res) => {
+// Directory snapshots (.tree.dust) hold a whole folder rather than one streamable file; restore them with `filedust restore`
+const isStreamableManifestName = (f) => (f.endsWith('.dust') && !f.endsWith(TREE_MANIFEST_SUFFIX)) || f.endsWith('.manifest.json');
+
+app.get('/', async (req, res) => {
     // List all .dust / .manifest.json in current directory and dusts directory
     const manifests = [];
 
     try {
         const cwdFiles = fs.readdirSync(process.cwd());
-        const cwdDusts = cwdFiles.filter(f => f.endsWith('.dust') || f.endsWith('.manifest.json'));
+        const cwdDusts = cwdFiles.filter(isStreamableManifestName);
         manifests.push(...cwdDusts);
     } catch (e) { }
 
@@ -174,33 +336,33 @@ app.get('/', (req, res) => {
     if (fs.existsSync(dustsDir)) {
         try {
             const dFiles = fs.readdirSync(dustsDir);
-            const dDusts = dFiles.filter(f => f.endsWith('.dust') || f.endsWith('.manifest.json'));
+            const dDusts = dFiles.filter(isStreamableManifestName);
             manifests.push(...dDusts.map(f => `dusts/${f}`));
         } catch (e) { }
     }
 
-    const formatSize = (bytes) => {
-        if (bytes < 1024) return bytes + ' B';
-        else if (bytes < 1048576) return (bytes / 1024).toFixed(2) + ' KB';
-        else return (bytes / 1048576).toFixed(2) + ' MB';
-    };
-
-    let listHtml = manifests.map(m => {
+    let listHtml = (await Promise.all(manifests.map(async m => {
         let sizeInfo = '';
+        let timeline = '';
+        let lock = '';
         try {
             const manifestPath = path.resolve(process.cwd(), m);
             if (fs.existsSync(manifestPath)) {
-                const content = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
-                if (content.total_size) {
+                const { manifest: content, encrypted } = await readManifestFile(m);
+                if (encrypted) lock = '🔒 ';
+                const dustSize = formatSize(fs.statSync(manifestPath).size);
+                if (isSyncManifest(content)) {
+                    sizeInfo = `<span style="float: right; color: #94a3b8; font-size: 0.85em; margin-top: 3px;">${content.versions.length} Versions | Dust Size: ${dustSize}</span>`;
+                    timeline = renderVersionTimeline(m, content);
+                } else if (content.total_size) {
                     const originalSize = formatSize(content.total_size);
-                    const dustSize = formatSize(fs.statSync(manifestPath).size);
                     sizeInfo = `<span style="float: right; color: #94a3b8; font-size: 0.85em; margin-top: 3px;">Original Size: ${originalSize} | Dust Size: ${dustSize}</span>`;
                 }
             }
         } catch (e) { }
 
-        return `<a class="manifest-link" href="/view?m=${encodeURIComponent(m)}">📄 ${m} ${sizeInfo}</a>`;
-    }).join('');
+        return `<a class="manifest-link" href="/view?m=${encodeURIComponent(m)}">📄 ${lock}${m} ${sizeInfo}</a>${timeline}`;
+    }))).join('');
 
     if (manifests.length === 0) {
         listHtml = `<p>No .dust files found.</p>`;
@@ -248,6 +410,7 @@ app.get('/', (req, res) => {
                .manifest-link:hover {
                    background: #475569;
                }
+               ${TIMELINE_STYLE}
                .upload-box {
                    background: #334155;
                    padding: 20px;
@@ -323,6 +486,7 @@ app.get('/', (req, res) => {
 app.post('/api/upload', uploadFolder.single('file'), async (req, res) => {
     try {
         if (!req.file) throw new Error("No file uploaded");
+        if (!globalPassword) throw new Error("Uploading requires a password; private keys only grant read access");
 
         const originalName = req.file.originalname;
         const tempPath = path.join('uploads', originalName);
@@ -361,7 +525,7 @@ app.get('/view', async (req, res) => {
     if (!m) return res.redirect('/');
 
     try {
-        const info = await getOrInitManifestInfo(m);
+        const info = await getOrInitManifestInfo(m, req.query.v);
         // Strip both `.enc` and `.dust` or `.manifest.json` correctly if needed,
         // although info.manifest.filename is usually the original file name + .enc or similar
         const filename = info.manifest.filename.replace(/\.enc$/, '');
@@ -369,7 +533,11 @@ app.get('/view', async (req, res) => {
 
         let mediaTag = `<p style="margin-top:20px;">Unsupported Preview Type (${mimeType})</p>`;
 
-        const streamUrl = `/stream?m=${encodeURIComponent(m)}`;
+        // Sync manifests always pin the version so the stream can't drift if a new version lands mid-playback
+        const version = info.manifest.version;
+        const streamUrl = `/stream?m=${encodeURIComponent(m)}${version ? `&v=${version.version}` : ''}`;
+        const versionTitle = version ? ` <span style="color: #94a3b8;">(v${version.version})</span>` : '';
+        const timeline = version ? renderVersionTimeline(m, info.raw, version.version) : '';
 
         if (mimeType.startsWith('image/')) {
             mediaTag = `<img src="${streamUrl}" alt="${filename}" style="max-width: 100%; max-height: 60vh; border-radius: 8px;" />`;
@@ -424,13 +592,15 @@ app.get('/view', async (req, res) => {
                    .nav a { color: #94a3b8; text-decoration: none; font-size: 1rem; }
                    .nav a:hover { color: #f8fafc; }
                    .footer { margin-top: 30px; font-size: 0.85em; color: #94a3b8; }
+                   ${TIMELINE_STYLE}
+                   .version-timeline { margin: 0 0 20px 0; }
                 </style>
             </head>
             <body>
                 <div class="container">
                     <div class="nav"><a href="/">← Back to List</a></div>
-                    <div class="title">🌌 ${filename}</div>
-                    
+                    <div class="title">🌌 ${filename}${versionTitle}</div>
+                    ${timeline}
                     ${mediaTag}
                     
                     <div>
@@ -454,8 +624,9 @@ app.get('/stream', async (req, res) => {
     if (!m) return res.status(400).send("Missing manifest parameter");
 
     try {
-        const info = await getOrInitManifestInfo(m);
-        const { manifest, chunkSize, getDecryptedChunk } = info;
+        const info = await getOrInitManifestInfo(m, req.query.v);
+        const { manifest, getDecryptedChunk } = info;
+        const { offsets } = await info.getOffsetIndex();
 
         const totalSize = manifest.total_size;
         const filename = manifest.filename.replace(/\.enc$/, '');
@@ -469,13 +640,15 @@ app.get('/stream', async (req, res) => {
         let end = totalSize - 1;
 
         if (req.headers.range) {
-            const parts = req.headers.range.replace(/bytes=/, "").split("-");
-            start = parseInt(parts[0], 10);
-            const requestedEnd = parts[1] ? parseInt(parts[1], 10) : end;
-            end = Math.min(requestedEnd, end);
+            const range = parseRange(req.headers.range, totalSize);
+            if (!range) {
+                res.setHeader('Content-Range', `bytes */${totalSize}`);
+                return res.status(416).end();
+            }
+            ({ start, end } = range);
 
             res.status(206);
-            res.setHeader('Content-Range', `bytes ${start} -${end}/${totalSize}`);
+            res.setHeader('Content-Range', `bytes ${start}-${end}/${totalSize}`);
             res.setHeader('Content-Length', end - start + 1);
         } else {
             res.status(200);
@@ -493,15 +666,17 @@ app.get('/stream', async (req, res) => {
                 break;
             }
 
-            const chunkIndex = Math.floor(currentOffset / chunkSize);
-            const chunkStartOffset = chunkIndex * chunkSize;
+            const chunkIndex = findChunkIndex(offsets, currentOffset);
+            if (chunkIndex === -1) throw new Error(`No chunk covers offset ${currentOffset}`);
+            const chunkStartOffset = offsets[chunkIndex];
 
-            const decryptedChunk = await getDecryptedChunk(chunkIndex);
+            const decryptedChunk = await getDecryptedChunk(manifest.chunks[chunkIndex].part);
 
             const sliceStart = currentOffset - chunkStartOffset;
             const sliceEnd = Math.min(decryptedChunk.length, (end - chunkStartOffset) + 1);
 
             const slice = decryptedChunk.subarray(sliceStart, sliceEnd);
+            if (slice.length === 0) throw new Error(`Chunk ${chunkIndex} is shorter than its offset index entry`);
 
             if (!res.write(slice)) {
                 await new Promise(resolve => res.once('drain', resolve));
@@ -522,22 +697,48 @@ app.get('/stream', async (req, res) => {
 });
 
 // ---- Entry Point ----
-const args = process.argv.slice(2);
-if (args.length < 1) {
-    console.log("FileDust Browser - Decentralized Streaming Viewer");
-    console.log("Usage: node DustBrowser.js <password>");
-    process.exit(1);
+export async function startDustBrowser(password, { port = PORT, privateKeys = [] } = {}) {
+    globalPassword = password || null; // Save it for async uploader calls and for deriving each manifest's key
+    globalPrivateKeys = privateKeys;
+
+    if (!fs.existsSync(CACHE_DIR)) {
+        fs.mkdirSync(CACHE_DIR, { recursive: true });
+    }
+
+    return new Promise((resolve, reject) => {
+        const server = app.listen(port, () => {
+            const boundPort = server.address().port;
+            console.log(`\n=================================================`);
+            console.log(`🚀 Dust Browser is proudly serving your manifests!`);
+            console.log(`🔗 Click / Open URL: http://localhost:${boundPort}`);
+            console.log(`=================================================\n`);
+            resolve(server);
+        });
+        server.once('error', reject);
+    });
 }
 
-loadOrGenerateKey(args[0]).then(({ key }) => {
-    encryptionKey = key;
-    globalPassword = args[0]; // Save it for async uploader calls
-    app.listen(PORT, () => {
-        console.log(`\n=================================================`);
-        console.log(`🚀 Dust Browser is proudly serving your manifests!`);
-        console.log(`🔗 Click / Open URL: http://localhost:${PORT}`);
-        console.log(`=================================================\n`);
+export { app };
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const args = process.argv.slice(2);
+    // --key <file> may be repeated; each file holds one base64url X25519 private key.
+    // The password never comes from argv (shell history, ps): it is read from FILEDUST_PASSWORD or prompted for without echo.
+    const privateKeys = [];
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--key' && args[i + 1]) {
+            privateKeys.push(fs.readFileSync(args[++i], 'utf8').trim());
+        } else {
+            console.log("FileDust Browser - Decentralized Streaming Viewer");
+            console.log("Usage: node DustBrowser.js [--key <private-key-file> ...]   (or: filedust browse)");
+            console.log(`The password is read from ${DEFAULT_PASSWORD_ENV} or prompted for; it is never accepted on the command line.`);
+            process.exit(2);
+        }
+    }
+
+    const passwordPromise = privateKeys.length > 0 ? readPassword({ prompt: false }) : requirePassword();
+    passwordPromise.then(password => startDustBrowser(password, { privateKeys })).catch(err => {
+        console.error("Failed to start DustBrowser:", err.message);
+        process.exitCode = 1;
     });
-}).catch(err => {
-    console.error("Failed to start DustBrowser:", err);
-});
+}
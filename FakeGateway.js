@@ -0,0 +1,84 @@
+import fs from "node:fs";
+import http from "node:http";
+import path from "node:path";
+
+import { isLocalChunkId } from "./LocalBackend.js";
+
+// Arweave 网关的本地替身：把 LocalBackend 目录中的分片按 `/<id>` 以 HTTP 提供出去，
+// 让上传、同步、恢复和 DustBrowser 在没有网络的情况下也能完整走一遍 HTTP 读取链路。
+// unavailable 集合中的 ID 会返回 500，用于模拟网关丢片或临时故障；corrupted 集合中的 ID 照常返回 200，但内容被改动，用于模拟返回错误数据的网关；
+// latencyMs 大于 0 时每个请求先等待这么久，用于模拟慢网关。
+
+/**
+ * @param {object} options
+ * @param {string} options.dir - LocalBackend 的存储目录
+ * @param {number} [options.port=0] - 0 表示随机端口
+ * @returns {Promise<{ url: string, unavailable: Set<string>, corrupted: Set<string>, requests: string[], latencyMs: number, close: () => Promise<void> }>}
+ */
+export const startFakeGateway = ({ dir, port = 0 }) => {
+    const unavailable = new Set();
+    const corrupted = new Set();
+    const requests = [];
+    const state = { unavailable, corrupted, requests, latencyMs: 0 };
+
+    const handle = (req, res) => {
+        const id = decodeURIComponent(new URL(req.url, "http://localhost").pathname.slice(1));
+        requests.push(`${req.method} ${id}`);
+
+        if (req.method !== "GET" && req.method !== "HEAD") {
+            res.writeHead(405).end();
+            return;
+        }
+        if (!isLocalChunkId(id)) {
+            res.writeHead(400).end();
+            return;
+        }
+        if (unavailable.has(id)) {
+            res.writeHead(500).end();
+            return;
+        }
+
+        const filePath = path.join(dir, id);
+        fs.stat(filePath, (err, stats) => {
+            if (err) {
+                res.writeHead(404).end();
+                return;
+            }
+            res.writeHead(200, {
+                "Content-Type": "application/octet-stream",
+                "Content-Length": stats.size,
+            });
+            if (req.method === "HEAD") {
+                res.end();
+                return;
+            }
+            if (corrupted.has(id)) {
+                const data = fs.readFileSync(filePath);
+                data[0] ^= 0xff;
+                res.end(data);
+                return;
+            }
+            fs.createReadStream(filePath).pipe(res);
+        });
+    };
+
+    const server = http.createServer((req, res) => {
+        if (state.latencyMs > 0) setTimeout(() => handle(req, res), state.latencyMs);
+        else handle(req, res);
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, "127.0.0.1", () => {
+            const { port: boundPort } = server.address();
+            resolve(Object.assign(state, {
+                url: `http://127.0.0.1:${boundPort}`,
+                close: () => new Promise((done) => {
+                    // 被对冲取消的慢请求可能还挂着连接
+                    server.closeAllConnections();
+                    server.close(() => done());
+                }),
+            }));
+        });
+    });
+};
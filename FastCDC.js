@@ -1,26 +1,56 @@
 /**
- * A simple, educational implementation of the FastCDC (Content-Defined Chunking) algorithm in pure JavaScript.
+ * A pure JavaScript implementation of the FastCDC (Content-Defined Chunking) algorithm.
  * FastCDC was proposed in the USENIX ATC '16 paper "FastCDC: a Fast and Efficient Content-Defined Chunking Approach for Data Deduplication".
  * It is much faster than Rabin fingerprinting because it uses Gear hashing.
+ *
+ * Two chunker versions exist, and a manifest records which one produced its boundaries:
+ *   v1 - the original educational implementation (BigInt gear hash, contiguous low-bit masks).
+ *        Kept only so manifests created with it keep deduplicating against new uploads.
+ *   v2 - the production chunker: Uint32 gear arithmetic, masks with spread-out bits and
+ *        normalized chunking (NC1-NC3) as described in the paper.
  */
+import { open } from "node:fs/promises";
 
-// 1. Generate Gear Hash Table
-// FastCDC uses a precalculated array of 256 random 64-bit integers.
-// For JS, we use BigInt to represent 64-bit integers.
-const GEAR_SEED = 1337n;
-const GEAR_TABLE = new BigInt64Array(256);
+const CHUNKER_ALGORITHM = "fastcdc";
+const CHUNKER_VERSION = 2;
+const DEFAULT_GEAR_SEED = 1337;
+const DEFAULT_NORMALIZATION = 2;
 
-// A simple deterministic PRNG just to generate the table
-function lcg(seed) {
-    let state = seed;
-    return function () {
-        state = (state * 6364136223846793005n + 1442695040888963407n) & 0xffffffffffffffffn;
-        return state;
-    };
+// ---- v2: 32-bit Gear table ----
+// 256 pseudo-random 32-bit integers from a deterministic PRNG (splitmix32), so every
+// machine derives the same table - and therefore the same boundaries - from the same seed.
+const gearTables = new Map();
+
+function gearTable(seed) {
+    if (gearTables.has(seed)) return gearTables.get(seed);
+
+    const table = new Uint32Array(256);
+    let state = seed >>> 0;
+    for (let i = 0; i < 256; i++) {
+        state = (state + 0x9e3779b9) >>> 0;
+        let z = state;
+        z = Math.imul(z ^ (z >>> 16), 0x85ebca6b) >>> 0;
+        z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35) >>> 0;
+        table[i] = (z ^ (z >>> 16)) >>> 0;
+    }
+    gearTables.set(seed, table);
+    return table;
 }
-const rand = lcg(GEAR_SEED);
-for (let i = 0; i < 256; i++) {
-    GEAR_TABLE[i] = rand();
+
+/**
+ * Builds a 32-bit mask with `bits` ones spread evenly from the most significant bit down.
+ * Gear hashing shifts left once per byte, so high bits depend on a wider window of input
+ * than low bits; spreading the ones (instead of using `(1 << bits) - 1`) gives the
+ * cut-point test a larger effective window and a distribution closer to the paper's.
+ */
+function spreadMask(bits) {
+    bits = Math.max(1, Math.min(31, bits));
+    let mask = 0;
+    for (let i = 0; i < bits; i++) {
+        const position = 31 - Math.floor((i * 32) / bits);
+        mask |= 1 << position;
+    }
+    return mask >>> 0;
 }
 
 /**
@@ -31,28 +61,38 @@ class FastCDCConfig {
      * @param {number} minSize - Minimum chunk size
      * @param {number} avgSize - Target average chunk size
      * @param {number} maxSize - Maximum chunk size
+     * @param {object} [options]
+     * @param {number} [options.normalization=2] - Normalization level (0 = none, 1-3 = NC1-NC3)
+     * @param {number} [options.seed=1337] - Seed of the Gear table
      */
-    constructor(minSize = 2048, avgSize = 8192, maxSize = 65536) {
+    constructor(minSize = 2048, avgSize = 8192, maxSize = 65536, options = {}) {
         this.minSize = minSize;
         this.avgSize = avgSize;
         this.maxSize = maxSize;
+        this.normalization = options.normalization !== undefined ? options.normalization : DEFAULT_NORMALIZATION;
+        this.seed = options.seed !== undefined ? options.seed : DEFAULT_GEAR_SEED;
 
-        // Mask calculations based on avgSize to normalize chunk size distribution.
-        // We use two masks: a stricter mask for the first half of the chunk,
-        // and a looser mask for the second half.
-        // Find the number of bits needed to represent avgSize.
-        let bits = Math.log2(avgSize);
-        let maskBits = Math.floor(bits);
+        if (!(minSize > 0 && minSize <= avgSize && avgSize <= maxSize)) {
+            throw new Error(`Invalid FastCDC sizes: min=${minSize} avg=${avgSize} max=${maxSize}`);
+        }
+        if (!Number.isInteger(this.normalization) || this.normalization < 0 || this.normalization > 3) {
+            throw new Error(`Invalid FastCDC normalization level: ${this.normalization}`);
+        }
 
-        // This is a simplified mask generation for learning purposes
-        this.maskS = (1n << BigInt(maskBits + 1)) - 1n;
-        this.maskL = (1n << BigInt(maskBits - 1)) - 1n;
+        // Normalized chunking: a stricter mask (more bits) before avgSize makes early cuts
+        // rarer, a looser mask (fewer bits) after it makes late cuts likelier, squeezing the
+        // chunk size distribution around avgSize.
+        const bits = Math.round(Math.log2(avgSize));
+        this.maskS = spreadMask(bits + this.normalization);
+        this.maskL = spreadMask(bits - this.normalization);
     }
 }
 
 class FastCDC {
     constructor(config = new FastCDCConfig()) {
         this.config = config;
+        this.version = CHUNKER_VERSION;
+        this.gear = gearTable(config.seed);
     }
 
     /**
@@ -75,47 +115,202 @@ class FastCDC {
     }
 
     getChunkSize(data, offset, remainingLen) {
+        const { minSize, avgSize, maxSize, maskS, maskL } = this.config;
+        const gear = this.gear;
+
         // If remaining data is smaller than minSize, just return the rest
+        if (remainingLen <= minSize) {
+            return remainingLen;
+        }
+
+        const limit = Math.min(maxSize, remainingLen);
+        const normalSize = Math.min(avgSize, limit);
+
+        // FastCDC skips hashing the first minSize bytes: a cut there is never allowed anyway
+        let hash = 0;
+        let i = minSize;
+
+        // Phase 1: stricter mask (maskS) until the normal size
+        for (; i < normalSize; i++) {
+            hash = ((hash << 1) + gear[data[offset + i]]) >>> 0;
+            if ((hash & maskS) === 0) {
+                return i;
+            }
+        }
+
+        // Phase 2: looser mask (maskL) until the maximum size
+        for (; i < limit; i++) {
+            hash = ((hash << 1) + gear[data[offset + i]]) >>> 0;
+            if ((hash & maskL) === 0) {
+                return i;
+            }
+        }
+
+        // If no boundary found until maxSize, force cut at maxSize
+        return limit;
+    }
+}
+
+// ---- v1: legacy chunker ----
+// Unchanged from the original educational implementation. Do not modify: manifests created
+// before chunker versioning depend on these exact boundaries for deduplication and resume.
+const LEGACY_GEAR_SEED = 1337n;
+const LEGACY_GEAR_TABLE = new BigInt64Array(256);
+
+// A simple deterministic PRNG just to generate the table
+function lcg(seed) {
+    let state = seed;
+    return function () {
+        state = (state * 6364136223846793005n + 1442695040888963407n) & 0xffffffffffffffffn;
+        return state;
+    };
+}
+const legacyRand = lcg(LEGACY_GEAR_SEED);
+for (let i = 0; i < 256; i++) {
+    LEGACY_GEAR_TABLE[i] = legacyRand();
+}
+
+class LegacyFastCDC {
+    constructor(config = new FastCDCConfig()) {
+        this.config = config;
+        this.version = 1;
+
+        // This is a simplified mask generation for learning purposes
+        let maskBits = Math.floor(Math.log2(config.avgSize));
+        this.maskS = (1n << BigInt(maskBits + 1)) - 1n;
+        this.maskL = (1n << BigInt(maskBits - 1)) - 1n;
+    }
+
+    chunk(data) {
+        return FastCDC.prototype.chunk.call(this, data);
+    }
+
+    getChunkSize(data, offset, remainingLen) {
         if (remainingLen <= this.config.minSize) {
             return remainingLen;
         }
 
-        // Limit the maximum checked length
         let limit = Math.min(this.config.maxSize, remainingLen);
-
-        // FastCDC ignores the string content up to minSize to save hashing time
         let hash = 0n;
         let i = this.config.minSize;
         let normalSize = this.config.avgSize;
 
-        // Phase 1: Use stricter mask (maskS)
         while (i < normalSize && i < limit) {
-            let byte = data[offset + i];
-            // Gear Hashing operation: Left shift 1 bit, and add Gear table value
-            hash = ((hash << 1n) + GEAR_TABLE[byte]) & 0xffffffffffffffffn;
-
-            if ((hash & this.config.maskS) === 0n) {
+            hash = ((hash << 1n) + LEGACY_GEAR_TABLE[data[offset + i]]) & 0xffffffffffffffffn;
+            if ((hash & this.maskS) === 0n) {
                 return i;
             }
             i++;
         }
 
-        // Phase 2: Use looser mask (maskL) to forcefully find a boundary 
-        // if Phase 1 didn't find one, reducing abnormally large chunks
         while (i < limit) {
-            let byte = data[offset + i];
-            // Gear Hashing operation
-            hash = ((hash << 1n) + GEAR_TABLE[byte]) & 0xffffffffffffffffn;
-
-            if ((hash & this.config.maskL) === 0n) {
+            hash = ((hash << 1n) + LEGACY_GEAR_TABLE[data[offset + i]]) & 0xffffffffffffffffn;
+            if ((hash & this.maskL) === 0n) {
                 return i;
             }
             i++;
         }
 
-        // If no boundary found until maxSize, force cut at maxSize
         return limit;
     }
 }
 
-export { FastCDC, FastCDCConfig };
+/**
+ * Returns the chunker that produced (or should keep producing) a manifest's boundaries.
+ * Manifests without a `chunker` tag predate versioning and were cut by v1; manifests whose
+ * tag carries sizes are re-chunked with exactly those parameters, not with `config`.
+ * @param {object|undefined} tag - The manifest's `chunker` field (see chunkerTag)
+ * @param {FastCDCConfig} config - Parameters to use when the tag doesn't record any
+ */
+function createChunker(tag, config) {
+    const version = tag ? tag.version : 1;
+    if (tag && tag.algorithm !== CHUNKER_ALGORITHM) {
+        throw new Error(`Unsupported chunker algorithm: ${tag.algorithm}`);
+    }
+    const effectiveConfig = tag && tag.min_size !== undefined
+        ? new FastCDCConfig(tag.min_size, tag.avg_size, tag.max_size, { normalization: tag.normalization, seed: tag.seed })
+        : config;
+    if (version === 1) return new LegacyFastCDC(effectiveConfig);
+    if (version === CHUNKER_VERSION) return new FastCDC(effectiveConfig);
+    throw new Error(`Unsupported FastCDC version: ${version}`);
+}
+
+/**
+ * Everything needed to reproduce a chunker's boundaries, written into every manifest.
+ * v1 ignores normalization and uses a fixed BigInt table, so only its sizes are recorded.
+ */
+function chunkerTag(chunker) {
+    const { minSize, avgSize, maxSize, normalization, seed } = chunker.config;
+    const tag = { algorithm: CHUNKER_ALGORITHM, version: chunker.version, min_size: minSize, avg_size: avgSize, max_size: maxSize };
+    if (chunker.version >= 2) {
+        tag.normalization = normalization;
+        tag.seed = seed;
+    }
+    return tag;
+}
+
+/**
+ * Lists the parameters in which `requested` differs from the chunker actually in use.
+ * @returns {string[]} e.g. ["max_size: 92160 -> 65536"], empty when they match
+ */
+function chunkerMismatch(chunker, requested) {
+    const fields = [["min_size", "minSize"], ["avg_size", "avgSize"], ["max_size", "maxSize"]];
+    if (chunker.version >= 2) fields.push(["normalization", "normalization"], ["seed", "seed"]);
+
+    return fields
+        .filter(([, prop]) => chunker.config[prop] !== requested[prop])
+        .map(([name, prop]) => `${name}: ${chunker.config[prop]} -> ${requested[prop]}`);
+}
+
+/**
+ * Streams a file through a chunker, reading every byte exactly once.
+ * The file is read in large blocks; only the unconsumed tail (< maxSize) is carried over
+ * when the buffer is refilled, so boundaries are identical to chunking the whole file in memory.
+ * @param {string} filePath
+ * @param {FastCDC|LegacyFastCDC} chunker
+ * @param {object} [options]
+ * @param {number} [options.bufferSize=4MiB]
+ * @yields {{ offset: number, data: Buffer }} Each chunk's file offset and a copy of its bytes
+ */
+async function* chunkFile(filePath, chunker, { bufferSize = 4 * 1024 * 1024 } = {}) {
+    const { maxSize } = chunker.config;
+    const buffer = Buffer.alloc(Math.max(bufferSize, maxSize * 2));
+    const fileHandle = await open(filePath, "r");
+
+    let start = 0;
+    let end = 0;
+    let fileOffset = 0;
+    let readPosition = 0;
+    let eof = false;
+
+    try {
+        while (true) {
+            // Keep at least maxSize bytes ahead of the cursor so a cut is never forced early
+            if (!eof && end - start < maxSize) {
+                buffer.copy(buffer, 0, start, end);
+                end -= start;
+                start = 0;
+                while (end < buffer.length) {
+                    const { bytesRead } = await fileHandle.read(buffer, end, buffer.length - end, readPosition);
+                    if (bytesRead === 0) {
+                        eof = true;
+                        break;
+                    }
+                    end += bytesRead;
+                    readPosition += bytesRead;
+                }
+            }
+
+            if (start === end) break;
+
+            const chunkLen = chunker.getChunkSize(buffer, start, end - start);
+            yield { offset: fileOffset, data: Buffer.from(buffer.subarray(start, start + chunkLen)) };
+            start += chunkLen;
+            fileOffset += chunkLen;
+        }
+    } finally {
+        await fileHandle.close();
+    }
+}
+
+export { FastCDC, FastCDCConfig, LegacyFastCDC, createChunker, chunkerTag, chunkerMismatch, chunkFile, CHUNKER_VERSION };
@@ -1,71 +1,129 @@
 import fs from "node:fs";
 import { open, rename, unlink } from "node:fs/promises";
-import crypto from "node:crypto";
-import axios from "axios";
-import { fileURLToPath } from "node:url";
 
-import { loadOrGenerateKey, decrypt } from "./CryptoUtils.js";
+import { decrypt, chunkIdMatches, cipherHashMatches } from "./CryptoUtils.js";
+import { getByLocator } from "./StorageBackend.js";
+import { openManifest } from "./ManifestFile.js";
+import { fetchWithParity } from "./FileDustParity.js";
 
-const calculateHash = (buffer) => {
-    return crypto.createHash("md5").update(buffer).digest("hex");
+// 断点续传进度记录 (与 .tmp 同目录的小文件)，主要保存已写入分片的明文长度，
+// 以便旧版星图 (没有记录分片 size) 也能在重启时逐片校验已写入的内容
+const loadProgress = (progressFilename, manifest) => {
+    if (!fs.existsSync(progressFilename)) return null;
+    try {
+        const progress = JSON.parse(fs.readFileSync(progressFilename, "utf-8"));
+        return progress.file_hash === manifest.file_hash ? progress : null;
+    } catch (e) {
+        return null;
+    }
 };
 
-export const downloadFromDust = async (manifestPath, password) => {
-    const manifestContent = fs.readFileSync(manifestPath, "utf-8");
-    const manifest = JSON.parse(manifestContent);
+// 按清单顺序逐片比对临时文件中的明文标识，返回第一个缺失 (或损坏) 分片的位置
+const findResumePoint = async (tempFilename, chunks, progress, key) => {
+    if (!fs.existsSync(tempFilename)) return { index: 0, offset: 0 };
 
-    // 临时文件，一边下一边写
-    const tempFilename = `restored_${manifest.filename}.tmp`;
-    const finalFilename = `restored_${manifest.filename}`;
+    const sizes = progress && Array.isArray(progress.sizes) ? progress.sizes : [];
+    const fileHandle = await open(tempFilename, "r");
+    let index = 0;
+    let offset = 0;
+    try {
+        for (; index < chunks.length; index++) {
+            const chunk = chunks[index];
+            const size = typeof chunk.size === "number" ? chunk.size : sizes[index];
+            if (typeof size !== "number" || !chunk.plain_hash) break;
+
+            const buf = Buffer.alloc(size);
+            const { bytesRead } = await fileHandle.read(buf, 0, size, offset);
+            if (bytesRead < size || !chunkIdMatches(buf, key, chunk.plain_hash)) break;
+            offset += size;
+        }
+    } finally {
+        await fileHandle.close();
+    }
+    return { index, offset };
+};
 
-    const { key } = await loadOrGenerateKey(password);
+/**
+ * 从星图还原文件，中断后再次调用会从断点继续
+ * @param {string} manifestPath
+ * @param {string|object} credentials - 密码，或 { privateKeys } 等接收者凭据 (见 ManifestFile.normalizeCredentials)
+ * @param {object} [options]
+ * @param {string} [options.output] - 输出路径，默认 restored_<文件名>
+ * @returns {Promise<string|null>} 输出路径；下载中断 (已保留进度) 时为 null
+ */
+export const downloadFromDust = async (manifestPath, credentials, options = {}) => {
+    // 明文星图与加密星图都可以，加密星图用密码或接收者私钥解开
+    const { manifest, key } = await openManifest(manifestPath, credentials);
+
+    // 临时文件，一边下一边写；中断后保留，下次运行时从断点继续
+    const finalFilename = options.output || `restored_${manifest.filename}`;
+    const tempFilename = `${finalFilename}.tmp`;
+    const progressFilename = `${tempFilename}.progress`;
 
     const chunks = manifest.chunks.sort((a, b) => a.part - b.part);
 
     console.log(`📦 正在从星尘中重组: ${finalFilename}`);
     console.log(`🧩 总碎片数: ${chunks.length}`);
 
-    // 使用 write 模式 (顺带清空之前可能遗留的断点残余)
-    const outputFileHandle = await open(tempFilename, "w");
+    const progress = loadProgress(progressFilename, manifest);
+    const resumePoint = await findResumePoint(tempFilename, chunks, progress, key);
+    const sizes = progress && Array.isArray(progress.sizes) ? progress.sizes.slice(0, resumePoint.index) : [];
+    if (resumePoint.index > 0) {
+        console.log(`♻️  发现上次未完成的重组进度，校验通过 ${resumePoint.index}/${chunks.length} 个碎片，从第 ${resumePoint.index} 片继续...`);
+    }
+
+    const saveProgress = (partsWritten, bytesWritten) => {
+        fs.writeFileSync(progressFilename, JSON.stringify({
+            filename: manifest.filename,
+            file_hash: manifest.file_hash,
+            parts_written: partsWritten,
+            bytes_written: bytesWritten,
+            sizes,
+        }));
+    };
+
+    // 已校验的部分原样保留，截掉断点之后可能写了一半的残余
+    const outputFileHandle = await open(tempFilename, resumePoint.index > 0 ? "r+" : "w");
+    let writeOffset = resumePoint.offset;
 
     // 不使用并发，顺序下载写入，保证写入顺序且完美控制内存消耗 (恒定约 100KB)
     try {
-        for (const chunkInfo of chunks) {
-            const { part, url, hash: expectedHash } = chunkInfo;
+        await outputFileHandle.truncate(writeOffset);
+        saveProgress(resumePoint.index, writeOffset);
+
+        for (let i = resumePoint.index; i < chunks.length; i++) {
+            const { part, url, hash: expectedHash } = chunks[i];
 
             process.stdout.write(`[${part}] ☁️  捕捉飘落的碎片: ${url.substring(0, 30)}... `);
 
             let netData = null;
             try {
-                // 下载密文分片
-                const response = await axios.get(url, {
-                    responseType: "arraybuffer", // 必须以二进制进行下载
-                    timeout: 30000,
+                // 从分片所在的存储后端下载密文，并根据 manifest 校验网络下载的包有无损坏；
+                // 拿不到或已损坏的分片如果有校验分片保护，就用同一条带的其他分片重建
+                netData = await fetchWithParity(manifest, chunks[i], async (chunkUrl) => {
+                    const buf = await getByLocator(chunkUrl, { timeout: 30000, validate: (data) => cipherHashMatches(data, expectedHash) });
+                    if (!cipherHashMatches(buf, expectedHash)) {
+                        throw new Error("云端碎片 Hash 校验跌出预期，碎片可能已损坏或丢包!");
+                    }
+                    return buf;
                 });
 
-                netData = Buffer.from(response.data);
-
-                // 根据 manifest 校验网络下载的包有无损坏
-                if (calculateHash(netData) !== expectedHash) {
-                    throw new Error("云端碎片 Hash 校验跌出预期，碎片可能已损坏或丢包!");
-                }
-
                 // 本地瞬时解密还原
                 const decryptedChunk = await decrypt(netData, key, { autoJson: false });
 
-                // 追加写入到本地临时文件
-                await outputFileHandle.write(decryptedChunk);
+                // 写入到本地临时文件的断点位置
+                await outputFileHandle.write(decryptedChunk, 0, decryptedChunk.length, writeOffset);
+                writeOffset += decryptedChunk.length;
+                sizes[i] = decryptedChunk.length;
+                saveProgress(i + 1, writeOffset);
 
                 console.log("✅ 成功");
 
             } catch (e) {
+                // 保留临时文件与进度记录，下次运行从此处继续
                 console.error(`\n❌ 获取或拼装失败: ${e.message}`);
-                // 出现致命错误，清理现场
-                await outputFileHandle.close();
-                if (fs.existsSync(tempFilename)) {
-                    await unlink(tempFilename);
-                }
-                return;
+                console.error(`💾 已保留 ${i}/${chunks.length} 个碎片的进度 (${tempFilename})，重新运行即可断点续传`);
+                return null;
             }
         }
     } finally {
@@ -77,9 +135,7 @@ export const downloadFromDust = async (manifestPath, password) => {
         await unlink(finalFilename); // 如果已存在同名还原文件则覆盖
     }
     await rename(tempFilename, finalFilename);
+    await unlink(progressFilename).catch(() => { });
     console.log(`\n🎉 浩瀚星尘重组完毕！还原所得文件: ${finalFilename}`);
+    return finalFilename;
 };
-
-if (process.argv[1] === fileURLToPath(import.meta.url)) {
-    console.log("FileDust Merger \n请使用引入的方式调用 downloadFromDust(manifestPath, password)");
-}
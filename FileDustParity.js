@@ -0,0 +1,229 @@
+import { sha256Hex, cipherHashMatches } from "./CryptoUtils.js";
+import { getByLocator } from "./StorageBackend.js";
+import { retry } from "./Retry.js";
+import { encode, reconstruct, MAX_SHARDS } from "./ReedSolomon.js";
+
+// 纠删码校验分片：网关偶尔会丢失或拒绝提供个别分片，只要一个分片拿不到，整个文件就还原不出来。
+// 开启后，每上传 k 个新分片 (密文) 就用 Reed-Solomon 算出 m 个校验分片一起上传，这 k + m 个分片组成一个条带 (stripe)。
+// 同一条带中任意丢失不超过 m 个分片，都能用剩下的分片重建出原密文，再照常校验与解密。
+//
+// 条带记录在星图的 parity 字段中，自带成员的密文摘要、位置与长度，不依赖 chunks / pool 的布局:
+//   parity: { algorithm: "reed-solomon", k, m, stripes: [{ size, data: [{ hash, url, length }], parity: [{ hash, url }] }] }
+// 密文长度不一的分片补零到条带内最长分片的长度 (size) 再编码；校验分片由密文线性组合而成，不需要再加密。
+// 只有开启校验后新上传的分片受保护，秒传复用的分片沿用它原来所在的条带 (如果有)。
+
+export const PARITY_ALGORITHM = "reed-solomon";
+export const PARITY_DEFAULT_M = 2;
+
+const defaultFetch = (url, hash) => getByLocator(url, { timeout: 30000, validate: (data) => cipherHashMatches(data, hash) });
+
+/**
+ * 解析 "k+m" 形式的校验参数，例如 "8+2" 表示每 8 个数据分片配 2 个校验分片；只写 k 时 m 默认为 2
+ * @param {string|{ k: number, m: number }} spec
+ * @returns {{ k: number, m: number }}
+ */
+export const parseParitySpec = (spec) => {
+    let k;
+    let m;
+    if (typeof spec === "object" && spec !== null) {
+        ({ k, m = PARITY_DEFAULT_M } = spec);
+    } else {
+        const match = /^\s*(\d+)\s*(?:\+\s*(\d+))?\s*$/.exec(String(spec));
+        if (match) {
+            k = Number(match[1]);
+            m = match[2] === undefined ? PARITY_DEFAULT_M : Number(match[2]);
+        }
+    }
+    if (!Number.isInteger(k) || !Number.isInteger(m) || k < 1 || m < 1 || k + m > MAX_SHARDS) {
+        throw new Error(`无效的校验参数 "${typeof spec === "object" ? JSON.stringify(spec) : spec}"，格式为 k+m (k、m 至少为 1，k + m 不超过 ${MAX_SHARDS})`);
+    }
+    return { k, m };
+};
+
+/**
+ * 本次上传用的校验参数：显式指定的优先，否则沿用星图已记录的设置
+ * @param {string|{ k: number, m: number }|false|undefined} option - 上传选项中的 parity，false 表示本次不写校验分片
+ * @param {object} manifest
+ * @returns {{ k: number, m: number } | null}
+ */
+export const resolveParitySpec = (option, manifest) => {
+    if (option === false) return null;
+    if (option) return parseParitySpec(option);
+    return manifest.parity ? { k: manifest.parity.k, m: manifest.parity.m } : null;
+};
+
+/**
+ * 把一组密文补零到等长后算出 m 个校验分片并上传
+ * @returns {Promise<{ size: number, parity: Array<{ hash: string, url: string }> }>}
+ */
+const writeParityShards = async (datas, m, storage, name) => {
+    const size = Math.max(...datas.map((data) => data.length));
+    const shards = datas.map((data) => {
+        const shard = Buffer.alloc(size);
+        data.copy(shard);
+        return shard;
+    });
+    const parity = [];
+    for (const [i, shard] of encode(shards, m).entries()) {
+        const url = await retry(async () => storage.put(shard, { filename: `${name}.parity${i}` }), 3, 2000);
+        parity.push({ hash: sha256Hex(shard), url });
+    }
+    return { size, parity };
+};
+
+/**
+ * 边上传边组条带：每凑齐 k 个新上传的密文分片，就算出并上传 m 个校验分片，把条带记进 manifest.parity
+ * @param {object} manifest - 星图对象 (就地修改)
+ * @param {{ k: number, m: number }} spec
+ * @param {object} storage - getStorageBackend() 返回的写入后端
+ * @param {string} name - 校验分片的文件名前缀
+ * @returns {{ add: (hash: string, url: string, encryptedChunk: Buffer) => Promise<void>, finish: () => Promise<void> }}
+ *   add 在凑齐 k 个时等校验分片上传完才返回；finish 把最后不足 k 个的一批也写成条带
+ */
+export const createParityWriter = (manifest, { k, m }, storage, name) => {
+    if (!manifest.parity) manifest.parity = { algorithm: PARITY_ALGORITHM, k, m, stripes: [] };
+    Object.assign(manifest.parity, { k, m });
+    let members = [];
+    let nextStripe = manifest.parity.stripes.length;
+
+    const flush = async () => {
+        if (members.length === 0) return;
+        const batch = members;
+        members = [];
+
+        // 并发上传时可能有两批同时在编码，编号在这里先占好
+        const stripeNum = nextStripe++;
+        const { size, parity } = await writeParityShards(batch.map((member) => member.data), m, storage, `${name}.stripe${String(stripeNum).padStart(3, "0")}`);
+        manifest.parity.stripes.push({
+            size,
+            data: batch.map(({ hash, url, data }) => ({ hash, url, length: data.length })),
+            parity,
+        });
+        console.log(`🛡️  已为 ${batch.length} 个分片写入 ${m} 个校验分片 (条带 ${stripeNum})`);
+    };
+
+    return {
+        async add(hash, url, encryptedChunk) {
+            members.push({ hash, url, data: encryptedChunk });
+            if (members.length >= k) await flush();
+        },
+        finish: flush,
+    };
+};
+
+/**
+ * 条带的数据分片换成了新密文 (例如修复时重新加密上传) 之后，按新的成员重新计算并上传校验分片
+ * 所有成员都要能下载并通过摘要校验；任何一个拿不到都会报错，条带保持原样 (对其余成员仍然有效)
+ * @param {object} manifest - 星图对象 (就地修改)
+ * @param {number} stripeIndex - manifest.parity.stripes 中的下标
+ * @param {Map<string, { hash: string, url: string, length: number }>} replacements - 旧密文摘要 -> 新成员
+ * @param {object} storage - getStorageBackend() 返回的写入后端
+ * @param {string} name - 校验分片的文件名前缀
+ * @param {object} [options]
+ * @param {(url: string, hash: string) => Promise<Buffer>} [options.fetch] - 下载一个分片，默认 getByLocator (多网关时按 hash 跳过返回错误数据的网关)
+ */
+export const reencodeStripe = async (manifest, stripeIndex, replacements, storage, name, options = {}) => {
+    const fetch = options.fetch || defaultFetch;
+    const stripe = manifest.parity.stripes[stripeIndex];
+    const data = stripe.data.map((member) => replacements.get(member.hash) || member);
+    const datas = [];
+    for (const member of data) {
+        const buf = await fetch(member.url, member.hash);
+        if (!cipherHashMatches(buf, member.hash)) throw new Error(`条带成员 ${member.hash.slice(0, 12)}… 密文 Hash 不一致`);
+        datas.push(buf);
+    }
+    const { size, parity } = await writeParityShards(datas, manifest.parity.m, storage, `${name}.stripe${String(stripeIndex).padStart(3, "0")}`);
+    Object.assign(stripe, { size, data, parity });
+    console.log(`🛡️  已为条带 ${stripeIndex} 重新写入 ${parity.length} 个校验分片`);
+};
+
+/**
+ * 去掉所有成员都已不被星图引用的条带 (文件改动后重新上传时，旧版本独有的分片不再需要保护)
+ * @param {object} manifest
+ * @param {Set<string>} liveHashes - 星图仍在引用的密文摘要
+ */
+export const pruneParity = (manifest, liveHashes) => {
+    if (!manifest.parity) return;
+    manifest.parity.stripes = manifest.parity.stripes.filter((stripe) => stripe.data.some((member) => liveHashes.has(member.hash)));
+    if (manifest.parity.stripes.length === 0) delete manifest.parity;
+};
+
+const findStripe = (manifest, hash) => {
+    if (!manifest.parity || !Array.isArray(manifest.parity.stripes)) return null;
+    for (const stripe of manifest.parity.stripes) {
+        const index = stripe.data.findIndex((member) => member.hash === hash);
+        if (index !== -1) return { stripe, index };
+    }
+    return null;
+};
+
+/**
+ * 密文摘要为 hash 的分片是否有校验分片保护
+ * @param {object} manifest
+ * @param {string} hash
+ */
+export const canRecover = (manifest, hash) => !!findStripe(manifest, hash);
+
+/**
+ * 用同一条带中其余的数据分片与校验分片重建一个拿不到或已损坏的分片
+ * @param {object} manifest
+ * @param {string} hash - 要重建的分片的密文摘要
+ * @param {object} [options]
+ * @param {(url: string, hash: string) => Promise<Buffer>} [options.fetch] - 下载一个分片，默认 getByLocator (多网关时按 hash 跳过返回错误数据的网关)
+ * @returns {Promise<Buffer>} 通过了密文摘要校验的密文
+ */
+export const recoverChunk = async (manifest, hash, options = {}) => {
+    const fetch = options.fetch || defaultFetch;
+    const found = findStripe(manifest, hash);
+    if (!found) throw new Error(`分片 ${hash.slice(0, 12)}… 没有校验分片保护，无法重建`);
+    const { stripe, index } = found;
+    const k = stripe.data.length;
+    const members = [...stripe.data, ...stripe.parity];
+
+    // 逐个下载条带中的其他分片，凑够 k 个通过校验的就停
+    const shards = new Array(members.length).fill(null);
+    let available = 0;
+    const errors = [];
+    for (let i = 0; i < members.length && available < k; i++) {
+        if (i === index) continue;
+        try {
+            const buf = await fetch(members[i].url, members[i].hash);
+            if (!cipherHashMatches(buf, members[i].hash)) throw new Error("Hash 不一致");
+            const shard = Buffer.alloc(stripe.size);
+            buf.copy(shard);
+            shards[i] = shard;
+            available++;
+        } catch (e) {
+            errors.push(`${i < k ? "数据" : "校验"}分片 ${i < k ? i : i - k}: ${e.message}`);
+        }
+    }
+    if (available < k) {
+        throw new Error(`条带中可用分片不足 (${available}/${k})，无法重建: ${errors.join("; ")}`);
+    }
+
+    const rebuilt = reconstruct(shards, k)[index].subarray(0, stripe.data[index].length);
+    if (!cipherHashMatches(rebuilt, hash)) {
+        throw new Error(`重建出的分片 ${hash.slice(0, 12)}… 密文 Hash 不一致`);
+    }
+    console.log(`🛡️  已用校验分片重建分片 ${hash.slice(0, 12)}…`);
+    return rebuilt;
+};
+
+/**
+ * 下载一个密文分片并校验摘要；拿不到或内容不对时，如果它有校验分片保护就就地重建
+ * @param {object} manifest
+ * @param {{ hash: string, url: string }} chunk
+ * @param {(url: string) => Promise<Buffer>} fetch - 常规下载 (可以自带重试)
+ * @returns {Promise<Buffer>}
+ */
+export const fetchWithParity = async (manifest, { hash, url }, fetch) => {
+    try {
+        const buf = await fetch(url);
+        if (!cipherHashMatches(buf, hash)) throw new Error("密文 Hash 不一致");
+        return buf;
+    } catch (e) {
+        if (!canRecover(manifest, hash)) throw e;
+        console.warn(`🛡️  分片 ${url} 不可用 (${e.message})，尝试用校验分片重建...`);
+        return recoverChunk(manifest, hash);
+    }
+};
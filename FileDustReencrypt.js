@@ -0,0 +1,99 @@
+import pLimit from "p-limit";
+
+import { encrypt, decrypt, chunkId, chunkIdMatches, sha256Hex, cipherHashMatches } from "./CryptoUtils.js";
+import { getStorageBackend, getByLocator } from "./StorageBackend.js";
+import { retry } from "./Retry.js";
+import { createParityWriter, fetchWithParity } from "./FileDustParity.js";
+
+// 换数据密钥：把星图引用的每个分片下载、用旧数据密钥解密，再用新数据密钥加密后重新上传。
+// 与换密码 (ManifestFile.rekeyManifest，只重新包裹同一把数据密钥) 不同，换完之后旧数据密钥解不开星图的任何新分片。
+// 分享给接收者之前要先这样做：新星图默认使用仓库共用的数据密钥 (跨文件去重依赖它)，直接包裹给对方等于交出整个仓库。
+//
+// 明文标识 (HMAC) 由数据密钥派生，所以 .dust 的 plain_hash、pool 的键以及各版本对它们的引用都一并换新；
+// 校验条带按原来的 k + m 为新分片重新生成。旧分片留在存储后端中 (Arweave 上也删不掉)，星图不再引用它们。
+
+/**
+ * 把星图的所有分片换到新数据密钥下
+ * @param {object} manifest - 已打开的星图 (.dust / .sync.dust / .tree.dust)，不会被修改
+ * @param {Buffer} oldKey - 分片当前的数据密钥
+ * @param {Buffer} newKey
+ * @param {object} [options]
+ * @param {string} [options.name="manifest"] - 新分片的文件名前缀
+ * @param {number} [options.concurrency=3] - 同时处理的分片数
+ * @returns {Promise<object>} 换好密钥的星图副本；任何一个分片失败都会整体报错，原星图保持可用
+ */
+export const reencryptManifest = async (manifest, oldKey, newKey, options = {}) => {
+    const { name = "manifest", concurrency = 3 } = options;
+    const next = structuredClone(manifest);
+    const storage = getStorageBackend();
+    const limiter = pLimit(concurrency);
+
+    let parity = null;
+    if (next.parity) {
+        const { k, m } = next.parity;
+        delete next.parity;
+        parity = createParityWriter(next, { k, m }, storage, `${name}.rekey`);
+    }
+
+    // 同一密文 (相同内容出现在多个位置) 只处理一次
+    const converted = new Map(); // 旧密文摘要 -> Promise<{ id, hash, url, size }>
+    const convert = (chunk, expectedId) => {
+        if (!converted.has(chunk.hash)) {
+            converted.set(chunk.hash, limiter(async () => {
+                // 拿不到的分片尽量用原星图的校验条带重建
+                const buf = await fetchWithParity(manifest, chunk, (url) => retry(async () => getByLocator(url, {
+                    timeout: 30000,
+                    validate: (data) => cipherHashMatches(data, chunk.hash),
+                }), 3));
+                const plain = await decrypt(buf, oldKey, { autoJson: false });
+                if (expectedId && !chunkIdMatches(plain, oldKey, expectedId)) {
+                    throw new Error(`分片 ${expectedId.slice(0, 12)}… 明文标识不一致，内容可能被篡改`);
+                }
+                const encryptedChunk = await encrypt(plain, newKey, { returnBuffer: true });
+                const hash = sha256Hex(encryptedChunk);
+                const url = await retry(async () => storage.put(encryptedChunk, { filename: `${name}.rekey` }), 3, 2000);
+                if (parity) await parity.add(hash, url, encryptedChunk);
+                return { id: chunkId(plain, newKey), hash, url, size: plain.length };
+            }));
+        }
+        return converted.get(chunk.hash);
+    };
+
+    // .dust 的分片与早期内联在版本中的分片自带 plain_hash；pool 的条目以键为明文标识
+    const inline = [
+        ...(next.chunks || []),
+        ...(next.versions || []).flatMap((v) => (v.chunks || []).filter((c) => c && typeof c === "object")),
+    ];
+    const poolIds = Object.keys(next.pool || {});
+    console.log(`🔑 正在把 ${inline.length + poolIds.length} 个分片换到新的数据密钥下...`);
+    const results = await Promise.all([
+        ...inline.map((chunk) => convert(chunk, chunk.plain_hash)),
+        ...poolIds.map((id) => convert(next.pool[id], id)),
+    ]);
+
+    inline.forEach((chunk, i) => {
+        const { id, hash, url } = results[i];
+        Object.assign(chunk, { plain_hash: id, hash, url });
+    });
+    if (next.pool) {
+        const renamed = new Map();
+        const pool = {};
+        poolIds.forEach((oldId, i) => {
+            const { id, hash, url, size } = results[inline.length + i];
+            renamed.set(oldId, id);
+            pool[id] = { ...next.pool[oldId], hash, url, size };
+        });
+        next.pool = pool;
+        const rename = (ids) => ids.map((id) => (typeof id === "string" && renamed.has(id) ? renamed.get(id) : id));
+        for (const version of next.versions || []) {
+            if (version.chunks) version.chunks = rename(version.chunks);
+            for (const entry of version.entries || []) {
+                if (entry.chunks) entry.chunks = rename(entry.chunks);
+            }
+        }
+    }
+    if (parity) await parity.finish();
+
+    console.log(`🔑 ✅ 已重新加密并上传 ${converted.size} 个分片`);
+    return next;
+};
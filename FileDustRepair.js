@@ -0,0 +1,187 @@
+import fs from "node:fs";
+import path from "node:path";
+import pLimit from "p-limit";
+
+import { encrypt, chunkId, legacyChunkId, isLegacyDigest, sha256Hex } from "./CryptoUtils.js";
+import { getStorageBackend } from "./StorageBackend.js";
+import { retry } from "./Retry.js";
+import { openChunkIndex } from "./ChunkIndex.js";
+import { openManifest, writeManifest } from "./ManifestFile.js";
+import { FastCDCConfig, createChunker, chunkFile } from "./FastCDC.js";
+import { verifyManifest } from "./FileDustVerify.js";
+import { canRecover, recoverChunk, reencodeStripe } from "./FileDustParity.js";
+
+// 星图修复：verify 找到丢失或损坏的分片后，不必重新上传整个文件。
+// 用星图记录的切片参数重新切分本地副本 (原文件，或同一文件的其他版本)，
+// 只把明文标识与坏分片一致的那些重新加密上传，再就地改写 chunks 或 pool 中的 url 与 hash。
+// 暂时访问不到 (unreachable) 的分片可能只是网络问题，不会被重传。
+//
+// 有校验分片保护的坏分片优先用条带重建出原来的密文，原样重新上传：摘要不变，条带只需改写成员的 url。
+// 重建不了的再从本地副本重新加密上传，密文变了，所在条带要按新成员重新计算校验分片，否则条带会失效。
+
+// 把本地副本展开成文件列表，目录递归展开 (目录快照可以直接给一个目录)
+const listSourceFiles = (sources) => sources.flatMap((source) => {
+    if (!fs.statSync(source).isDirectory()) return [source];
+    return fs.readdirSync(source, { recursive: true })
+        .map((rel) => path.join(source, rel))
+        .filter((file) => fs.lstatSync(file).isFile())
+        .sort();
+});
+
+/**
+ * 用本地副本修复星图中丢失或损坏的分片
+ * @param {string} manifestPath - .dust / .sync.dust / .tree.dust
+ * @param {string|object} credentials - 密码，或 { privateKeys } 等接收者凭据 (见 ManifestFile.normalizeCredentials)
+ * @param {string[]} sources - 原文件或其他版本的本地副本，也可以是目录
+ * @param {object} [options]
+ * @param {"quick"|"deep"} [options.level="deep"] - 用哪一档体检找出坏分片 (见 FileDustVerify)
+ * @param {number} [options.concurrency=3] - 同时上传的分片数
+ * @param {number} [options.chunkSizeKB=90] - 只用于没有记录切片参数的老星图
+ * @param {string|false} [options.index] - 仓库级分片索引路径，其中指向坏分片的条目一并改写；false 表示不动索引
+ * @returns {Promise<{ manifest: string, broken: number, repaired: Array<{ id: string, part?: number, url: string }>, unresolved: Array<{ id?: string, part?: number, error: string }>, skipped: Array<{ id: string, part?: number, url: string, error: string }> }>}
+ */
+export const repairManifest = async (manifestPath, credentials, sources, options = {}) => {
+    const { level = "deep", concurrency = 3, chunkSizeKB = 90 } = options;
+    if (!sources || sources.length === 0) {
+        throw new Error("需要至少一个本地副本才能修复");
+    }
+
+    const health = await verifyManifest(manifestPath, credentials, { level, concurrency });
+    const broken = health.failed.filter((f) => f.reason !== "unreachable");
+    const skipped = health.failed.filter((f) => f.reason === "unreachable");
+    const report = { manifest: manifestPath, broken: broken.length, repaired: [], unresolved: [], skipped };
+    if (skipped.length > 0) {
+        console.warn(`🔧 ${skipped.length} 个分片暂时无法访问，可能只是网络问题，本次不重传`);
+    }
+    if (broken.length === 0) {
+        console.log(`🔧 星图 ${path.basename(manifestPath)} 没有需要修复的分片`);
+        return report;
+    }
+
+    const { manifest, key, kdf, wrappedKey, encrypted } = await openManifest(manifestPath, credentials);
+    const saveManifest = () => writeManifest(manifestPath, manifest, { key, kdf, wrappedKey, encrypt: encrypted });
+    const storage = getStorageBackend();
+    const chunkIndex = options.index === false ? null : openChunkIndex(options.index || undefined);
+    const sharedChunks = chunkIndex ? chunkIndex.forKey(key) : null;
+    const filename = `${path.basename(manifestPath)}.repair`;
+    const repaired = (entries, url) => {
+        for (const entry of entries) report.repaired.push({ ...(entry.id && { id: entry.id }), ...(entry.part !== undefined && { part: entry.part }), url });
+    };
+
+    // 先用校验条带重建：同一份密文换个位置重新上传，引用它的条目与条带成员只改 url
+    const recovered = new Set();
+    for (const hash of new Set(broken.filter((entry) => canRecover(manifest, entry.hash)).map((entry) => entry.hash))) {
+        try {
+            const encryptedChunk = await recoverChunk(manifest, hash);
+            const url = await retry(async () => storage.put(encryptedChunk, { filename }), 3, 2000);
+            const chunks = manifest.pool
+                ? Object.entries(manifest.pool).filter(([, c]) => c.hash === hash)
+                : manifest.chunks.filter((c) => c.hash === hash).map((c) => [c.plain_hash, c]);
+            for (const [id, chunk] of chunks) {
+                chunk.url = url;
+                if (sharedChunks && id && !isLegacyDigest(id)) {
+                    sharedChunks.replace(id, { hash, size: chunk.size, url, backend: storage.name }, manifestPath);
+                }
+            }
+            for (const stripe of manifest.parity.stripes) {
+                for (const member of stripe.data.filter((m) => m.hash === hash)) member.url = url;
+            }
+            await saveManifest();
+            recovered.add(hash);
+            repaired(broken.filter((entry) => entry.hash === hash), url);
+            console.log(`🔧 ✅ 已用校验分片重建并重新上传分片 ${hash.slice(0, 12)}… -> ${url}`);
+        } catch (e) {
+            console.warn(`🔧 ⚠️ 分片 ${hash.slice(0, 12)}… 无法用校验分片重建 (${e.message})，改从本地副本修复`);
+        }
+    }
+
+    // 明文标识 -> 需要修复的条目 (.dust 中同一内容可能出现在多个 part)
+    const targets = new Map();
+    for (const entry of broken) {
+        if (recovered.has(entry.hash)) continue;
+        if (!entry.id) {
+            report.unresolved.push({ part: entry.part, error: "星图没有记录该分片的明文标识，无法在本地副本中定位" });
+            continue;
+        }
+        if (!targets.has(entry.id)) targets.set(entry.id, []);
+        targets.get(entry.id).push(entry);
+    }
+    const hasLegacyIds = [...targets.keys()].some(isLegacyDigest);
+
+    const maxChunkSize = chunkSizeKB * 1024;
+    const avgChunkSize = Math.floor(maxChunkSize / 2);
+    const chunker = createChunker(manifest.chunker, new FastCDCConfig(Math.floor(avgChunkSize / 4), avgChunkSize, maxChunkSize));
+
+    const limiter = pLimit(concurrency);
+    const uploads = [];
+    // 条带下标 -> (旧密文摘要 -> 重新加密后的新成员)，全部上传完再统一重算这些条带的校验分片
+    const stripeUpdates = new Map();
+    const stripeOf = (hash) => (manifest.parity ? manifest.parity.stripes.findIndex((stripe) => stripe.data.some((m) => m.hash === hash)) : -1);
+
+    const reupload = (id, entries, data) => limiter(async () => {
+        const encryptedChunk = await encrypt(data, key, { returnBuffer: true });
+        const hash = sha256Hex(encryptedChunk);
+        const url = await retry(async () => storage.put(encryptedChunk, { filename }), 3, 2000);
+
+        for (const oldHash of new Set(entries.map((entry) => entry.hash))) {
+            const stripeIndex = stripeOf(oldHash);
+            if (stripeIndex === -1) continue;
+            if (!stripeUpdates.has(stripeIndex)) stripeUpdates.set(stripeIndex, new Map());
+            stripeUpdates.get(stripeIndex).set(oldHash, { hash, url, length: encryptedChunk.length });
+        }
+        if (manifest.pool) {
+            Object.assign(manifest.pool[id], { hash, url });
+        } else {
+            for (const chunk of manifest.chunks.filter((c) => c.plain_hash === id)) Object.assign(chunk, { hash, url });
+        }
+        if (sharedChunks && !isLegacyDigest(id)) {
+            sharedChunks.replace(id, { hash, size: data.length, url, backend: storage.name }, manifestPath);
+        }
+        await saveManifest();
+        repaired(entries, url);
+        console.log(`🔧 ✅ 已重新上传分片 ${id.slice(0, 12)}… (${data.length} bytes) -> ${url}`);
+    });
+
+    console.log(`🔧 开始修复 ${path.basename(manifestPath)}: ${targets.size} 个坏分片，在 ${sources.length} 个本地副本中查找`);
+    try {
+        for (const file of listSourceFiles(sources)) {
+            if (targets.size === 0) break;
+            for await (const { data } of chunkFile(file, chunker)) {
+                let id = chunkId(data, key);
+                if (!targets.has(id) && hasLegacyIds) id = legacyChunkId(data);
+                if (!targets.has(id)) continue;
+
+                const entries = targets.get(id);
+                targets.delete(id);
+                uploads.push(reupload(id, entries, data).catch((e) => {
+                    for (const entry of entries) report.unresolved.push({ id, ...(entry.part !== undefined && { part: entry.part }), error: `重新上传失败: ${e.message}` });
+                }));
+                if (targets.size === 0) break;
+            }
+        }
+        await Promise.all(uploads);
+
+        for (const [stripeIndex, replacements] of stripeUpdates) {
+            try {
+                await reencodeStripe(manifest, stripeIndex, replacements, storage, filename);
+                await saveManifest();
+            } catch (e) {
+                console.warn(`🔧 ⚠️ 条带 ${stripeIndex} 的校验分片无法重新计算 (${e.message})，重新上传的分片暂时没有校验保护`);
+            }
+        }
+    } finally {
+        if (chunkIndex) chunkIndex.flush();
+    }
+
+    for (const [id, entries] of targets) {
+        for (const entry of entries) {
+            report.unresolved.push({ id, ...(entry.part !== undefined && { part: entry.part }), error: "本地副本中没有找到相同内容的分片" });
+        }
+    }
+    if (report.unresolved.length > 0) {
+        console.warn(`🔧 已修复 ${report.repaired.length} 个，仍有 ${report.unresolved.length} 个分片无法修复`);
+    } else {
+        console.log(`🔧 🎉 全部 ${report.repaired.length} 个坏分片已修复`);
+    }
+    return report;
+};
@@ -1,18 +1,26 @@
 import fs from "node:fs";
-import { open, writeFile } from "node:fs/promises";
+import { open, rename, unlink } from "node:fs/promises";
 import path from "node:path";
 import crypto from "node:crypto";
 import pLimit from "p-limit";
 import { fileURLToPath } from "node:url";
 
-import { loadOrGenerateKey, encrypt, decrypt } from "./CryptoUtils.js";
-import { uploadDataStream } from "./ArweaveSDK.js";
-import { FastCDC, FastCDCConfig } from "./FastCDC.js";
-import axios from "axios";
+import { encrypt, decrypt, chunkId, legacyChunkId, isLegacyDigest, sha256Hex, chunkIdMatches, cipherHashMatches } from "./CryptoUtils.js";
+import { getStorageBackend, getByLocator, resolveBackend } from "./StorageBackend.js";
+import { retry } from "./Retry.js";
+import { openChunkIndex } from "./ChunkIndex.js";
+import { assertNotIgnored } from "./IgnoreRules.js";
+import { createUploadPlan, describeUploadPlan } from "./UploadCost.js";
+import { openManifest, writeManifest, createManifestKey, encryptManifestByDefault, WRONG_PASSWORD_ERROR } from "./ManifestFile.js";
+import { FastCDCConfig, createChunker, chunkerTag, chunkerMismatch, chunkFile, CHUNKER_VERSION } from "./FastCDC.js";
+import { runOrderedPipeline, integrityError } from "./RestorePipeline.js";
+import { createParityWriter, resolveParitySpec, fetchWithParity } from "./FileDustParity.js";
 
 // 控制并发数，防 Irys/Turbo 封 IP
 const uploadLimit = pLimit(3);
 const downloadLimit = pLimit(5);
+// 恢复时下载最多领先写入进度的分片数，决定了恢复过程的内存上限 (约 RESTORE_WINDOW × 分片大小)
+const RESTORE_WINDOW = 16;
 
 const calculateFileHash = (filePath) => {
     return new Promise((resolve, reject) => {
@@ -24,22 +32,66 @@ const calculateFileHash = (filePath) => {
     });
 };
 
-const retry = async (fn, retries = 3, delayMs = 1000) => {
-    for (let i = 0; i < retries; i++) {
-        try {
-            return await fn();
-        } catch (error) {
-            console.warn(`⚠️ 重试 ${i + 1}/${retries} 失败: ${error.message}`);
-            if (i < retries - 1) {
-                const jitter = Math.random() * 500;
-                await new Promise((resolve) => setTimeout(resolve, delayMs + jitter));
-            }
+// 把 pool 中的一个分片标识改名，并同步替换所有版本中对它的引用
+const renamePoolEntry = (manifest, from, to) => {
+    manifest.pool[to] = manifest.pool[from];
+    delete manifest.pool[from];
+    for (const ver of manifest.versions) {
+        if (!ver.chunks) continue;
+        for (let i = 0; i < ver.chunks.length; i++) {
+            if (ver.chunks[i] === from) ver.chunks[i] = to;
         }
     }
-    throw new Error(`已尝试 ${retries} 次，全部失败`);
 };
 
-export const syncFileToDust = async (filePath, password, chunkSizeKB = 90) => {
+// 旧清单以明文 MD5 作为 pool 的键、以密文 MD5 作为 hash：持有清单的人可以拿猜测的文件逐片比对，
+// MD5 也有现实的碰撞风险。这里把每个旧分片下载解密一次，换成 HMAC-SHA256 标识与 SHA-256 密文摘要。
+// 下载失败的分片保持原样 (新旧标识可以共存，按长度区分)，下次同步时再迁移。
+const migrateLegacyChunkIds = async (manifest, key) => {
+    const legacyIds = Object.keys(manifest.pool).filter((id) => isLegacyDigest(id) || isLegacyDigest(manifest.pool[id].hash));
+    if (legacyIds.length === 0) return { migrated: 0, failed: 0 };
+
+    console.log(`📚 [Sync] 🔐 发现 ${legacyIds.length} 个旧版 MD5 标识的分片，正在迁移为 HMAC-SHA256 标识...`);
+    let migrated = 0;
+    let failed = 0;
+    await Promise.all(legacyIds.map((id) => downloadLimit(async () => {
+        const entry = manifest.pool[id];
+        try {
+            const buf = await retry(async () => getByLocator(entry.url, { timeout: 10000, validate: (data) => cipherHashMatches(data, entry.hash) }), 3);
+            if (!cipherHashMatches(buf, entry.hash)) throw new Error("密文 Hash 不一致");
+            const plain = await decrypt(buf, key, { autoJson: false });
+            if (!chunkIdMatches(plain, key, id)) throw new Error("明文标识不一致");
+
+            entry.hash = sha256Hex(buf);
+            if (entry.size === undefined) entry.size = plain.length;
+            const newId = isLegacyDigest(id) ? chunkId(plain, key) : id;
+            if (newId !== id) renamePoolEntry(manifest, id, newId);
+            migrated++;
+        } catch (e) {
+            console.warn(`📚 [Sync] ⚠️  分片 ${id} 迁移失败，暂时保留旧标识: ${e.message}`);
+            failed++;
+        }
+    })));
+    console.log(`📚 [Sync] 🔐 分片标识迁移完成: ${migrated} 个成功, ${failed} 个待下次重试`);
+    return { migrated, failed };
+};
+
+/**
+ * @param {string} filePath
+ * @param {string} password
+ * @param {number} [chunkSizeKB] - 最大分片大小；不传时新星图用 90，已有星图沿用其记录的参数 (显式指定且与记录不一致时才警告)
+ * @param {object} [options]
+ * @param {string|false} [options.index] - 仓库级分片索引路径，false 表示不做跨文件去重
+ * @param {boolean} [options.encryptManifest] - 写成加密清单；默认沿用已有清单的格式，新清单看 FILEDUST_ENCRYPT_MANIFEST
+ * @param {number} [options.concurrency=3] - 同时上传的分片数
+ * @param {boolean} [options.dryRun] - 只切片与哈希，不上传、不写清单与索引，返回上传计划 (见 UploadCost.createUploadPlan)
+ * @param {string|{ k: number, m: number }|false} [options.parity] - 每 k 个新分片附带 m 个 Reed-Solomon 校验分片 (如 "8+2")；
+ *   默认沿用已有清单的设置，false 表示本次不写校验分片 (见 FileDustParity)
+ * @returns {Promise<string|object>} 清单路径；dry run 时为上传计划报告
+ */
+export const syncFileToDust = async (filePath, password, chunkSizeKB, options = {}) => {
+    assertNotIgnored(filePath);
+    const limiter = options.concurrency ? pLimit(options.concurrency) : uploadLimit;
     const fileName = path.basename(filePath);
     const stats = fs.statSync(filePath);
     const fileSize = stats.size;
@@ -48,21 +100,43 @@ export const syncFileToDust = async (filePath, password, chunkSizeKB = 90) => {
     console.log(`📚 [Sync] ⏱️  正在计算当前原始文件完整 Hash，请稍候...`);
     const fileHash = await calculateFileHash(filePath);
 
-    const maxChunkSize = chunkSizeKB * 1024;
+    const maxChunkSize = (chunkSizeKB || 90) * 1024;
     const avgChunkSize = Math.floor(maxChunkSize / 2);
     const minChunkSize = Math.floor(avgChunkSize / 4);
 
     const cdcConfig = new FastCDCConfig(minChunkSize, avgChunkSize, maxChunkSize);
-    const chunker = new FastCDC(cdcConfig);
     const manifestName = `${fileName}.sync.dust`;
+    const plan = options.dryRun ? createUploadPlan({ file: filePath, manifest: manifestName, backend: getStorageBackend().name }) : null;
+    const finishDryRun = async () => {
+        const report = await plan.report();
+        console.log(describeUploadPlan(report));
+        return report;
+    };
 
-    let manifest = { filename: fileName, pool: {}, versions: [] };
+    let manifest = { filename: fileName, chunker: { algorithm: "fastcdc", version: CHUNKER_VERSION }, pool: {}, versions: [] };
     let currentVersionIndex = -1;
 
+    // 分片密钥按已有清单记录的 kdf 参数派生，保证 pool 中所有分片密钥一致
+    let key = null;
+    let kdf = null;
+    let wrappedKey = null;
+    let encryptManifest = options.encryptManifest !== undefined ? options.encryptManifest : encryptManifestByDefault();
+
+    const saveManifest = async () => {
+        if (plan) return;
+        await writeManifest(manifestName, manifest, { key, kdf, wrappedKey, encrypt: encryptManifest });
+    };
+
     if (fs.existsSync(manifestName)) {
         try {
-            const existingManifest = JSON.parse(fs.readFileSync(manifestName, "utf8"));
+            const opened = await openManifest(manifestName, password);
+            const existingManifest = opened.manifest;
+            ({ key, kdf, wrappedKey } = opened);
+            if (opened.encrypted && options.encryptManifest === undefined) encryptManifest = true;
             manifest = { filename: fileName, pool: {}, versions: [], ...existingManifest };
+            // 没有 chunker 标记的老清单是 FastCDC v1 切出来的，必须继续用 v1 才能与 pool 去重；
+            // 有标记的清单则按其记录的 min/avg/max、seed 等参数重建切片器
+            manifest.chunker = existingManifest.chunker;
             if (!manifest.pool) manifest.pool = {};
             if (!manifest.versions) manifest.versions = [];
 
@@ -86,13 +160,22 @@ export const syncFileToDust = async (filePath, password, chunkSizeKB = 90) => {
                 }
             }
 
+            // 向前兼容：明文 MD5 标识迁移为 HMAC-SHA256，密文 MD5 迁移为 SHA-256。
+            // dry run 不下载任何分片：下面的去重匹配本来就会顺带按 MD5 找到这些旧分片
+            if (!plan) {
+                const migration = await migrateLegacyChunkIds(manifest, key);
+                if (migration.migrated > 0) await saveManifest();
+            }
+
             // 检查最近的一个版本是否与当前文件 Hash 相同（可能是重试或者不需要同步）
             if (manifest.versions.length > 0) {
                 const lastVer = manifest.versions[manifest.versions.length - 1];
                 if (lastVer.file_hash === fileHash) {
                     if (lastVer.status === "completed") {
                         console.log(`📚 [Sync] ♻️  当前文件已经是最新版本(v${lastVer.version})，已完全同步跳过操作！`);
-                        return manifestName;
+                        if (!plan) return manifestName;
+                        for (const id of lastVer.chunks) plan.reuse(manifest.pool[id] ? manifest.pool[id].size || 0 : 0);
+                        return finishDryRun();
                     } else {
                         console.log(`📚 [Sync] ♻️  发现未完成的当前版本同名星图缓存，开启断点续传同步模式...`);
                         currentVersionIndex = manifest.versions.length - 1;
@@ -100,10 +183,14 @@ export const syncFileToDust = async (filePath, password, chunkSizeKB = 90) => {
                 }
             }
         } catch (e) {
+            // 密码错误时绝不能用新清单覆盖掉原清单
+            if (e.code === WRONG_PASSWORD_ERROR) throw e;
             console.warn(`📚 [Sync] ⚠️  读取已有同步历史星图失败，新建同步点...`);
         }
     }
 
+    if (!key) ({ key, kdf, wrappedKey } = await createManifestKey(password, { dryRun: !!options.dryRun }));
+
     if (currentVersionIndex === -1) {
         // 创建新版本
         const newVersionNum = manifest.versions.length + 1;
@@ -120,104 +207,161 @@ export const syncFileToDust = async (filePath, password, chunkSizeKB = 90) => {
         console.log(`📚 [Sync] 🆕 已创建新的历史版本记录节点: v${newVersionNum}`);
     }
 
-    const saveManifest = () => {
-        fs.writeFileSync(manifestName, JSON.stringify(manifest, null, 4));
+    const chunker = createChunker(manifest.chunker, cdcConfig);
+    if (chunker.version !== CHUNKER_VERSION) {
+        console.log(`📚 [Sync] 🔪 沿用同步清单记录的 FastCDC v${chunker.version} 切片算法，以保持跨版本去重`);
+    }
+    const mismatch = chunkSizeKB ? chunkerMismatch(chunker, cdcConfig) : [];
+    if (mismatch.length > 0) {
+        console.warn(`\n📚 [Sync] ⚠️⚠️⚠️  本次指定的切片参数与同步清单记录不一致: ${mismatch.join(", ")}`);
+        console.warn(`📚 [Sync] ⚠️⚠️⚠️  已自动沿用清单记录的参数，否则新切片边界与 pool 中的历史分片全部错位，去重率将跌至 0！`);
+        console.warn(`📚 [Sync] ⚠️⚠️⚠️  如确需更换切片参数，请为该文件新建同步清单。\n`);
+    }
+    manifest.chunker = chunkerTag(chunker);
+    await saveManifest();
+
+    const storage = getStorageBackend();
+    const paritySpec = resolveParitySpec(options.parity, manifest);
+    const parity = paritySpec && !plan ? createParityWriter(manifest, paritySpec, storage, `${fileName}.v${manifest.versions.length}`) : null;
+    if (plan) plan.useParity(paritySpec);
+
+    // 仓库级分片索引：pool 里没有的内容，再去其他文件上传过的分片中找
+    const chunkIndex = options.index === false ? null : openChunkIndex(options.index || undefined);
+    const sharedChunks = chunkIndex ? chunkIndex.forKey(key) : null;
+    const recordShared = (plainHash, backend) => {
+        if (plan || !sharedChunks) return;
+        const { hash, size, url } = manifest.pool[plainHash];
+        sharedChunks.record(plainHash, { hash, size, url, backend: backend || resolveBackend(url).name }, manifestName);
     };
-    saveManifest();
-
-    const { key } = await loadOrGenerateKey(password);
-    const fileHandle = await open(filePath, "r");
-    const readBuffer = Buffer.alloc(maxChunkSize);
 
     let partNum = 0;
-    let fileOffset = 0;
     const uploadTasks = [];
     const currentVersionChunks = manifest.versions[currentVersionIndex].chunks;
 
-    try {
-        while (fileOffset < fileSize) {
-            const remaining = fileSize - fileOffset;
-            const toRead = Math.min(maxChunkSize, remaining);
-
-            const { bytesRead } = await fileHandle.read(readBuffer, 0, toRead, fileOffset);
-            if (bytesRead === 0) break;
-
-            const chunkLen = chunker.getChunkSize(readBuffer, 0, bytesRead);
-            const actualChunk = Buffer.from(readBuffer.subarray(0, chunkLen));
-            fileOffset += chunkLen;
-
-            const currentPartNum = partNum;
-            const chunkName = `${fileName}.v${manifest.versions.length}.part${String(currentPartNum).padStart(3, "0")}`;
-
-            // 1. 断点续传逻辑
-            const existingPlainHash = currentVersionChunks[currentPartNum];
-            if (existingPlainHash && manifest.pool[existingPlainHash]) {
-                console.log(`📚 [Sync] ⏩ [断点续传] 跳过本版本已成功上传的碎片片段 [${currentPartNum}] (CDC片段大小: ${chunkLen} bytes)`);
-                partNum++;
-                continue;
+    for await (const { data: actualChunk } of chunkFile(filePath, chunker)) {
+        const chunkLen = actualChunk.length;
+        const currentPartNum = partNum;
+        const chunkName = `${fileName}.v${manifest.versions.length}.part${String(currentPartNum).padStart(3, "0")}`;
+
+        // 1. 断点续传逻辑
+        const existingPlainHash = currentVersionChunks[currentPartNum];
+        if (existingPlainHash && manifest.pool[existingPlainHash]) {
+            if (manifest.pool[existingPlainHash].size === undefined) {
+                manifest.pool[existingPlainHash].size = chunkLen;
             }
+            recordShared(existingPlainHash);
+            if (plan) plan.reuse(chunkLen);
+            console.log(`📚 [Sync] ⏩ [断点续传] 跳过本版本已成功上传的碎片片段 [${currentPartNum}] (CDC片段大小: ${chunkLen} bytes)`);
+            partNum++;
+            continue;
+        }
 
-            // 2. 跨版本增量秒传逻辑 (CDC)
-            const plainHash = crypto.createHash("md5").update(actualChunk).digest("hex");
-            if (manifest.pool[plainHash]) {
-                console.log(`📚 [Sync] ⚡ [CDC 跨版本数据去重] 发现历史版本内容，零消耗复用云端片段！(本地片段: v${manifest.versions.length}-part${currentPartNum} | 大小: ${chunkLen} bytes)`);
+        // 2. 跨版本增量秒传逻辑 (CDC)
+        const plainHash = chunkId(actualChunk, key);
+        // 迁移失败而保留下来的旧 MD5 标识：内容一致时顺手改成 HMAC 标识
+        const legacyId = legacyChunkId(actualChunk);
+        if (!manifest.pool[plainHash] && manifest.pool[legacyId]) {
+            renamePoolEntry(manifest, legacyId, plainHash);
+        }
+        if (manifest.pool[plainHash]) {
+            console.log(`📚 [Sync] ⚡ [CDC 跨版本数据去重] 发现历史版本内容，零消耗复用云端片段！(本地片段: v${manifest.versions.length}-part${currentPartNum} | 大小: ${chunkLen} bytes)`);
 
-                currentVersionChunks[currentPartNum] = plainHash;
-                saveManifest();
-                partNum++;
-                continue;
+            currentVersionChunks[currentPartNum] = plainHash;
+            if (manifest.pool[plainHash].size === undefined) {
+                manifest.pool[plainHash].size = chunkLen;
             }
+            recordShared(plainHash);
+            if (plan) plan.reuse(chunkLen);
+            await saveManifest();
+            partNum++;
+            continue;
+        }
 
-            // 3. 全新数据碎片上传
-            uploadTasks.push(
-                uploadLimit(async () => {
-                    const encryptedChunk = await encrypt(actualChunk, key, { returnBuffer: true });
-                    const hash = crypto.createHash("md5").update(encryptedChunk).digest("hex");
+        // 3. 跨文件秒传逻辑 (仓库中其他文件已经上传过相同内容)
+        const sharedChunk = sharedChunks && sharedChunks.lookup(plainHash, storage.name);
+        if (sharedChunk) {
+            console.log(`📚 [Sync] 🌐 [跨文件去重] 仓库索引中已有相同内容，零消耗复用云端片段！(本地片段: v${manifest.versions.length}-part${currentPartNum} | 大小: ${chunkLen} bytes)`);
 
-                    const downloadUrl = await retry(async () => uploadDataStream(encryptedChunk, chunkName), 3, 2000);
+            manifest.pool[plainHash] = { hash: sharedChunk.hash, size: chunkLen, url: sharedChunk.url };
+            currentVersionChunks[currentPartNum] = plainHash;
+            recordShared(plainHash, storage.name);
+            if (plan) plan.reuse(chunkLen);
+            await saveManifest();
+            partNum++;
+            continue;
+        }
 
-                    console.log(`📚 [Sync] ✅ 【全新上传】v${manifest.versions.length} 分片 ${currentPartNum} 成功 | 尺寸: ${chunkLen} | URL: ${downloadUrl}`);
+        // dry run 到此为止：记下需要上传的分片，不加密也不上传
+        if (plan) {
+            plan.upload(chunkLen);
+            partNum++;
+            continue;
+        }
 
-                    // 加入全局哈希特征池 (Pool)
-                    manifest.pool[plainHash] = {
-                        hash,
-                        url: downloadUrl,
-                    };
+        // 4. 全新数据碎片上传
+        uploadTasks.push(
+            limiter(async () => {
+                const encryptedChunk = await encrypt(actualChunk, key, { returnBuffer: true });
+                const hash = sha256Hex(encryptedChunk);
 
-                    // 将新上传的分片指针记录到当前版本的序列中
-                    currentVersionChunks[currentPartNum] = plainHash;
-                    saveManifest();
+                const downloadUrl = await retry(async () => storage.put(encryptedChunk, { filename: chunkName }), 3, 2000);
 
-                    return plainHash;
-                })
-            );
-            partNum++;
-        }
+                console.log(`📚 [Sync] ✅ 【全新上传】v${manifest.versions.length} 分片 ${currentPartNum} 成功 | 尺寸: ${chunkLen} | URL: ${downloadUrl}`);
+
+                // 加入全局哈希特征池 (Pool)
+                manifest.pool[plainHash] = {
+                    hash,
+                    size: chunkLen,
+                    url: downloadUrl,
+                };
+
+                // 将新上传的分片指针记录到当前版本的序列中
+                currentVersionChunks[currentPartNum] = plainHash;
+                recordShared(plainHash, storage.name);
+                if (parity) await parity.add(hash, downloadUrl, encryptedChunk);
+                await saveManifest();
+
+                return plainHash;
+            })
+        );
+        partNum++;
+    }
+    try {
         await Promise.all(uploadTasks);
-        manifest.versions[currentVersionIndex].status = "completed";
     } finally {
-        await fileHandle.close();
+        if (chunkIndex && !plan) chunkIndex.flush();
     }
+    if (plan) return finishDryRun();
+    if (parity) await parity.finish();
+    manifest.versions[currentVersionIndex].status = "completed";
 
-    saveManifest();
+    await saveManifest();
     console.log(`📚 [Sync] 🎉 v${manifest.versions.length} 历史版本同步快照创建完毕！已记录多版本时间线清单: ${manifestName}\n`);
     return manifestName;
 };
 
 // --- 下方为将快照（特定版本）拉取恢复到本地的代码 ---
 
-export const restoreFileSyncDust = async (manifestPath, targetVersion, password) => {
+/**
+ * 把同步清单中的某个版本恢复到本地
+ * @param {string} manifestPath
+ * @param {number|null} targetVersion - 版本号，null 表示最新版本
+ * @param {string|object} credentials - 密码，或 { privateKeys } 等接收者凭据 (见 ManifestFile.normalizeCredentials)
+ * @param {object} [options]
+ * @param {string} [options.output] - 输出路径，默认 restored_v<版本>_<文件名>
+ * @param {number} [options.concurrency=5] - 同时下载的分片数
+ * @returns {Promise<string>} 输出路径
+ */
+export const restoreFileSyncDust = async (manifestPath, targetVersion, credentials, options = {}) => {
     if (!fs.existsSync(manifestPath)) {
         throw new Error(`找不到星图同步清单: ${manifestPath}`);
     }
 
-    const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+    const { manifest, key } = await openManifest(manifestPath, credentials);
     if (!manifest.versions || manifest.versions.length === 0) {
         throw new Error(`该星图没有历史版本数据！`);
     }
 
-    const { key } = await loadOrGenerateKey(password);
-
     // 如果 targetVersion 为 null，则恢复最新版本
     let versionToRestore;
     if (targetVersion) {
@@ -235,64 +379,76 @@ export const restoreFileSyncDust = async (manifestPath, targetVersion, password)
 
     const { filename } = manifest;
     // 自动在输出名称附加版本号
-    const outputFilename = `restored_v${versionToRestore.version}_${filename}`;
+    const outputFilename = options.output || `restored_v${versionToRestore.version}_${filename}`;
 
     console.log(`\n⏳ [Sync Restore] 开始从去中心化网络中恢复历史版本: ${filename} (快照版本号: v${versionToRestore.version})，目标体积: ${versionToRestore.total_size}`);
 
     const chunks = versionToRestore.chunks;
     const pool = manifest.pool || {};
-    const downloadedBuffers = [];
+    const tempFilename = `${outputFilename}.tmp`;
+    // 边写边算整体 Hash，不再把整个文件拼进内存
+    const fileHasher = crypto.createHash("sha256");
     let downloadedSize = 0;
 
-    const downloadTasks = chunks.map((plainHash, index) => {
-        if (!plainHash || !pool[plainHash]) return Promise.resolve();
-
-        return downloadLimit(async () => {
-            const chunkInfo = pool[plainHash];
-            const partNum = index;
-            const url = chunkInfo.url;
-            console.log(`📡 [Sync Restore] 正在提取区块资源 [v${versionToRestore.version}_Part ${partNum}]...`);
+    const outputFileHandle = await open(tempFilename, "w");
+    try {
+        await runOrderedPipeline({
+            count: chunks.length,
+            limiter: options.concurrency ? pLimit(options.concurrency) : downloadLimit,
+            window: RESTORE_WINDOW,
+            fetchChunk: async (partNum) => {
+                const plainHash = chunks[partNum];
+                if (!plainHash || !pool[plainHash]) {
+                    console.warn(`⚠️  [Sync Restore] 区块 [Part ${partNum}] 在清单中没有可用记录，已跳过`);
+                    return null;
+                }
 
-            const buf = await retry(async () => {
-                const response = await axios.get(url, { responseType: "arraybuffer", timeout: 10000 });
-                return Buffer.from(response.data);
-            }, 3);
+                const chunkInfo = pool[plainHash];
+                const url = chunkInfo.url;
+                console.log(`📡 [Sync Restore] 正在提取区块资源 [v${versionToRestore.version}_Part ${partNum}]...`);
 
-            // 校验提取的密文哈希
-            const currentHash = crypto.createHash("md5").update(buf).digest("hex");
-            if (currentHash !== chunkInfo.hash) {
-                console.warn(`⚠️  警告：提取回来的区块 [Part ${partNum}] 似乎在网络中遭遇破损 (HASH 不一致)`);
-            }
+                // 下载并校验密文哈希；区块丢失或破损时，有校验分片保护的用同一条带的其他分片重建
+                const buf = await fetchWithParity(manifest, chunkInfo, (chunkUrl) => retry(async () => getByLocator(chunkUrl, {
+                    timeout: 10000,
+                    validate: (data) => cipherHashMatches(data, chunkInfo.hash),
+                }), 3));
 
-            // 解密
-            const decryptedChunk = await decrypt(buf, key, { autoJson: false });
+                // 解密
+                const decryptedChunk = await decrypt(buf, key, { autoJson: false });
 
-            // 校验解密明文哈希
-            const currentPlainHash = crypto.createHash("md5").update(decryptedChunk).digest("hex");
-            if (currentPlainHash !== plainHash) {
-                throw new Error(`[Sync Restore] 致命错误：解密还原后原文 Hash 未命中原始 CDC 指纹记录，此快照节点存在内容篡改！(Part ${partNum})`);
-            }
+                // 校验解密明文的分片标识
+                if (!chunkIdMatches(decryptedChunk, key, plainHash)) {
+                    throw new Error(`[Sync Restore] 致命错误：解密还原后原文 Hash 未命中原始 CDC 指纹记录，此快照节点存在内容篡改！(Part ${partNum})`);
+                }
 
-            downloadedSize += decryptedChunk.byteLength;
-            console.log(`✅ [Sync Restore] 解密并还原区块 [Part ${partNum}] 成功. (${downloadedSize}/${versionToRestore.total_size})`);
-            downloadedBuffers[partNum] = decryptedChunk;
+                return decryptedChunk;
+            },
+            writeChunk: async (decryptedChunk, partNum) => {
+                if (!decryptedChunk) return;
+                await outputFileHandle.write(decryptedChunk);
+                fileHasher.update(decryptedChunk);
+                downloadedSize += decryptedChunk.byteLength;
+                console.log(`✅ [Sync Restore] 解密并按序写入区块 [Part ${partNum}] 成功. (${downloadedSize}/${versionToRestore.total_size})`);
+            },
         });
-    });
-
-    await Promise.all(downloadTasks);
-
-    console.log(`\n🧩 [Sync Restore] 所有历史切片已拉取完毕，正在将散乱碎块逆向拼接到硬盘实体文件...`);
-    const finalBuffer = Buffer.concat(downloadedBuffers.filter(b => b));
+    } catch (e) {
+        await outputFileHandle.close();
+        await unlink(tempFilename).catch(() => { });
+        throw e;
+    }
+    await outputFileHandle.close();
 
-    await writeFile(outputFilename, finalBuffer);
+    // 先校验文件总体 Hash，通过了才落到输出路径
+    if (fileHasher.digest("hex") !== versionToRestore.file_hash) {
+        await unlink(tempFilename).catch(() => { });
+        throw integrityError(`[Sync Restore] 此历史快照全量重建完成，但最终文件的沙箱 Hash 与原始镜像 Hash 对不上！(v${versionToRestore.version})`);
+    }
 
-    // 校验文件总体 Hash
-    const restoredFileHash = crypto.createHash("sha256").update(finalBuffer).digest("hex");
-    if (restoredFileHash !== versionToRestore.file_hash) {
-        console.error(`❌ [Sync Restore] 此历史快照全量重建完成，但最终文件的沙箱 Hash 与原始镜像 Hash 对不上！`);
-    } else {
-        console.log(`🎉 [Sync Restore] 历史版本 [v${versionToRestore.version}] 完全校验一致并于本地复活成功，重塑出世 : ${outputFilename}`);
+    if (fs.existsSync(outputFilename)) {
+        await unlink(outputFilename);
     }
+    await rename(tempFilename, outputFilename);
+    console.log(`🎉 [Sync Restore] 历史版本 [v${versionToRestore.version}] 完全校验一致并于本地复活成功，重塑出世 : ${outputFilename}`);
 
     return outputFilename;
 };
@@ -0,0 +1,385 @@
+import fs from "node:fs";
+import { lstat, mkdir, open, readdir, readlink, rename, symlink, unlink, utimes, chmod } from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import pLimit from "p-limit";
+
+import { encrypt, decrypt, chunkId, sha256Hex, chunkIdMatches, cipherHashMatches } from "./CryptoUtils.js";
+import { getStorageBackend, getByLocator, resolveBackend } from "./StorageBackend.js";
+import { retry } from "./Retry.js";
+import { openChunkIndex } from "./ChunkIndex.js";
+import { openManifest, writeManifest, createManifestKey, encryptManifestByDefault, WRONG_PASSWORD_ERROR } from "./ManifestFile.js";
+import { FastCDCConfig, createChunker, chunkerTag, chunkerMismatch, chunkFile, CHUNKER_VERSION } from "./FastCDC.js";
+import { runOrderedPipeline, integrityError } from "./RestorePipeline.js";
+import { createDustIgnoreMatcher, isDeniedPath, TREE_IGNORE_FILES } from "./IgnoreRules.js";
+import { createUploadPlan, describeUploadPlan } from "./UploadCost.js";
+import { createParityWriter, resolveParitySpec, fetchWithParity } from "./FileDustParity.js";
+
+// 目录快照：把整个文件夹备份成一个 <目录名>.tree.dust 星图。
+// 结构与 .sync.dust 相同，所有文件共用一个 pool (分片标识 -> { hash, size, url })，跨文件、跨版本去重；
+// 每个版本记录一棵完整的树:
+//   entries: [
+//     { path: "src", type: "dir", mode, mtime_ms },
+//     { path: "src/a.js", type: "file", mode, mtime_ms, size, file_hash, chunks: [分片标识...] },
+//     { path: "latest", type: "symlink", target: "src/a.js", mtime_ms },
+//   ]
+// path 一律是相对根目录的 POSIX 路径。大小与 mtime 都没变的文件直接沿用上一版本的记录，不重新读取与哈希。
+
+export const TREE_MANIFEST_SUFFIX = ".tree.dust";
+
+const uploadLimit = pLimit(3);
+const downloadLimit = pLimit(5);
+const RESTORE_WINDOW = 16;
+
+export const isTreeManifest = (manifest) => !!manifest && manifest.type === "tree";
+
+// 深度优先遍历目录，不跟随符号链接；返回按路径排序的 [{ path, fullPath, stat }]
+const walkTree = async (root, skip) => {
+    const results = [];
+    const visit = async (dir, rel) => {
+        const names = (await readdir(dir)).sort();
+        for (const name of names) {
+            const fullPath = path.join(dir, name);
+            const relPath = rel ? `${rel}/${name}` : name;
+            const stat = await lstat(fullPath);
+            if (skip(fullPath, stat.isDirectory())) continue;
+            if (stat.isDirectory()) {
+                results.push({ path: relPath, fullPath, stat });
+                await visit(fullPath, relPath);
+            } else if (stat.isFile() || stat.isSymbolicLink()) {
+                results.push({ path: relPath, fullPath, stat });
+            } else {
+                console.warn(`🌲 [Tree] ⚠️  跳过不支持的文件类型: ${relPath}`);
+            }
+        }
+    };
+    await visit(root, "");
+    return results;
+};
+
+const sameEntries = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * 为整个目录创建一个快照版本
+ * @param {string} dirPath
+ * @param {string} password
+ * @param {number} [chunkSizeKB] - 最大分片大小；不传时新星图用 90，已有星图沿用其记录的参数 (显式指定且与记录不一致时才警告)
+ * @param {object} [options]
+ * @param {string|false} [options.index] - 仓库级分片索引路径，false 表示不做跨文件去重
+ * @param {boolean} [options.encryptManifest] - 写成加密星图；默认沿用已有星图的格式，新星图看 FILEDUST_ENCRYPT_MANIFEST
+ * @param {number} [options.concurrency=3] - 同时上传的分片数
+ * @param {{ ignores: (fullPath: string, isDirectory: boolean) => boolean }} [options.ignore] - 忽略规则，默认读取各层的 .gitignore 与 .dustignore (TREE_IGNORE_FILES，见 IgnoreRules)；内置黑名单总是生效
+ * @param {boolean} [options.dryRun] - 只切片与哈希，不上传、不写星图与索引，返回上传计划 (见 UploadCost.createUploadPlan)
+ * @param {string|{ k: number, m: number }|false} [options.parity] - 每 k 个新分片附带 m 个 Reed-Solomon 校验分片 (如 "8+2")；
+ *   默认沿用已有星图的设置，false 表示本次不写校验分片 (见 FileDustParity)
+ * @returns {Promise<string|object>} 星图路径；dry run 时为上传计划报告
+ */
+export const snapshotTree = async (dirPath, password, chunkSizeKB, options = {}) => {
+    const root = path.resolve(dirPath);
+    if (!fs.statSync(root).isDirectory()) {
+        throw new Error(`不是目录: ${dirPath}`);
+    }
+    const rootName = path.basename(root);
+    const manifestName = `${rootName}${TREE_MANIFEST_SUFFIX}`;
+    const limiter = options.concurrency ? pLimit(options.concurrency) : uploadLimit;
+
+    const maxChunkSize = (chunkSizeKB || 90) * 1024;
+    const avgChunkSize = Math.floor(maxChunkSize / 2);
+    const minChunkSize = Math.floor(avgChunkSize / 4);
+    const cdcConfig = new FastCDCConfig(minChunkSize, avgChunkSize, maxChunkSize);
+
+    console.log(`\n🌲 [Tree] 🚀 开始目录快照: ${root}`);
+
+    let manifest = { type: "tree", root: rootName, chunker: { algorithm: "fastcdc", version: CHUNKER_VERSION }, pool: {}, versions: [] };
+    let key = null;
+    let kdf = null;
+    let wrappedKey = null;
+    let encryptManifest = options.encryptManifest !== undefined ? options.encryptManifest : encryptManifestByDefault();
+
+    if (fs.existsSync(manifestName)) {
+        try {
+            const opened = await openManifest(manifestName, password);
+            if (!isTreeManifest(opened.manifest)) throw new Error(`${manifestName} 不是目录快照星图`);
+            manifest = opened.manifest;
+            ({ key, kdf, wrappedKey } = opened);
+            if (opened.encrypted && options.encryptManifest === undefined) encryptManifest = true;
+        } catch (e) {
+            // 密码错误时绝不能用新星图覆盖掉原星图
+            if (e.code === WRONG_PASSWORD_ERROR) throw e;
+            throw new Error(`无法读取已有的目录快照星图 ${manifestName}: ${e.message}`);
+        }
+    }
+    if (!key) ({ key, kdf, wrappedKey } = await createManifestKey(password, { dryRun: !!options.dryRun }));
+    const saveManifest = async () => {
+        if (options.dryRun) return;
+        await writeManifest(manifestName, manifest, { key, kdf, wrappedKey, encrypt: encryptManifest });
+    };
+
+    const chunker = createChunker(manifest.chunker, cdcConfig);
+    const mismatch = chunkSizeKB ? chunkerMismatch(chunker, cdcConfig) : [];
+    if (mismatch.length > 0) {
+        console.warn(`🌲 [Tree] ⚠️  本次指定的切片参数与星图记录不一致 (${mismatch.join(", ")})，已沿用星图记录的参数以保持去重`);
+    }
+    manifest.chunker = chunkerTag(chunker);
+
+    // 上一个版本 (含中断未完成的版本：其中已记录的文件都已上传完毕) 用于跳过未改动的文件
+    const lastVersion = manifest.versions[manifest.versions.length - 1];
+    const previous = new Map((lastVersion ? lastVersion.entries : []).map((entry) => [entry.path, entry]));
+    const lastCompleted = [...manifest.versions].reverse().find((v) => v.status === "completed");
+    if (lastVersion && lastVersion.status !== "completed") {
+        console.log(`🌲 [Tree] ♻️  发现未完成的快照 v${lastVersion.version}，已记录的文件将直接沿用`);
+        manifest.versions.pop();
+    }
+
+    const version = {
+        version: manifest.versions.length + 1,
+        timestamp: new Date().toISOString(),
+        status: "pending",
+        total_size: 0,
+        entries: [],
+    };
+    manifest.versions.push(version);
+    await saveManifest();
+
+    const storage = getStorageBackend();
+    const plan = options.dryRun ? createUploadPlan({ file: dirPath, manifest: manifestName, backend: storage.name }) : null;
+    const paritySpec = resolveParitySpec(options.parity, manifest);
+    const parity = paritySpec && !plan ? createParityWriter(manifest, paritySpec, storage, `${rootName}.v${version.version}`) : null;
+    if (plan) plan.useParity(paritySpec);
+    const chunkIndex = options.index === false ? null : openChunkIndex(options.index || undefined);
+    const sharedChunks = chunkIndex ? chunkIndex.forKey(key) : null;
+    const recordShared = (plainHash, backend) => {
+        if (plan || !sharedChunks) return;
+        const { hash, size, url } = manifest.pool[plainHash];
+        sharedChunks.record(plainHash, { hash, size, url, backend: backend || resolveBackend(url).name }, manifestName);
+    };
+
+    // 同一分片可能在一次快照中出现多次，正在上传的分片只传一次
+    const inflight = new Map();
+    const storeChunk = (plainHash, data, name) => {
+        const sharedChunk = !manifest.pool[plainHash] && sharedChunks && sharedChunks.lookup(plainHash, storage.name);
+        if (manifest.pool[plainHash] || sharedChunk || (plan && inflight.has(plainHash))) {
+            if (sharedChunk) manifest.pool[plainHash] = { hash: sharedChunk.hash, size: data.length, url: sharedChunk.url };
+            if (plan) plan.reuse(data.length);
+            return null;
+        }
+        if (plan) {
+            // dry run 只记下需要上传的分片
+            plan.upload(data.length);
+            inflight.set(plainHash, null);
+            return null;
+        }
+        if (!inflight.has(plainHash)) {
+            inflight.set(plainHash, limiter(async () => {
+                const encryptedChunk = await encrypt(data, key, { returnBuffer: true });
+                const url = await retry(async () => storage.put(encryptedChunk, { filename: name }), 3, 2000);
+                const hash = sha256Hex(encryptedChunk);
+                manifest.pool[plainHash] = { hash, size: data.length, url };
+                recordShared(plainHash, storage.name);
+                if (parity) await parity.add(hash, url, encryptedChunk);
+            }));
+        }
+        return inflight.get(plainHash);
+    };
+
+    const skipPaths = new Set([path.resolve(manifestName), path.resolve(`${manifestName}.tmp`)]);
+    const ignore = options.ignore || createDustIgnoreMatcher(root, { fileNames: TREE_IGNORE_FILES });
+    const items = await walkTree(root, (fullPath, isDirectory) => skipPaths.has(fullPath) || isDeniedPath(fullPath) || ignore.ignores(fullPath, isDirectory));
+    let reused = 0;
+    let changed = 0;
+
+    try {
+        for (const item of items) {
+            const { stat } = item;
+            const base = { path: item.path, mode: stat.mode & 0o7777, mtime_ms: Math.floor(stat.mtimeMs) };
+
+            if (stat.isDirectory()) {
+                version.entries.push({ ...base, type: "dir" });
+                continue;
+            }
+            if (stat.isSymbolicLink()) {
+                version.entries.push({ path: item.path, type: "symlink", target: await readlink(item.fullPath), mtime_ms: base.mtime_ms });
+                continue;
+            }
+
+            // 大小与 mtime 都没变：不读文件，直接沿用上一版本的分片列表
+            const prev = previous.get(item.path);
+            if (prev && prev.type === "file" && prev.size === stat.size && prev.mtime_ms === base.mtime_ms
+                && prev.chunks.every((id) => manifest.pool[id])) {
+                version.entries.push({ ...base, type: "file", size: prev.size, file_hash: prev.file_hash, chunks: prev.chunks });
+                version.total_size += prev.size;
+                prev.chunks.forEach((id) => recordShared(id));
+                if (plan) prev.chunks.forEach((id) => plan.reuse(manifest.pool[id].size || 0));
+                reused++;
+                continue;
+            }
+
+            const fileHasher = crypto.createHash("sha256");
+            const chunks = [];
+            const uploads = [];
+            let size = 0;
+            for await (const { data } of chunkFile(item.fullPath, chunker)) {
+                fileHasher.update(data);
+                size += data.length;
+                const plainHash = chunkId(data, key);
+                chunks.push(plainHash);
+                const upload = storeChunk(plainHash, data, `${rootName}/${item.path}.part${String(chunks.length - 1).padStart(3, "0")}`);
+                if (upload) uploads.push(upload);
+                else recordShared(plainHash);
+            }
+            await Promise.all(uploads);
+
+            version.entries.push({ ...base, type: "file", size, file_hash: fileHasher.digest("hex"), chunks });
+            version.total_size += size;
+            changed++;
+            console.log(`🌲 [Tree] ✅ ${item.path} (${size} bytes, ${chunks.length} 个分片)`);
+            await saveManifest();
+        }
+        if (parity) await parity.finish();
+    } finally {
+        if (chunkIndex && !plan) chunkIndex.flush();
+    }
+
+    if (plan) {
+        const report = await plan.report();
+        console.log(describeUploadPlan(report));
+        return report;
+    }
+
+    // 整棵树与上一个完整版本相同时不产生新版本
+    if (lastCompleted && sameEntries(lastCompleted.entries, version.entries)) {
+        manifest.versions.pop();
+        await saveManifest();
+        console.log(`🌲 [Tree] ♻️  目录自 v${lastCompleted.version} 以来没有变化，跳过`);
+        return manifestName;
+    }
+
+    version.status = "completed";
+    await saveManifest();
+    console.log(`🌲 [Tree] 🎉 快照 v${version.version} 完成: ${items.length} 项，${changed} 个文件有变化，${reused} 个未改动的文件直接沿用 -> ${manifestName}\n`);
+    return manifestName;
+};
+
+// 拒绝绝对路径与 .. 段，防止被篡改的星图把文件写到还原目录之外
+const safeJoin = (outputDir, relPath) => {
+    const parts = relPath.split("/");
+    if (path.posix.isAbsolute(relPath) || parts.some((p) => p === ".." || p === "")) {
+        throw new Error(`星图中包含非法路径: ${relPath}`);
+    }
+    return path.join(outputDir, ...parts);
+};
+
+const matchesSubset = (entryPath, subset) => subset.some((p) => entryPath === p || entryPath.startsWith(`${p}/`));
+
+/**
+ * 把目录快照的某个版本还原到本地，可以只还原其中一部分
+ * @param {string} manifestPath
+ * @param {string|object} credentials - 密码，或 { privateKeys } 等接收者凭据 (见 ManifestFile.normalizeCredentials)
+ * @param {object} [options]
+ * @param {number} [options.version] - 版本号，默认最新
+ * @param {string} [options.output] - 还原到的目录，默认 restored_v<版本>_<目录名>
+ * @param {string[]} [options.paths] - 只还原这些路径 (文件或目录，相对快照根目录)
+ * @param {number} [options.concurrency=5] - 同时下载的分片数
+ * @returns {Promise<{ output: string, files: number, dirs: number, symlinks: number }>}
+ */
+export const restoreTree = async (manifestPath, credentials, options = {}) => {
+    const { manifest, key } = await openManifest(manifestPath, credentials);
+    if (!isTreeManifest(manifest)) throw new Error(`${manifestPath} 不是目录快照星图`);
+    if (manifest.versions.length === 0) throw new Error(`该星图没有快照版本！`);
+
+    const version = options.version
+        ? manifest.versions.find((v) => v.version === Number(options.version))
+        : manifest.versions[manifest.versions.length - 1];
+    if (!version) throw new Error(`星图中不存在版本号为 v${options.version} 的快照！`);
+    if (version.status !== "completed") {
+        console.warn(`🌲 [Tree] ⚠️  v${version.version} 快照当时并未完成，只能还原其中已记录的文件`);
+    }
+
+    const subset = (options.paths || []).map((p) => p.split(path.sep).join("/").replace(/^\.\/+|\/+$/g, "")).filter(Boolean);
+    const entries = subset.length > 0 ? version.entries.filter((e) => matchesSubset(e.path, subset)) : version.entries;
+    if (subset.length > 0 && entries.length === 0) {
+        throw new Error(`快照 v${version.version} 中没有匹配的路径: ${subset.join(", ")}`);
+    }
+
+    const output = path.resolve(options.output || `restored_v${version.version}_${manifest.root}`);
+    const limiter = options.concurrency ? pLimit(options.concurrency) : downloadLimit;
+    console.log(`\n🌲 [Tree] ⏳ 正在还原 ${manifest.root} v${version.version} 的 ${entries.length} 项到 ${output}`);
+    await mkdir(output, { recursive: true });
+
+    const counts = { files: 0, dirs: 0, symlinks: 0 };
+    for (const entry of entries.filter((e) => e.type === "dir")) {
+        await mkdir(safeJoin(output, entry.path), { recursive: true });
+        counts.dirs++;
+    }
+
+    for (const entry of entries.filter((e) => e.type === "file")) {
+        const target = safeJoin(output, entry.path);
+        const tempPath = `${target}.tmp`;
+        await mkdir(path.dirname(target), { recursive: true });
+
+        const fileHasher = crypto.createHash("sha256");
+        const handle = await open(tempPath, "w");
+        try {
+            await runOrderedPipeline({
+                count: entry.chunks.length,
+                limiter,
+                window: RESTORE_WINDOW,
+                fetchChunk: async (i) => {
+                    const plainHash = entry.chunks[i];
+                    const chunkInfo = manifest.pool[plainHash];
+                    if (!chunkInfo) throw new Error(`${entry.path} 的分片 ${i} 在 pool 中没有记录`);
+                    const buf = await fetchWithParity(manifest, chunkInfo, async (url) => {
+                        const data = await retry(async () => getByLocator(url, { timeout: 10000, validate: (buf) => cipherHashMatches(buf, chunkInfo.hash) }), 3);
+                        if (!cipherHashMatches(data, chunkInfo.hash)) throw new Error(`${entry.path} 的分片 ${i} 密文 Hash 不一致`);
+                        return data;
+                    });
+                    const plain = await decrypt(buf, key, { autoJson: false });
+                    if (!chunkIdMatches(plain, key, plainHash)) throw new Error(`${entry.path} 的分片 ${i} 明文标识不一致，内容可能被篡改`);
+                    return plain;
+                },
+                writeChunk: async (data) => {
+                    await handle.write(data);
+                    fileHasher.update(data);
+                },
+            });
+        } catch (e) {
+            await handle.close();
+            await unlink(tempPath).catch(() => { });
+            throw e;
+        }
+        await handle.close();
+
+        if (fileHasher.digest("hex") !== entry.file_hash) {
+            await unlink(tempPath).catch(() => { });
+            throw integrityError(`${entry.path} 还原后的文件 Hash 与快照记录不一致`);
+        }
+        await rename(tempPath, target);
+        await chmod(target, entry.mode);
+        await utimes(target, entry.mtime_ms / 1000, entry.mtime_ms / 1000);
+        counts.files++;
+        console.log(`🌲 [Tree] ✅ ${entry.path}`);
+    }
+
+    // 符号链接最后创建，避免后续文件经由链接写到还原目录之外
+    for (const entry of entries.filter((e) => e.type === "symlink")) {
+        const target = safeJoin(output, entry.path);
+        await mkdir(path.dirname(target), { recursive: true });
+        await unlink(target).catch(() => { });
+        try {
+            await symlink(entry.target, target);
+            counts.symlinks++;
+        } catch (e) {
+            console.warn(`🌲 [Tree] ⚠️  无法创建符号链接 ${entry.path} -> ${entry.target}: ${e.message}`);
+        }
+    }
+
+    // 写入子项会改动目录的 mtime，所以目录的权限与时间最后由深到浅设置
+    for (const entry of entries.filter((e) => e.type === "dir").reverse()) {
+        const target = safeJoin(output, entry.path);
+        await chmod(target, entry.mode);
+        await utimes(target, entry.mtime_ms / 1000, entry.mtime_ms / 1000);
+    }
+
+    console.log(`🌲 [Tree] 🎉 还原完成: ${counts.files} 个文件，${counts.dirs} 个目录，${counts.symlinks} 个符号链接 -> ${output}`);
+    return { output, ...counts };
+};
@@ -1,13 +1,17 @@
 import fs from "node:fs";
-import { open } from "node:fs/promises";
 import path from "node:path";
 import crypto from "node:crypto";
 import pLimit from "p-limit";
-import { fileURLToPath } from "node:url";
 
-import { loadOrGenerateKey, encrypt } from "./CryptoUtils.js";
-import { uploadDataStream } from "./ArweaveSDK.js";
-import { FastCDC, FastCDCConfig } from "./FastCDC.js";
+import { encrypt, chunkId, legacyChunkId, isLegacyDigest, sha256Hex } from "./CryptoUtils.js";
+import { getStorageBackend, resolveBackend } from "./StorageBackend.js";
+import { retry } from "./Retry.js";
+import { openManifest, writeManifest, createManifestKey, encryptManifestByDefault, WRONG_PASSWORD_ERROR } from "./ManifestFile.js";
+import { openChunkIndex } from "./ChunkIndex.js";
+import { assertNotIgnored } from "./IgnoreRules.js";
+import { createUploadPlan, describeUploadPlan, isOverFreeTier } from "./UploadCost.js";
+import { createParityWriter, resolveParitySpec, pruneParity } from "./FileDustParity.js";
+import { FastCDC, FastCDCConfig, createChunker, chunkerTag, chunkerMismatch, chunkFile, CHUNKER_VERSION } from "./FastCDC.js";
 
 // 控制并发数，防 Irys/Turbo 封 IP
 const limit = pLimit(3);
@@ -22,7 +26,23 @@ const calculateFileHash = (filePath) => {
     });
 };
 
-export const uploadToDust = async (filePath, password, chunkSizeKB = 90) => {
+/**
+ * @param {string} filePath
+ * @param {string} password
+ * @param {number} [chunkSizeKB] - 最大分片大小；不传时新星图用 90，已有星图沿用其记录的参数 (显式指定且与记录不一致时才警告)
+ * @param {object} [options]
+ * @param {string|false} [options.index] - 仓库级分片索引路径，false 表示不做跨文件去重
+ * @param {boolean} [options.encryptManifest] - 写成加密星图；默认沿用已有星图的格式，新星图看 FILEDUST_ENCRYPT_MANIFEST
+ * @param {number} [options.concurrency=3] - 同时上传的分片数
+ * @param {boolean} [options.dryRun] - 只切片与哈希，不上传、不写星图与索引，返回上传计划 (见 UploadCost.createUploadPlan)
+ * @param {string|{ k: number, m: number }|false} [options.parity] - 每 k 个新分片附带 m 个 Reed-Solomon 校验分片 (如 "8+2")；
+ *   默认沿用已有星图的设置，false 表示本次不写校验分片 (见 FileDustParity)
+ * @returns {Promise<string|object>} 星图路径；dry run 时为上传计划报告
+ */
+export const uploadToDust = async (filePath, password, chunkSizeKB, options = {}) => {
+    assertNotIgnored(filePath);
+    const limiter = options.concurrency ? pLimit(options.concurrency) : limit;
+    const dryRun = !!options.dryRun;
     const fileName = path.basename(filePath);
     const stats = fs.statSync(filePath);
     const fileSize = stats.size;
@@ -33,26 +53,50 @@ export const uploadToDust = async (filePath, password, chunkSizeKB = 90) => {
 
     // 控制切片大小，保证加密后的密文不会超过 100KB (Arweave 免费线).
     // 由于使用了 FastCDC, 我们将 maxChunkSize 设置为这个限制.
-    const maxChunkSize = chunkSizeKB * 1024;
+    const maxChunkSize = (chunkSizeKB || 90) * 1024;
     // 平均大小设置为最大大小的一半，最小大小为平均值的四分之一，这是CDC的推荐比例
     const avgChunkSize = Math.floor(maxChunkSize / 2);
     const minChunkSize = Math.floor(avgChunkSize / 4);
 
     const cdcConfig = new FastCDCConfig(minChunkSize, avgChunkSize, maxChunkSize);
-    const chunker = new FastCDC(cdcConfig);
+    // 新星图使用当前版本的 FastCDC；已有星图沿用其记录的版本与参数 (无记录即 v1)，否则边界对不上，去重和续传全部失效
+    let chunker = new FastCDC(cdcConfig);
     const manifestName = `${fileName}.dust`;
     let manifest = { filename: fileName, total_size: fileSize, file_hash: fileHash, chunks: [] };
 
     let previousChunksMap = new Map();
+    // 旧版星图以明文 MD5 为标识，匹配时需要额外算一次 MD5
+    let hasLegacyIds = false;
+
+    // 分片密钥：已有星图按其记录的 kdf 参数派生，保证同一星图内的分片密钥一致
+    let key = null;
+    let kdf = null;
+    let wrappedKey = null;
+    let encryptManifest = options.encryptManifest !== undefined ? options.encryptManifest : encryptManifestByDefault();
 
     if (fs.existsSync(manifestName)) {
         try {
-            const existingManifest = JSON.parse(fs.readFileSync(manifestName, "utf8"));
+            const opened = await openManifest(manifestName, password);
+            const existingManifest = opened.manifest;
+            ({ key, kdf, wrappedKey } = opened);
+            if (opened.encrypted && options.encryptManifest === undefined) encryptManifest = true;
+            chunker = createChunker(existingManifest.chunker, cdcConfig);
+            if (chunker.version !== CHUNKER_VERSION) {
+                console.log(`🔪 沿用已有星图的 FastCDC v${chunker.version} 切片算法，以保持增量匹配`);
+            }
+            const mismatch = chunkSizeKB ? chunkerMismatch(chunker, cdcConfig) : [];
+            if (mismatch.length > 0) {
+                console.warn(`\n⚠️⚠️⚠️  本次指定的切片参数与星图记录不一致: ${mismatch.join(", ")}`);
+                console.warn(`⚠️⚠️⚠️  已自动沿用星图记录的参数，否则新切片边界与已上传分片全部错位，去重率将跌至 0！`);
+                console.warn(`⚠️⚠️⚠️  如确需更换切片参数，请删除或改名旧星图后重新上传。\n`);
+            }
+
             // 将旧版本的所有 chunk 放入一个哈希池中用于 CDC 的重复数据剔除匹配
             if (existingManifest.chunks && existingManifest.chunks.length > 0) {
                 for (const chunk of existingManifest.chunks) {
                     if (chunk.plain_hash) {
                         previousChunksMap.set(chunk.plain_hash, chunk);
+                        if (isLegacyDigest(chunk.plain_hash)) hasLegacyIds = true;
                     }
                 }
             }
@@ -63,140 +107,185 @@ export const uploadToDust = async (filePath, password, chunkSizeKB = 90) => {
             } else {
                 console.warn(`⚠️  发现同名星图且原始文件被修改，将使用 CDC 算法进行增量匹配与重新组装！`);
                 // 虽然重置 manifest，但我们刚刚已经把有价值的旧 chunks 提取到 previousChunksMap 里了
+                // 数据密钥不变，已授权的接收者继续有效
+                if (existingManifest.recipients) manifest.recipients = existingManifest.recipients;
+                if (existingManifest.data_key_scope) manifest.data_key_scope = existingManifest.data_key_scope;
+                // 秒传复用的分片仍可由旧条带保护，最后再清理不再引用的条带
+                if (existingManifest.parity) manifest.parity = existingManifest.parity;
             }
         } catch (e) {
+            // 密码错误时绝不能用新星图覆盖掉原星图
+            if (e.code === WRONG_PASSWORD_ERROR) throw e;
             console.warn(`⚠️  读取已有星图文件失败，重新生成...`);
         }
     }
 
+    // 加载或生成密钥
+    if (!key) ({ key, kdf, wrappedKey } = await createManifestKey(password, { dryRun }));
+
+    manifest.chunker = chunkerTag(chunker);
+
     // 安全保存 Manifest 的辅助函数
-    const saveManifest = () => {
+    const saveManifest = async () => {
+        if (dryRun) return;
         manifest.chunks.sort((a, b) => a.part - b.part);
-        fs.writeFileSync(manifestName, JSON.stringify(manifest, null, 4));
+        return writeManifest(manifestName, manifest, { key, kdf, wrappedKey, encrypt: encryptManifest });
     };
 
-    saveManifest(); // 初始化或更新进度文件
+    await saveManifest(); // 初始化或更新进度文件
 
-    // 加载或生成密钥
-    const { key } = await loadOrGenerateKey(password);
+    const storage = getStorageBackend();
+    const paritySpec = resolveParitySpec(options.parity, manifest);
+    const parity = paritySpec && !dryRun ? createParityWriter(manifest, paritySpec, storage, fileName) : null;
+    const plan = dryRun ? createUploadPlan({ file: filePath, manifest: manifestName, backend: storage.name }) : null;
+    if (plan) plan.useParity(paritySpec);
 
-    const fileHandle = await open(filePath, "r");
-    const readBuffer = Buffer.alloc(maxChunkSize);
+    // 仓库级分片索引：其他文件上传过的相同内容也能直接复用 (跨文件去重)
+    const chunkIndex = options.index === false ? null : openChunkIndex(options.index || undefined);
+    const sharedChunks = chunkIndex ? chunkIndex.forKey(key) : null;
+    const recordShared = (chunk, backend) => {
+        if (dryRun || !sharedChunks || !chunk.plain_hash) return;
+        sharedChunks.record(chunk.plain_hash, { hash: chunk.hash, size: chunk.size, url: chunk.url, backend: backend || resolveBackend(chunk.url).name }, manifestName);
+    };
 
     let partNum = 0;
-    let fileOffset = 0;
     const uploadTasks = [];
 
-    try {
-        while (fileOffset < fileSize) {
-            const remaining = fileSize - fileOffset;
-            const toRead = Math.min(maxChunkSize, remaining);
-
-            // 每次从 fileOffset 读取最多 maxChunkSize 个字节
-            const { bytesRead } = await fileHandle.read(readBuffer, 0, toRead, fileOffset);
-            if (bytesRead === 0) break;
-
-            // 使用 FastCDC 计算当前块长度！因为 FastCDC 最多往后看 maxChunkSize，所以我们读这么多足够了
-            const chunkLen = chunker.getChunkSize(readBuffer, 0, bytesRead);
-
-            // 提取出计算得出的实际 chunk 数据
-            const actualChunk = Buffer.from(readBuffer.subarray(0, chunkLen));
-            fileOffset += chunkLen;
-
-            const currentPartNum = partNum;
-            const chunkName = `${fileName}.part${String(currentPartNum).padStart(3, "0")}`;
-
-            // 1. 断点续传逻辑 (如果在同一个版本传了一半断开了)
-            const existingChunk = manifest.chunks.find((c) => c.part === currentPartNum);
-            if (existingChunk) {
-                console.log(`⏩ [断点续传] 跳过已完成分片 [${currentPartNum}] (CDC动态大小: ${chunkLen} bytes) | URL: ${existingChunk.url}`);
-                partNum++;
-                continue;
+    // 流式 CDC 切片：整个文件只顺序读一遍，不再按 maxChunkSize 窗口反复回读
+    for await (const { offset: chunkOffset, data: actualChunk } of chunkFile(filePath, chunker)) {
+        const chunkLen = actualChunk.length;
+        const currentPartNum = partNum;
+        const chunkName = `${fileName}.part${String(currentPartNum).padStart(3, "0")}`;
+
+        // 1. 断点续传逻辑 (如果在同一个版本传了一半断开了)
+        const existingChunk = manifest.chunks.find((c) => c.part === currentPartNum);
+        if (existingChunk) {
+            // 旧版星图没有明文偏移信息，顺手补齐
+            if (existingChunk.offset === undefined || existingChunk.size === undefined) {
+                existingChunk.offset = chunkOffset;
+                existingChunk.size = chunkLen;
+                await saveManifest();
+            }
+            // 旧版星图以明文 MD5 作为分片标识，明文就在手边，直接换成 HMAC 标识
+            if (isLegacyDigest(existingChunk.plain_hash)) {
+                existingChunk.plain_hash = chunkId(actualChunk, key);
+                await saveManifest();
             }
+            recordShared(existingChunk);
+            if (plan) plan.reuse(chunkLen);
+            console.log(`⏩ [断点续传] 跳过已完成分片 [${currentPartNum}] (CDC动态大小: ${chunkLen} bytes) | URL: ${existingChunk.url}`);
+            partNum++;
+            continue;
+        }
 
-            // 2. 增量秒传逻辑 (如果是新版本文件，但是 CDC 切除了跟老版本一样的内容块！)
-            const plainHash = crypto.createHash("md5").update(actualChunk).digest("hex");
-            if (previousChunksMap.has(plainHash)) {
-                const matchedOldChunk = previousChunksMap.get(plainHash);
-                console.log(`⚡ [CDC 秒传] 匹配到旧版本中相同内容的分片，免上传复用！(位置: ${currentPartNum} | 大小: ${chunkLen} bytes)`);
+        // 2. 增量秒传逻辑 (如果是新版本文件，但是 CDC 切除了跟老版本一样的内容块！)
+        const plainHash = chunkId(actualChunk, key);
+        const matchedOldChunk = previousChunksMap.get(plainHash) || (hasLegacyIds ? previousChunksMap.get(legacyChunkId(actualChunk)) : undefined);
+        if (matchedOldChunk) {
+            console.log(`⚡ [CDC 秒传] 匹配到旧版本中相同内容的分片，免上传复用！(位置: ${currentPartNum} | 大小: ${chunkLen} bytes)`);
+
+            // 将旧的属性复制到新的分片，只是更新它的 part 序号等基本信息
+            const chunkResult = {
+                part: currentPartNum,
+                name: chunkName,
+                hash: matchedOldChunk.hash,
+                plain_hash: plainHash,
+                offset: chunkOffset,
+                size: chunkLen,
+                url: matchedOldChunk.url
+            };
+            manifest.chunks.push(chunkResult);
+            recordShared(chunkResult);
+            if (plan) plan.reuse(chunkLen);
+            await saveManifest();
+            partNum++;
+            continue;
+        }
 
-                // 将旧的属性复制到新的分片，只是更新它的 part 序号等基本信息
-                const chunkResult = {
-                    part: currentPartNum,
-                    name: chunkName,
-                    hash: matchedOldChunk.hash,
-                    plain_hash: plainHash,
-                    url: matchedOldChunk.url
-                };
-                manifest.chunks.push(chunkResult);
-                saveManifest();
-                partNum++;
-                continue;
-            }
+        // 3. 跨文件秒传逻辑 (仓库中其他文件已经上传过相同内容)
+        const sharedChunk = sharedChunks && sharedChunks.lookup(plainHash, storage.name);
+        if (sharedChunk) {
+            console.log(`🌐 [跨文件秒传] 仓库索引中已有相同内容的分片，免上传复用！(位置: ${currentPartNum} | 大小: ${chunkLen} bytes)`);
+
+            const chunkResult = {
+                part: currentPartNum,
+                name: chunkName,
+                hash: sharedChunk.hash,
+                plain_hash: plainHash,
+                offset: chunkOffset,
+                size: chunkLen,
+                url: sharedChunk.url
+            };
+            manifest.chunks.push(chunkResult);
+            recordShared(chunkResult, storage.name);
+            if (plan) plan.reuse(chunkLen);
+            await saveManifest();
+            partNum++;
+            continue;
+        }
 
-            // 将加密和提交流加入到并发队列中
-            uploadTasks.push(
-                limit(async () => {
-                    // 1. 本地加密 (安全：即使上公链也不会被窥探)
-                    const encryptedChunk = await encrypt(actualChunk, key, { returnBuffer: true });
+        // dry run 到此为止：记下需要上传的分片，不加密也不上传
+        if (plan) {
+            plan.upload(chunkLen);
+            partNum++;
+            continue;
+        }
 
-                    if (encryptedChunk.byteLength >= 100 * 1024) {
-                        console.warn(`[警告] 切片 ${currentPartNum} 加密后超出100KB，可能产生费用! (${encryptedChunk.byteLength} 字节)`);
-                    }
+        // 将加密和提交流加入到并发队列中
+        uploadTasks.push(
+            limiter(async () => {
+                // 1. 本地加密 (安全：即使上公链也不会被窥探)
+                const encryptedChunk = await encrypt(actualChunk, key, { returnBuffer: true });
 
-                    // 2. 计算密文 Hash，用于下载时校验网络包
-                    const hash = crypto.createHash("md5").update(encryptedChunk).digest("hex");
+                if (isOverFreeTier(encryptedChunk.byteLength)) {
+                    console.warn(`[警告] 切片 ${currentPartNum} 加密后超出100KB，可能产生费用! (${encryptedChunk.byteLength} 字节)`);
+                }
 
-                    // 3. 上传分片 (带重试机制)
-                    const downloadUrl = await retry(async () => uploadDataStream(encryptedChunk, chunkName), 3, 2000);
+                // 2. 计算密文 Hash，用于下载时校验网络包
+                const hash = sha256Hex(encryptedChunk);
 
-                    console.log(`✅ 分片 ${currentPartNum} 完成 | CDC提取大小: ${chunkLen} | 加密大小: ${encryptedChunk.byteLength} | URL: ${downloadUrl}`);
+                // 3. 上传分片到本次运行选用的存储后端 (带重试机制)
+                const downloadUrl = await retry(async () => storage.put(encryptedChunk, { filename: chunkName }), 3, 2000);
 
-                    const chunkResult = {
-                        part: currentPartNum,
-                        name: chunkName,
-                        hash,
-                        plain_hash: plainHash,  // <- 将原文 Hash 保存，才能跨版本进行 CDC 匹配
-                        url: downloadUrl
-                    };
-                    manifest.chunks.push(chunkResult);
-                    saveManifest(); // 边传边写，实时保存进度
+                console.log(`✅ 分片 ${currentPartNum} 完成 | CDC提取大小: ${chunkLen} | 加密大小: ${encryptedChunk.byteLength} | URL: ${downloadUrl}`);
 
-                    return chunkResult;
-                })
-            );
+                const chunkResult = {
+                    part: currentPartNum,
+                    name: chunkName,
+                    hash,
+                    plain_hash: plainHash,  // <- 将明文标识 (HMAC) 保存，才能跨版本进行 CDC 匹配
+                    offset: chunkOffset,    // <- 明文偏移与长度，供 DustBrowser 做 Range 定位
+                    size: chunkLen,
+                    url: downloadUrl
+                };
+                manifest.chunks.push(chunkResult);
+                recordShared(chunkResult, storage.name);
+                if (parity) await parity.add(hash, downloadUrl, encryptedChunk);
+                await saveManifest(); // 边传边写，实时保存进度
 
-            partNum++;
-        }
+                return chunkResult;
+            })
+        );
 
-        // 等待所有新增的分片并发上传完毕
-        await Promise.all(uploadTasks);
+        partNum++;
+    }
 
+    // 等待所有新增的分片并发上传完毕
+    try {
+        await Promise.all(uploadTasks);
     } finally {
-        await fileHandle.close();
+        if (chunkIndex && !dryRun) chunkIndex.flush();
+    }
+
+    if (plan) {
+        const report = await plan.report();
+        console.log(describeUploadPlan(report));
+        return report;
     }
 
-    saveManifest(); // 最终确认写入
+    if (parity) await parity.finish();
+    if (manifest.parity) pruneParity(manifest, new Set(manifest.chunks.map((c) => c.hash)));
+    await saveManifest(); // 最终确认写入
     console.log(`🎉 全部完成！已生成 FileDust 星图文件: ${manifestName}，原文件可安心删除以节省空间！`);
     return manifestName;
 };
-
-const retry = async (fn, retries = 3, delayMs = 1000) => {
-    for (let i = 0; i < retries; i++) {
-        try {
-            return await fn();
-        } catch (error) {
-            console.warn(`⚠️ 重试 ${i + 1}/${retries} 失败: ${error.message}`);
-            if (i < retries - 1) {
-                // 增加随机休眠 (Jitter) 进一步防刷封禁
-                const jitter = Math.random() * 500;
-                await new Promise(resolve => setTimeout(resolve, delayMs + jitter));
-            }
-        }
-    }
-    throw new Error(`已尝试 ${retries} 次，全部失败`);
-};
-
-if (process.argv[1] === fileURLToPath(import.meta.url)) {
-    console.log("FileDust Uploader \n请使用引入的方式调用 uploadToDust(filePath, password)");
-}
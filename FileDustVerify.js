@@ -0,0 +1,210 @@
+import path from "node:path";
+import crypto from "node:crypto";
+import pLimit from "p-limit";
+
+import { decrypt, chunkIdMatches, cipherHashMatches } from "./CryptoUtils.js";
+import { getByLocator, existsByLocator } from "./StorageBackend.js";
+import { openManifest } from "./ManifestFile.js";
+import { runOrderedPipeline } from "./RestorePipeline.js";
+import { CORRUPT_RESPONSE_ERROR } from "./GatewayPool.js";
+
+// 星图体检：不写出任何文件，确认星图还能被完整还原。分两档:
+//   quick - 只确认每个分片仍然存在 (Arweave 发 HEAD 请求，其他后端调用 exists)，不下载内容
+//   deep  - 下载每个分片，校验密文摘要、解密并核对明文标识，再按顺序拼出每个文件/版本核对整文件 file_hash
+// .dust 按 chunks 逐片检查，.sync.dust / .tree.dust 检查 pool 中的每个分片 (各版本共用，只查一次)，
+// 并指出每个坏分片影响了哪些版本。deep 计算整文件哈希时，内容相同的版本/文件只拼一次。
+
+export const VERIFY_LEVELS = ["quick", "deep"];
+
+// 列出星图引用的全部分片: [{ key, id, part?, hash, url }]，key 在星图内唯一
+const listChunks = (manifest) => {
+    if (manifest.pool) {
+        return Object.entries(manifest.pool).map(([id, entry]) => ({ key: id, id, hash: entry.hash, url: entry.url }));
+    }
+    return (manifest.chunks || []).map((chunk) => ({ key: `part:${chunk.part}`, id: chunk.plain_hash, part: chunk.part, hash: chunk.hash, url: chunk.url }));
+};
+
+// 列出需要核对整文件哈希的分片序列: [{ version?, path?, file_hash, keys }]
+const listFiles = (manifest) => {
+    if (manifest.type === "tree") {
+        return (manifest.versions || []).filter((v) => v.status === "completed").flatMap((v) => v.entries
+            .filter((entry) => entry.type === "file")
+            .map((entry) => ({ version: v.version, path: entry.path, file_hash: entry.file_hash, keys: entry.chunks })));
+    }
+    if (manifest.pool) {
+        return (manifest.versions || []).filter((v) => v.status === "completed")
+            .map((v) => ({ version: v.version, file_hash: v.file_hash, keys: v.chunks }));
+    }
+    const chunks = [...(manifest.chunks || [])].sort((a, b) => a.part - b.part);
+    return [{ path: manifest.filename, file_hash: manifest.file_hash, keys: chunks.map((c) => `part:${c.part}`), contiguous: chunks.every((c, i) => c.part === i) }];
+};
+
+// pool 分片 -> 引用它的版本 (目录快照还记录路径)
+const listUsage = (manifest) => {
+    const usage = new Map();
+    const use = (id, version, filePath) => {
+        if (!usage.has(id)) usage.set(id, { versions: new Set(), paths: new Set() });
+        usage.get(id).versions.add(version);
+        if (filePath !== undefined) usage.get(id).paths.add(filePath);
+    };
+    for (const v of manifest.versions || []) {
+        if (manifest.type === "tree") {
+            for (const entry of v.entries) (entry.chunks || []).forEach((id) => use(id, v.version, entry.path));
+        } else {
+            (v.chunks || []).forEach((id) => use(id, v.version));
+        }
+    }
+    return usage;
+};
+
+// 分片不存在与暂时访问不到要分开报告：前者需要修复，后者可能只是网络问题
+const isMissing = (e) => e.code === "ENOENT" || (!!e.response && e.response.status === 404);
+
+/**
+ * @param {string} manifestPath
+ * @param {string|object} credentials - 密码，或 { privateKeys } 等接收者凭据 (见 ManifestFile.normalizeCredentials)
+ * @param {object} [options]
+ * @param {"quick"|"deep"} [options.level="deep"]
+ * @param {number} [options.concurrency=5] - 同时检查的分片数
+ * @returns {Promise<{
+ *   manifest: string, level: string, type: "file"|"sync"|"tree", healthy: boolean, checked: number, ok: number,
+ *   failed: Array<{ id: string, part?: number, hash: string, url: string, reason: "missing"|"unreachable"|"corrupt", error: string, versions?: number[], paths?: string[] }>,
+ *   bad_files: Array<{ version?: number, path?: string, error: string }>,
+ *   affected_versions?: number[],
+ * }>}
+ */
+export const verifyManifest = async (manifestPath, credentials, { level = "deep", concurrency = 5 } = {}) => {
+    if (!VERIFY_LEVELS.includes(level)) {
+        throw new Error(`未知的体检级别: ${level} (可选: ${VERIFY_LEVELS.join(", ")})`);
+    }
+    const { manifest, key } = await openManifest(manifestPath, credentials);
+    const type = manifest.type === "tree" ? "tree" : manifest.pool ? "sync" : "file";
+    const chunks = listChunks(manifest);
+    const byKey = new Map(chunks.map((chunk) => [chunk.key, chunk]));
+    const limit = pLimit(concurrency);
+    const failures = new Map(); // key -> { reason, error }
+    const checked = new Set();
+    const badFiles = [];
+
+    const fail = (chunk, reason, error) => {
+        if (!failures.has(chunk.key)) failures.set(chunk.key, { reason, error });
+    };
+
+    // quick：只问存储后端分片在不在
+    const probeChunk = async (chunk) => {
+        try {
+            if (!(await existsByLocator(chunk.url))) fail(chunk, "missing", "分片不存在");
+        } catch (e) {
+            fail(chunk, "unreachable", `无法访问: ${e.message}`);
+        }
+        checked.add(chunk.key);
+    };
+
+    // deep：下载并逐层校验，返回明文；失败时返回 null
+    const fetchChunk = async (chunk) => {
+        let buf;
+        try {
+            buf = await getByLocator(chunk.url, { timeout: 30000, validate: (data) => cipherHashMatches(data, chunk.hash) });
+        } catch (e) {
+            // 每个网关都只给出了内容不对的数据
+            if (e.code === CORRUPT_RESPONSE_ERROR) fail(chunk, "corrupt", "密文 Hash 不一致");
+            else fail(chunk, isMissing(e) ? "missing" : "unreachable", e.message);
+            checked.add(chunk.key);
+            return null;
+        }
+        checked.add(chunk.key);
+        if (!cipherHashMatches(buf, chunk.hash)) {
+            fail(chunk, "corrupt", "密文 Hash 不一致");
+            return null;
+        }
+        try {
+            const plain = await decrypt(buf, key, { autoJson: false });
+            if (chunk.id && !chunkIdMatches(plain, key, chunk.id)) {
+                fail(chunk, "corrupt", "明文标识不一致");
+                return null;
+            }
+            return plain;
+        } catch (e) {
+            fail(chunk, "corrupt", `解密失败: ${e.message}`);
+            return null;
+        }
+    };
+
+    console.log(`🩺 正在${level === "quick" ? "快速" : "深度"}体检星图 ${path.basename(manifestPath)}: ${chunks.length} 个分片`);
+
+    if (level === "deep") {
+        // 按顺序拼出每个文件/版本核对 file_hash，顺带完成分片级校验；内容相同的序列只拼一次
+        const seen = new Map(); // 序列签名 -> 核对结果 (null 表示通过)
+        const chunkFailed = new Error("分片损坏"); // 已记在 failures 里，这个文件自然也还原不出来
+        for (const file of listFiles(manifest)) {
+            if (file.contiguous === false) {
+                badFiles.push({ path: file.path, error: "分片记录不连续，星图可能尚未上传完成" });
+                continue;
+            }
+            if (!file.file_hash) continue;
+            const signature = `${file.file_hash}:${file.keys.join(",")}`;
+            if (!seen.has(signature)) {
+                const hasher = crypto.createHash("sha256");
+                let intact = true;
+                try {
+                    await runOrderedPipeline({
+                        count: file.keys.length,
+                        limiter: limit,
+                        fetchChunk: async (index) => {
+                            const chunk = byKey.get(file.keys[index]);
+                            if (!chunk) throw new Error(`星图中缺少分片 ${file.keys[index]} 的记录`);
+                            const plain = failures.has(chunk.key) ? null : await fetchChunk(chunk);
+                            if (!plain) throw chunkFailed;
+                            return plain;
+                        },
+                        writeChunk: async (data) => {
+                            hasher.update(data);
+                        },
+                    });
+                } catch (e) {
+                    intact = false;
+                    if (e !== chunkFailed) seen.set(signature, e.message);
+                }
+                if (intact && hasher.digest("hex") !== file.file_hash) seen.set(signature, "整文件 Hash 不一致");
+                else if (!seen.has(signature)) seen.set(signature, null);
+            }
+            const error = seen.get(signature);
+            if (error) badFiles.push({ ...(file.version !== undefined && { version: file.version }), ...(file.path !== undefined && { path: file.path }), error });
+        }
+    }
+
+    // 没被任何已完成版本引用的分片 (或 quick 模式下的全部分片) 单独检查
+    await Promise.all(chunks.filter((chunk) => !checked.has(chunk.key)).map((chunk) => limit(() => (level === "quick" ? probeChunk(chunk) : fetchChunk(chunk)))));
+
+    const usage = type === "file" ? null : listUsage(manifest);
+    const failed = chunks.filter((chunk) => failures.has(chunk.key)).map(({ key: chunkKey, ...chunk }) => {
+        const entry = { ...chunk, ...failures.get(chunkKey) };
+        if (usage) {
+            const used = usage.get(chunk.id) || { versions: new Set(), paths: new Set() };
+            entry.versions = [...used.versions].sort((a, b) => a - b);
+            if (type === "tree") entry.paths = [...used.paths].sort();
+        }
+        return entry;
+    });
+
+    const report = {
+        manifest: manifestPath,
+        level,
+        type,
+        healthy: failed.length === 0 && badFiles.length === 0,
+        checked: chunks.length,
+        ok: chunks.length - failed.length,
+        failed,
+        bad_files: badFiles,
+    };
+    if (usage) {
+        report.affected_versions = [...new Set([...failed.flatMap((f) => f.versions), ...badFiles.map((f) => f.version)])].sort((a, b) => a - b);
+    }
+
+    if (!report.healthy) {
+        console.warn(`🩺 发现 ${failed.length}/${chunks.length} 个分片损坏或无法获取${badFiles.length > 0 ? `，${badFiles.length} 个文件/版本无法完整还原` : ""}`);
+    } else {
+        console.log(`🩺 全部 ${chunks.length} 个分片完好`);
+    }
+    return report;
+};
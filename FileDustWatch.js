@@ -0,0 +1,183 @@
+import fs from "node:fs";
+import path from "node:path";
+
+import { syncFileToDust } from "./FileDustSync.js";
+import { snapshotTree, TREE_MANIFEST_SUFFIX } from "./FileDustTree.js";
+import { createDustIgnoreMatcher, assertNotIgnored, TREE_IGNORE_FILES } from "./IgnoreRules.js";
+import { defaultIndexPath } from "./ChunkIndex.js";
+import { getStorageBackend } from "./StorageBackend.js";
+
+// 深空凝视者：监听一个文件或一整棵目录树，改动攒够一批后自动同步出新版本。
+// - 文件：监听它所在的目录并按文件名过滤，编辑器“写临时文件再 rename 覆盖”的保存方式不会让监听失效
+// - 目录：每个子目录各挂一个 fs.watch，新建的子目录自动挂上、删除的自动摘掉；忽略规则默认读取每层的 .gitignore 与 .dustignore
+// - 同步进行中到来的改动先排队，本轮结束后立刻再同步一轮，不会丢失
+
+// 工具自己写出的文件 (星图、索引、salt.json、本地分片仓库) 不算改动，否则每次同步都会触发下一次
+const ownOutputs = (manifestPath) => {
+    const files = [manifestPath, defaultIndexPath(), path.resolve("salt.json")];
+    const { dir: storeDir } = getStorageBackend();
+    return (fullPath) => {
+        if (storeDir && (fullPath === storeDir || fullPath.startsWith(`${storeDir}${path.sep}`))) return true;
+        // 写入时用的 <文件>.tmp 与 <文件>.<pid>.tmp 临时文件
+        return files.some((file) => fullPath === file || (fullPath.startsWith(`${file}.`) && fullPath.endsWith(".tmp")));
+    };
+};
+
+/**
+ * 监听文件或目录，每批改动同步出一个新版本 (文件用 syncFileToDust，目录用 snapshotTree)
+ * @param {string} target - 文件或目录
+ * @param {string} password
+ * @param {object} [options]
+ * @param {number} [options.chunkSizeKB] - 不传时沿用星图记录的切片参数 (新星图为 90)
+ * @param {number} [options.debounceMs=1500] - 防抖延迟，最后一次改动之后静默这么久才开始同步
+ * @param {object} [options.syncOptions] - 透传给 syncFileToDust / snapshotTree 的选项
+ * @param {string[]} [options.ignoreFiles=TREE_IGNORE_FILES] - 目录模式下每层读取的忽略文件名，默认与 snapshotTree 相同 (内置黑名单总是生效)
+ * @param {(result: { manifest?: string, error?: Error, changes: string[] }) => void} [options.onSync] - 每轮同步结束后回调，changes 为本轮的改动 (相对路径)
+ * @returns {{ close: () => void }} 调用 close() 停止监听
+ */
+export const watchPath = (target, password, { chunkSizeKB, debounceMs = 1500, syncOptions = {}, ignoreFiles = TREE_IGNORE_FILES, onSync } = {}) => {
+    const resolved = path.resolve(target);
+    if (!fs.existsSync(resolved)) {
+        throw new Error(`找不到文件或目录 "${target}"`);
+    }
+    const isDirectory = fs.statSync(resolved).isDirectory();
+    if (!isDirectory) assertNotIgnored(target);
+    const root = isDirectory ? resolved : path.dirname(resolved);
+    const manifestPath = path.resolve(`${path.basename(resolved)}${isDirectory ? TREE_MANIFEST_SUFFIX : ".sync.dust"}`);
+    const isOwnOutput = ownOutputs(manifestPath);
+    const matcher = isDirectory ? createDustIgnoreMatcher(resolved, { fileNames: ignoreFiles }) : null;
+    const ignored = (fullPath, directory) => path.basename(fullPath) === ".git" || isOwnOutput(fullPath) || (!!matcher && matcher.ignores(fullPath, directory));
+
+    const watchers = new Map(); // 目录 -> fs.FSWatcher
+    const pending = new Set();
+    let timer = null;
+    let running = false;
+    let closed = false;
+
+    const runSync = async () => {
+        timer = null;
+        // 正在同步时不启动新一轮，本轮结束后会检查 pending
+        if (running || closed || pending.size === 0) return;
+        running = true;
+        const changes = [...pending].map((p) => path.relative(root, p).split(path.sep).join("/") || ".").sort();
+        pending.clear();
+
+        console.log(`\n==========================================`);
+        console.log(`⏰ [${new Date().toLocaleTimeString()}] 探测到 ${changes.length} 处改动，激活时空引擎！`);
+        try {
+            let manifest;
+            if (isDirectory) {
+                manifest = await snapshotTree(resolved, password, chunkSizeKB, { ...syncOptions, ignore: { ignores: ignored } });
+            } else if (fs.existsSync(resolved)) {
+                manifest = await syncFileToDust(resolved, password, chunkSizeKB, syncOptions);
+            } else {
+                // 文件被删除或正处在 rename 保存的间隙，等它重新出现时会再触发
+                console.log(`⏳ ${path.basename(resolved)} 暂时不存在，等待它重新出现...`);
+                return;
+            }
+            if (onSync) onSync({ manifest, changes });
+        } catch (err) {
+            console.error(`❌ 同步引擎运转异常:`, err.message);
+            if (onSync) onSync({ error: err, changes });
+        } finally {
+            running = false;
+            if (pending.size > 0 && !closed) {
+                console.log(`📥 同步期间又有 ${pending.size} 处改动，稍后开始下一轮...`);
+                schedule();
+            } else {
+                console.log(`👁️  同步结束，继续保持凝视...`);
+            }
+        }
+    };
+
+    const schedule = () => {
+        if (closed) return;
+        if (timer) clearTimeout(timer);
+        timer = setTimeout(runSync, debounceMs);
+    };
+
+    const detach = (dir) => {
+        for (const [watched, watcher] of watchers) {
+            if (watched === dir || watched.startsWith(`${dir}${path.sep}`)) {
+                watcher.close();
+                watchers.delete(watched);
+            }
+        }
+    };
+
+    const onEvent = (dir, filename) => {
+        if (closed) return;
+        // 部分平台不提供文件名，只能把整个目录当作改动
+        const fullPath = filename ? path.join(dir, filename.toString()) : dir;
+        if (!isDirectory) {
+            if (fullPath !== resolved) return;
+            pending.add(fullPath);
+            schedule();
+            return;
+        }
+        if (isOwnOutput(fullPath)) return;
+        if (matcher.isIgnoreFile(fullPath)) {
+            // 忽略规则变了：重新读取，并同步一次让新规则生效
+            matcher.invalidate(dir);
+            pending.add(fullPath);
+            schedule();
+            return;
+        }
+
+        let stat = null;
+        try {
+            stat = fs.lstatSync(fullPath);
+        } catch (e) {
+            // 已被删除或改名移走
+        }
+        if (!stat) {
+            detach(fullPath);
+        } else if (stat.isDirectory() && !watchers.has(fullPath) && !ignored(fullPath, true)) {
+            // 新建或移进来的目录，连同其中已有的子目录一起挂上
+            attach(fullPath);
+        }
+        if (stat && ignored(fullPath, stat.isDirectory())) return;
+        pending.add(fullPath);
+        schedule();
+    };
+
+    const attach = (dir) => {
+        let watcher;
+        try {
+            watcher = fs.watch(dir, (eventType, filename) => onEvent(dir, filename));
+        } catch (e) {
+            console.warn(`⚠️ 无法监听目录 ${dir}: ${e.message}`);
+            return;
+        }
+        // 目录被删除时部分平台会报错，摘掉即可
+        watcher.on("error", () => detach(dir));
+        watchers.set(dir, watcher);
+        if (!isDirectory) return;
+
+        let entries = [];
+        try {
+            entries = fs.readdirSync(dir, { withFileTypes: true });
+        } catch (e) {
+            // 挂上之后目录又被删除
+        }
+        for (const entry of entries) {
+            const child = path.join(dir, entry.name);
+            if (entry.isDirectory() && !watchers.has(child) && !ignored(child, true)) attach(child);
+        }
+    };
+
+    attach(root);
+
+    console.log(`\n👁️  深空凝视者 (Space Watcher) 已启动`);
+    console.log(`🎯 正在全天候监听${isDirectory ? `目录 (共 ${watchers.size} 个目录)` : "文件"}变动: ${resolved}`);
+    console.log(`(按 Ctrl+C 即可终止防卫进程)\n`);
+
+    return {
+        close() {
+            closed = true;
+            if (timer) clearTimeout(timer);
+            for (const watcher of watchers.values()) watcher.close();
+            watchers.clear();
+        },
+    };
+};
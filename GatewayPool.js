@@ -0,0 +1,286 @@
+import axios from "axios";
+
+// 多网关读取层：Arweave 上的数据任何网关都能读，分片定位符里的主机名只是上传时恰好用的那个网关。
+// 读取时从 URL 中取出交易 ID，拼到每个候选网关上，按健康度排序后依次尝试:
+//   - 每个网关记录延迟与出错率的滑动平均 (EWMA)，分数 = 延迟 × (1 + 4 × 出错率)，越低越先用
+//   - 连续失败 COOLDOWN_FAILURES 次的网关冷却一段时间，冷却期间排到最后，但仍会作为兜底
+//   - 对冲 (hedging)：当前网关超过 hedgeDelayMs 还没返回，就同时向下一个网关发请求，谁先回来用谁，其余请求取消
+//   - 调用方可以传入校验函数 (通常是比对密文摘要)：返回了错误或截断数据的网关按出错计分，并换下一个网关重试
+// 候选网关来自 configureGateways()、环境变量 FILEDUST_GATEWAYS (逗号分隔) 或 DEFAULT_GATEWAYS。
+// 星图只记录 ar://<交易 ID>，读取时才拼出网关 URL；尚未迁移的老星图中 https://<网关>/<交易 ID> 形式的 URL，
+// 其自带的主机不在列表中时排在最后，保证自建网关上传的老星图仍然可读 (迁移时也不改写这样的 URL，见 normalizeLocator)。
+
+export const DEFAULT_GATEWAYS = ["https://v1.filedust.workers.dev", "https://arweave.net", "https://arweave.dev"];
+const DEFAULT_HEDGE_DELAY_MS = 2000;
+const COOLDOWN_FAILURES = 3;
+const COOLDOWN_MS = 30000;
+const EWMA_ALPHA = 0.3;
+// 还没有样本的网关按这个延迟估算，让它有机会被试到
+const UNKNOWN_LATENCY_MS = 1000;
+
+// Arweave 交易 ID (以及 LocalBackend 模仿的 ID)：43 位 base64url
+const TXID_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+export const ARWEAVE_LOCATOR_PREFIX = "ar://";
+// 所有网关都没能提供通过校验的数据、且有网关返回了未通过校验的数据时，错误的 code
+export const CORRUPT_RESPONSE_ERROR = "ERR_FILEDUST_CORRUPT_RESPONSE";
+
+let configured = null;
+let hedgeDelayMs = DEFAULT_HEDGE_DELAY_MS;
+const stats = new Map(); // 网关 -> { latency, errorRate, requests, failures, consecutiveFailures, coolUntil }
+
+const normalizeGateway = (gateway) => gateway.trim().replace(/\/+$/, "");
+
+/**
+ * 设置读取用的网关列表与对冲延迟；gateways 传 null 恢复默认 (FILEDUST_GATEWAYS 或 DEFAULT_GATEWAYS)
+ * @param {object} options
+ * @param {string[]|null} [options.gateways]
+ * @param {number} [options.hedgeDelayMs=2000]
+ */
+export const configureGateways = ({ gateways, hedgeDelayMs: delay } = {}) => {
+    if (gateways !== undefined) {
+        configured = gateways ? gateways.map(normalizeGateway).filter(Boolean) : null;
+        if (configured && configured.length === 0) throw new Error("网关列表不能为空");
+    }
+    if (delay !== undefined) hedgeDelayMs = delay;
+};
+
+export const listGateways = () => {
+    if (configured) return [...configured];
+    if (process.env.FILEDUST_GATEWAYS) return process.env.FILEDUST_GATEWAYS.split(",").map(normalizeGateway).filter(Boolean);
+    return [...DEFAULT_GATEWAYS];
+};
+
+/**
+ * 从网关 URL 中解析出网关与交易 ID
+ * @param {string} url - 形如 https://<gateway>/<txid>
+ * @returns {{ gateway: string, txid: string } | null} 不是 <网关>/<交易 ID> 形式时为 null
+ */
+export const parseGatewayUrl = (url) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return null;
+    }
+    const segments = parsed.pathname.split("/");
+    const txid = segments.pop();
+    if (parsed.search || parsed.hash || !TXID_PATTERN.test(txid)) return null;
+    return { gateway: `${parsed.origin}${segments.join("/")}`, txid };
+};
+
+/**
+ * 交易 ID 对应的定位符，与网关无关
+ * @param {string} txid
+ */
+export const arweaveLocator = (txid) => {
+    if (!TXID_PATTERN.test(txid)) throw new Error(`无效的 Arweave 交易 ID: ${txid}`);
+    return ARWEAVE_LOCATOR_PREFIX + txid;
+};
+
+/**
+ * 从 ar://<交易 ID> 或老星图的网关 URL 中取出交易 ID
+ * @param {string} locator
+ * @returns {{ txid: string, gateway?: string } | null} 网关 URL 同时返回它的网关
+ */
+export const parseArweaveLocator = (locator) => {
+    if (typeof locator === "string" && locator.startsWith(ARWEAVE_LOCATOR_PREFIX)) {
+        const txid = locator.slice(ARWEAVE_LOCATOR_PREFIX.length);
+        return TXID_PATTERN.test(txid) ? { txid } : null;
+    }
+    return /^https?:\/\//.test(locator) ? parseGatewayUrl(locator) : null;
+};
+
+/**
+ * 把老星图中绑定了网关的 URL 换成 ar://<交易 ID>，其他定位符原样返回
+ * 只改写已知网关 (DEFAULT_GATEWAYS，其中包括早期的 v1.filedust.workers.dev，以及当前配置的网关) 上的 URL：
+ * 其他 https 地址即使末段恰好是 43 位，也未必是 Arweave 交易，改写后就再也找不回原来的位置
+ * @param {string} locator
+ * @returns {string}
+ */
+export const normalizeLocator = (locator) => {
+    const parsed = parseArweaveLocator(locator);
+    if (!parsed) return locator;
+    if (parsed.gateway && !new Set([...DEFAULT_GATEWAYS, ...listGateways()]).has(parsed.gateway)) return locator;
+    return arweaveLocator(parsed.txid);
+};
+
+const statsFor = (gateway) => {
+    if (!stats.has(gateway)) {
+        stats.set(gateway, { latency: null, errorRate: 0, requests: 0, failures: 0, consecutiveFailures: 0, coolUntil: 0 });
+    }
+    return stats.get(gateway);
+};
+
+const record = (gateway, ok, latencyMs) => {
+    const s = statsFor(gateway);
+    s.requests++;
+    s.errorRate = s.errorRate * (1 - EWMA_ALPHA) + (ok ? 0 : EWMA_ALPHA);
+    if (latencyMs !== undefined) s.latency = s.latency === null ? latencyMs : s.latency * (1 - EWMA_ALPHA) + latencyMs * EWMA_ALPHA;
+    if (ok) {
+        s.consecutiveFailures = 0;
+        s.coolUntil = 0;
+        return;
+    }
+    s.failures++;
+    s.consecutiveFailures++;
+    if (s.consecutiveFailures >= COOLDOWN_FAILURES) s.coolUntil = Date.now() + COOLDOWN_MS;
+};
+
+// 被对冲掉的请求只知道延迟至少有 elapsedMs (删失样本)：比当前估计慢才按同样的权重拉高估计，不算出错也不计请求数
+const recordCensored = (gateway, elapsedMs) => {
+    const s = statsFor(gateway);
+    if (s.latency === null) s.latency = elapsedMs;
+    else if (elapsedMs > s.latency) s.latency = s.latency * (1 - EWMA_ALPHA) + elapsedMs * EWMA_ALPHA;
+};
+
+const scoreOf = (gateway) => {
+    const s = statsFor(gateway);
+    return (s.latency === null ? UNKNOWN_LATENCY_MS : s.latency) * (1 + 4 * s.errorRate);
+};
+
+// 候选网关按健康度排序：冷却中的排最后，分数相同保持配置顺序
+const rankGateways = (origin) => {
+    const candidates = listGateways();
+    if (origin && !candidates.includes(origin)) candidates.push(origin);
+    const now = Date.now();
+    return candidates
+        .map((gateway, order) => ({ gateway, order, cooling: statsFor(gateway).coolUntil > now, score: scoreOf(gateway) }))
+        .sort((a, b) => (a.cooling - b.cooling) || (a.score - b.score) || (a.order - b.order))
+        .map(({ gateway }) => gateway);
+};
+
+/**
+ * 各网关的健康统计，按当前排序
+ * @returns {Array<{ gateway: string, score: number, latency_ms: number|null, error_rate: number, requests: number, failures: number, cooling: boolean }>}
+ */
+export const gatewayStats = () => {
+    const now = Date.now();
+    return rankGateways().map((gateway) => {
+        const s = statsFor(gateway);
+        return {
+            gateway,
+            score: Math.round(scoreOf(gateway)),
+            latency_ms: s.latency === null ? null : Math.round(s.latency),
+            error_rate: Number(s.errorRate.toFixed(3)),
+            requests: s.requests,
+            failures: s.failures,
+            cooling: s.coolUntil > now,
+        };
+    });
+};
+
+export const resetGatewayStats = () => stats.clear();
+
+const isNotFound = (error) => !!error.response && error.response.status === 404;
+
+// 404 是网关正常作答 (只是没有这笔数据，可能还没传播到)，计入延迟但不算出错，不会让网关冷却
+const recordError = (gateway, error, latencyMs) => record(gateway, isNotFound(error), latencyMs);
+
+const corruptResponse = () => {
+    const error = new Error("返回的数据未通过校验");
+    error.code = CORRUPT_RESPONSE_ERROR;
+    return error;
+};
+
+// 所有网关都失败时合成一个错误：只要有网关不是 404 就当作暂时不可用，全部 404 才算分片不存在
+const combineErrors = (txid, failures) => {
+    const representative = failures.find(({ error }) => !isNotFound(error)) || failures[failures.length - 1];
+    const error = new Error(`所有网关都无法提供 ${txid}: ${failures.map(({ gateway, error: e }) => `${gateway} (${e.message})`).join("; ")}`);
+    if (representative.error.response) error.response = representative.error.response;
+    if (representative.error.code) error.code = representative.error.code;
+    return error;
+};
+
+/**
+ * 从最健康的网关下载一笔交易的数据，慢了就对冲到下一个网关，失败就换下一个
+ * @param {string} txid
+ * @param {object} [options]
+ * @param {string} [options.origin] - 定位符自带的网关，不在配置列表中时作为最后的候选
+ * @param {number} [options.timeout=30000] - 单个网关的请求超时
+ * @param {(data: Buffer) => boolean} [options.validate] - 校验返回的数据，不通过的网关记为出错并换下一个
+ * @returns {Promise<Buffer>}
+ */
+export const fetchFromGateways = (txid, { origin, timeout = 30000, validate } = {}) => {
+    const ranked = rankGateways(origin);
+    const controllers = new Map(); // 网关 -> { controller, started }
+    const failures = [];
+    let next = 0;
+    let settled = false;
+    let hedgeTimer = null;
+
+    return new Promise((resolve, reject) => {
+        const scheduleHedge = () => {
+            clearTimeout(hedgeTimer);
+            if (next < ranked.length) hedgeTimer = setTimeout(launch, hedgeDelayMs);
+        };
+
+        const finish = () => {
+            settled = true;
+            clearTimeout(hedgeTimer);
+            for (const [gateway, { controller, started }] of controllers) {
+                controller.abort();
+                recordCensored(gateway, Date.now() - started);
+            }
+            controllers.clear();
+        };
+
+        function launch() {
+            if (settled || next >= ranked.length) return;
+            const gateway = ranked[next++];
+            const controller = new AbortController();
+            const started = Date.now();
+            controllers.set(gateway, { controller, started });
+
+            axios.get(`${gateway}/${txid}`, { responseType: "arraybuffer", timeout, signal: controller.signal })
+                .then((response) => {
+                    if (settled) return;
+                    const data = Buffer.from(response.data);
+                    // 内容不对的 200 与出错一样处理，交给下面的 catch 换下一个网关
+                    if (validate && !validate(data)) throw corruptResponse();
+                    controllers.delete(gateway);
+                    record(gateway, true, Date.now() - started);
+                    finish();
+                    resolve(data);
+                })
+                .catch((error) => {
+                    if (settled) return;
+                    controllers.delete(gateway);
+                    recordError(gateway, error, Date.now() - started);
+                    failures.push({ gateway, error });
+                    if (next < ranked.length) {
+                        launch();
+                    } else if (controllers.size === 0) {
+                        finish();
+                        reject(combineErrors(txid, failures));
+                    }
+                });
+            scheduleHedge();
+        }
+
+        launch();
+    });
+};
+
+/**
+ * 向各网关确认交易数据是否存在 (HEAD)，按健康度依次询问
+ * @param {string} txid
+ * @param {object} [options]
+ * @param {string} [options.origin]
+ * @returns {Promise<boolean>} 有网关能提供即为 true；没有网关能提供且至少一个回答 404 时为 false
+ */
+export const existsOnGateways = async (txid, { origin } = {}) => {
+    const failures = [];
+    for (const gateway of rankGateways(origin)) {
+        const started = Date.now();
+        try {
+            await axios.head(`${gateway}/${txid}`, { timeout: 15000 });
+            record(gateway, true, Date.now() - started);
+            return true;
+        } catch (error) {
+            recordError(gateway, error, Date.now() - started);
+            failures.push({ gateway, error });
+        }
+    }
+    if (failures.some(({ error }) => isNotFound(error))) return false;
+    throw combineErrors(txid, failures);
+};
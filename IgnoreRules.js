@@ -0,0 +1,199 @@
+import fs from "node:fs";
+import path from "node:path";
+
+// gitignore 风格的忽略规则。每一层目录都可以有自己的忽略文件 (默认 .gitignore)，
+// 规则相对所在目录解析；越深、越靠后的规则优先级越高，`!` 可以重新包含。
+// 与 git 相同：父目录被忽略后，其中的内容无法再被 `!` 重新包含。
+//
+// 支持的语法: # 注释、\ 转义、! 取反、结尾 / 只匹配目录、含 / 的模式相对所在目录锚定、
+// * ? [...] 通配符，以及 **/ 前缀、/** 后缀与 /**/ 中缀。
+//
+// FileDust 自己的忽略文件是 .dustignore，sync、watch、upload 都会遵循；
+// 另有一份内置黑名单 (钱包与 salt.json)，任何忽略文件都无法用 `!` 放行。
+
+export const DUST_IGNORE_FILE = ".dustignore";
+// 目录快照 (sync <目录> 与 watch <目录>) 每层读取的忽略文件：两个入口必须一致，否则同一目录会得到不同的快照
+export const TREE_IGNORE_FILES = [".gitignore", DUST_IGNORE_FILE];
+export const BUILTIN_DENY_LIST = ["wallet.json", "salt.json"];
+export const IGNORED_PATH_ERROR = "ERR_FILEDUST_IGNORED_PATH";
+
+// 把一段 glob 转成正则表达式源码 (不含首尾锚点)
+const globToRegexSource = (glob) => {
+    let re = "";
+    for (let i = 0; i < glob.length; i++) {
+        const ch = glob[i];
+        if (ch === "*" && glob[i + 1] === "*") {
+            const atStart = i === 0 || glob[i - 1] === "/";
+            const atEnd = i + 2 === glob.length;
+            if (atStart && glob[i + 2] === "/") {
+                re += "(?:.*/)?"; // **/ 匹配零或多层目录
+                i += 2;
+            } else if (atStart && atEnd) {
+                re += ".*"; // 结尾的 /** 匹配其下的一切
+                i += 1;
+            } else {
+                re += "[^/]*"; // 其他位置的 ** 与 * 相同
+                i += 1;
+            }
+        } else if (ch === "*") {
+            re += "[^/]*";
+        } else if (ch === "?") {
+            re += "[^/]";
+        } else if (ch === "[") {
+            const close = glob.indexOf("]", i + 2);
+            if (close === -1) {
+                re += "\\[";
+                continue;
+            }
+            let body = glob.slice(i + 1, close).replace(/\\/g, "\\\\");
+            if (body[0] === "!") body = `^${body.slice(1)}`;
+            re += `[${body}]`;
+            i = close;
+        } else if (ch === "\\" && i + 1 < glob.length) {
+            re += glob[++i].replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+        } else {
+            re += ch.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+        }
+    }
+    return re;
+};
+
+/**
+ * 解析一行忽略规则，空行与注释返回 null
+ * @returns {{ pattern: string, regex: RegExp, negate: boolean, dirOnly: boolean } | null}
+ */
+export const compileIgnorePattern = (line) => {
+    // 去掉行尾未转义的空白
+    let pattern = line.replace(/(?<!\\)\s+$/, "");
+    if (!pattern || pattern.startsWith("#")) return null;
+
+    let negate = false;
+    if (pattern.startsWith("!")) {
+        negate = true;
+        pattern = pattern.slice(1);
+    }
+    let dirOnly = false;
+    if (pattern.endsWith("/")) {
+        dirOnly = true;
+        pattern = pattern.replace(/\/+$/, "");
+    }
+    if (!pattern) return null;
+
+    // 中间或开头含 / 的模式相对忽略文件所在目录锚定，否则匹配任意深度的同名项
+    const anchored = pattern.includes("/");
+    const glob = pattern.replace(/^\//, "");
+    const source = globToRegexSource(glob);
+    const regex = new RegExp(anchored ? `^${source}$` : `^(?:.*/)?${source}$`);
+    return { pattern: line.trim(), regex, negate, dirOnly };
+};
+
+export const parseIgnoreFile = (text) => text.split(/\r?\n/).map(compileIgnorePattern).filter(Boolean);
+
+/**
+ * 为一棵目录树创建忽略判定器
+ * @param {string} root - 树的根目录
+ * @param {object} [options]
+ * @param {string[]} [options.fileNames=[".gitignore"]] - 每层目录中读取的忽略文件名
+ * @param {string[]} [options.patterns=[]] - 额外的规则，相对 root 解析，优先级低于任何忽略文件
+ */
+export const createIgnoreMatcher = (root, { fileNames = [".gitignore"], patterns = [] } = {}) => {
+    const rootDir = path.resolve(root);
+    const baseRules = patterns.map(compileIgnorePattern).filter(Boolean);
+    const cache = new Map(); // 目录 -> 该目录忽略文件中的规则
+
+    const rulesFor = (dir) => {
+        if (!cache.has(dir)) {
+            const rules = [];
+            for (const name of fileNames) {
+                const file = path.join(dir, name);
+                try {
+                    rules.push(...parseIgnoreFile(fs.readFileSync(file, "utf8")));
+                } catch (e) {
+                    // 没有这个忽略文件
+                }
+            }
+            cache.set(dir, rules);
+        }
+        return cache.get(dir);
+    };
+
+    // 只看规则本身 (不考虑父目录是否已被忽略)，最后一条命中的规则说了算
+    const matchOwnRules = (parts, isDirectory) => {
+        let ignored = false;
+        const apply = (rules, relPath) => {
+            for (const rule of rules) {
+                if (rule.dirOnly && !isDirectory) continue;
+                if (rule.regex.test(relPath)) ignored = !rule.negate;
+            }
+        };
+        apply(baseRules, parts.join("/"));
+        for (let depth = 0; depth < parts.length; depth++) {
+            apply(rulesFor(path.join(rootDir, ...parts.slice(0, depth))), parts.slice(depth).join("/"));
+        }
+        return ignored;
+    };
+
+    return {
+        root: rootDir,
+
+        /**
+         * @param {string} fullPath
+         * @param {boolean} [isDirectory=false]
+         * @returns {boolean} 该路径 (或它的某个父目录) 是否被忽略
+         */
+        ignores(fullPath, isDirectory = false) {
+            const rel = path.relative(rootDir, path.resolve(fullPath));
+            if (!rel || rel.startsWith("..") || path.isAbsolute(rel)) return false;
+            const parts = rel.split(path.sep);
+            for (let i = 1; i <= parts.length; i++) {
+                if (matchOwnRules(parts.slice(0, i), i < parts.length || isDirectory)) return true;
+            }
+            return false;
+        },
+
+        // 某个目录中的忽略文件有改动时调用，不传参数则全部重新读取
+        invalidate(dir) {
+            if (dir) cache.delete(path.resolve(dir));
+            else cache.clear();
+        },
+
+        isIgnoreFile: (fullPath) => fileNames.includes(path.basename(fullPath)),
+    };
+};
+
+// 内置黑名单：文件名命中即拒绝，与所在目录和忽略文件无关
+export const isDeniedPath = (fullPath) => BUILTIN_DENY_LIST.includes(path.basename(fullPath));
+
+/**
+ * 按 .dustignore 与内置黑名单判定的忽略器，接口同 createIgnoreMatcher
+ * @param {string} root
+ * @param {object} [options]
+ * @param {string[]} [options.fileNames=[".dustignore"]] - 可以追加 .gitignore 等其他忽略文件
+ * @param {string[]} [options.patterns=[]]
+ */
+export const createDustIgnoreMatcher = (root, { fileNames = [DUST_IGNORE_FILE], patterns = [] } = {}) => {
+    const matcher = createIgnoreMatcher(root, { fileNames, patterns });
+    return { ...matcher, ignores: (fullPath, isDirectory = false) => isDeniedPath(fullPath) || matcher.ignores(fullPath, isDirectory) };
+};
+
+/**
+ * 上传单个文件前的检查：命中内置黑名单或 .dustignore 时抛出 (code 为 IGNORED_PATH_ERROR)。
+ * 当前目录内的文件从当前目录起逐层读取 .dustignore，其他位置的文件只看它所在目录的 .dustignore。
+ * @param {string} filePath
+ */
+export const assertNotIgnored = (filePath) => {
+    const fullPath = path.resolve(filePath);
+    const cwd = process.cwd();
+    const root = fullPath.startsWith(`${cwd}${path.sep}`) ? cwd : path.dirname(fullPath);
+    let reason = null;
+    if (isDeniedPath(fullPath)) {
+        reason = `"${filePath}" 在内置黑名单 (${BUILTIN_DENY_LIST.join(", ")}) 中，钱包与密钥文件一律不会上传`;
+    } else if (createIgnoreMatcher(root, { fileNames: [DUST_IGNORE_FILE] }).ignores(fullPath)) {
+        reason = `"${filePath}" 被 ${DUST_IGNORE_FILE} 排除，不会上传 (如需上传请修改对应的 ${DUST_IGNORE_FILE})`;
+    }
+    if (reason) {
+        const error = new Error(reason);
+        error.code = IGNORED_PATH_ERROR;
+        throw error;
+    }
+};
@@ -0,0 +1,94 @@
+import fs from "node:fs";
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import axios from "axios";
+
+// StorageBackend 接口的本地目录实现：按密文内容寻址存放，
+// 适合离线测试整条上传/同步/恢复链路，或把隐私数据留在自己的硬盘/NAS 上。
+//
+// 分片 ID 模仿 Turbo 上传返回的 Arweave 交易 ID (43 位 base64url)，这里取密文 SHA-256。
+// 定位符总是 local://<id>，星图不绑定任何网关。配置了 gateway (options.gateway 或 FILEDUST_LOCAL_GATEWAY) 时，
+// 读取才把它拼成 `${gateway}/${id}` 经 HTTP 获取，配合 FakeGateway.js 可以原样走一遍网关读取链路；否则直接读本地文件。
+// 目录来自 options.dir 或环境变量 FILEDUST_LOCAL_DIR，默认 ./dust_store
+
+const LOCATOR_PREFIX = "local://";
+const ID_PATTERN = /^(?:[A-Za-z0-9_-]{43}|[0-9a-f]{64})$/;
+
+export const localChunkId = (buffer) => crypto.createHash("sha256").update(buffer).digest("base64url");
+
+export const isLocalChunkId = (id) => ID_PATTERN.test(id);
+
+export function createLocalBackend(options = {}) {
+    const dir = path.resolve(options.dir || process.env.FILEDUST_LOCAL_DIR || "dust_store");
+    const gateway = (options.gateway || process.env.FILEDUST_LOCAL_GATEWAY || "").replace(/\/+$/, "");
+
+    const idFor = (locator) => {
+        const id = locator.startsWith(LOCATOR_PREFIX)
+            ? locator.slice(LOCATOR_PREFIX.length)
+            : locator.slice(locator.lastIndexOf("/") + 1);
+        if (!isLocalChunkId(id)) {
+            throw new Error(`无效的本地分片定位符: ${locator}`);
+        }
+        return id;
+    };
+
+    const pathFor = (locator) => path.join(dir, idFor(locator));
+
+    return {
+        name: "local",
+        dir,
+        gateway,
+
+        async put(buffer) {
+            if (!Buffer.isBuffer(buffer)) {
+                throw new Error("data 必须是 Buffer 类型");
+            }
+            const id = localChunkId(buffer);
+            const target = path.join(dir, id);
+
+            // 内容寻址：相同密文只存一份
+            if (!fs.existsSync(target)) {
+                await mkdir(dir, { recursive: true });
+                const tempPath = `${target}.${process.pid}.tmp`;
+                await writeFile(tempPath, buffer);
+                await rename(tempPath, target);
+            }
+            return LOCATOR_PREFIX + id;
+        },
+
+        async get(locator, options = {}) {
+            if (gateway) {
+                const response = await axios.get(`${gateway}/${idFor(locator)}`, {
+                    responseType: "arraybuffer",
+                    timeout: options.timeout || 30000,
+                });
+                return Buffer.from(response.data);
+            }
+            try {
+                return await readFile(pathFor(locator));
+            } catch (error) {
+                if (error.code === "ENOENT") {
+                    // 保留 ENOENT，调用方据此区分“分片丢失”与其他读取错误
+                    const missing = new Error(`本地存储中找不到分片: ${locator}`);
+                    missing.code = "ENOENT";
+                    throw missing;
+                }
+                throw error;
+            }
+        },
+
+        async exists(locator) {
+            if (gateway) {
+                try {
+                    await axios.head(`${gateway}/${idFor(locator)}`, { timeout: 15000 });
+                    return true;
+                } catch (error) {
+                    if (error.response && error.response.status === 404) return false;
+                    throw error;
+                }
+            }
+            return fs.existsSync(pathFor(locator));
+        },
+    };
+}
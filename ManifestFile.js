@@ -0,0 +1,426 @@
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+
+import {
+    encrypt,
+    decrypt,
+    loadOrGenerateKey,
+    createKdfParams,
+    deriveKeyFromKdf,
+    keyCheckValue,
+    generateDataKey,
+    legacyDataKey,
+    wrapDataKey,
+    unwrapDataKey,
+    recipientId,
+    recipientPublicKey,
+    wrapDataKeyForRecipient,
+    unwrapDataKeyForRecipient,
+} from "./CryptoUtils.js";
+import { normalizeLocator } from "./GatewayPool.js";
+import { reencryptManifest } from "./FileDustReencrypt.js";
+
+// 星图 (.dust / .sync.dust) 的读写入口。
+//
+// 信封加密：分片由随机的数据密钥加密，星图的 data_key 字段保存用口令派生密钥包裹后的数据密钥；
+// 口令派生密钥的参数 kdf: { name, salt, N, r, p, key_length, check } (见 CryptoUtils.createKdfParams) 也记录在星图里，
+// 换一台机器、换一个目录都能只凭密码还原，不依赖当前目录的 salt.json。换密码 (rekeyManifest) 只重新包裹数据密钥，不碰任何分片。
+// 没有 data_key 的星图直接用口令派生密钥加密分片 (CryptoUtils.legacyDataKey)，没有 kdf 的更早期星图还要回退到 salt.json；
+// 它们在下一次上传/同步/换密码时补写这两个字段。
+//
+// 新星图默认使用 salt.json 中该密码的仓库数据密钥，同一仓库的文件共用它，跨文件去重才能生效。
+// 分享给接收者 (addRecipient) 前，星图先换到一把只属于它自己的随机数据密钥 (data_key_scope: "manifest")，
+// 所有分片随之重新加密上传 (见 FileDustReencrypt)；撤销接收者时再换一次，被撤销者手里的密钥解不开之后的任何分片。
+//
+// 可选的加密星图格式:
+//   { "format": "filedust-encrypted-manifest", "version": 2, "kdf": { ... }, "data_key": "<base64>", "payload": "<base64>" }
+// 明文头只有格式版本和打开星图所需的密钥参数；文件名、大小、file_hash 以及所有分片 URL 都在 payload 里
+// (CryptoUtils.encrypt，AES-256-GCM)。星图可以放心存放或分享在不受信任的地方，拿到密码才能打开。
+// version 1 的头部只有 salt，scrypt 参数为当时的默认值。
+//
+// Arweave 分片记录为 ar://<交易 ID>，读取时才按配置的网关拼出 URL (见 GatewayPool)。
+// 早期星图记录的是 https://<网关>/<交易 ID>，打开时就地迁移 (migrateLocators)，下一次写回时落盘。
+
+export const ENCRYPTED_MANIFEST_FORMAT = "filedust-encrypted-manifest";
+export const ENCRYPTED_MANIFEST_VERSION = 2;
+
+// 当前目录的仓库密钥文件：{ salt, envelope, data_keys: [<各密码包裹的数据密钥>] }
+// envelope 表示该文件创建于信封加密之后；更早的仓库里，每个密码的数据密钥就是它的口令派生密钥
+const REPOSITORY_KEY_FILE = "salt.json";
+
+// 密码错误 (或加密星图被篡改) 时的错误码，调用方据此决定不能覆盖原星图
+export const WRONG_PASSWORD_ERROR = "ERR_FILEDUST_WRONG_PASSWORD";
+
+export const isEncryptedManifest = (data) => !!data && data.format === ENCRYPTED_MANIFEST_FORMAT;
+
+// 未显式指定时，由环境变量 FILEDUST_ENCRYPT_MANIFEST=1 决定新星图是否加密
+export const encryptManifestByDefault = () => process.env.FILEDUST_ENCRYPT_MANIFEST === "1";
+
+// DustBrowser 每个请求都会重新打开星图，派生结果按 (密码, 参数) 缓存，避免反复跑 scrypt
+const derivedKeys = new Map();
+
+const cacheKeyFor = (...parts) => crypto.createHash("sha256").update(parts.join("\0")).digest("hex");
+
+const deriveKey = async (password, kdf) => {
+    const cacheKey = cacheKeyFor(password, kdf.name, kdf.salt, kdf.N, kdf.r, kdf.p, kdf.key_length);
+    if (!derivedKeys.has(cacheKey)) {
+        derivedKeys.set(cacheKey, await deriveKeyFromKdf(password, kdf));
+    }
+    return derivedKeys.get(cacheKey);
+};
+
+// 由当前目录 salt.json 的盐派生的口令密钥
+const loadCwdKey = async (password) => {
+    const cacheKey = cacheKeyFor(password, path.resolve(REPOSITORY_KEY_FILE));
+    if (!derivedKeys.has(cacheKey) || !fs.existsSync(REPOSITORY_KEY_FILE)) {
+        derivedKeys.set(cacheKey, await loadOrGenerateKey(password, REPOSITORY_KEY_FILE));
+    }
+    return derivedKeys.get(cacheKey);
+};
+
+const wrongPassword = (manifestPath, detail) => {
+    const error = new Error(`密码错误，无法打开星图 ${path.basename(manifestPath)}${detail ? ` (${detail})` : ""}`);
+    error.code = WRONG_PASSWORD_ERROR;
+    return error;
+};
+
+// 用口令密钥解开 (或为旧星图生成) 数据密钥
+const resolveDataKey = async (passwordKey, wrappedKey, manifestPath) => {
+    if (!wrappedKey) {
+        const key = legacyDataKey(passwordKey);
+        return { key, wrappedKey: await wrapDataKey(key, passwordKey) };
+    }
+    try {
+        return { key: await unwrapDataKey(wrappedKey, passwordKey), wrappedKey };
+    } catch (e) {
+        throw wrongPassword(manifestPath);
+    }
+};
+
+/**
+ * 为新星图准备密钥：取当前目录仓库密钥文件中该密码的数据密钥 (同一仓库内的文件共用，跨文件去重才能生效)，
+ * 该密码第一次使用时创建一个
+ * @param {string} password
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - 只读不写：不创建也不改写仓库密钥文件，该密码还没有数据密钥时给一把只在内存中的临时密钥
+ * @returns {Promise<{ key: Buffer, kdf: object|null, wrappedKey: string|null }>} dry run 用临时密钥时 kdf 与 wrappedKey 为 null
+ */
+export const createManifestKey = async (password, { dryRun = false } = {}) => {
+    const fresh = !fs.existsSync(REPOSITORY_KEY_FILE);
+    if (dryRun && fresh) return { key: generateDataKey(), kdf: null, wrappedKey: null };
+
+    const { key: passwordKey, salt } = await loadCwdKey(password);
+    const kdf = createKdfParams(salt, passwordKey);
+    const repository = JSON.parse(fs.readFileSync(REPOSITORY_KEY_FILE, "utf8"));
+    if (fresh) repository.envelope = true;
+
+    for (const wrappedKey of repository.data_keys || []) {
+        try {
+            return { key: await unwrapDataKey(wrappedKey, passwordKey), kdf, wrappedKey };
+        } catch (e) {
+            // 其他密码的数据密钥
+        }
+    }
+
+    // 早于信封加密的仓库沿用口令派生密钥作为数据密钥，与之前上传的星图保持一致、继续去重
+    const key = repository.envelope ? generateDataKey() : legacyDataKey(passwordKey);
+    if (dryRun) return { key, kdf: null, wrappedKey: null };
+    const wrappedKey = await wrapDataKey(key, passwordKey);
+    repository.data_keys = [...(repository.data_keys || []), wrappedKey];
+    fs.writeFileSync(REPOSITORY_KEY_FILE, JSON.stringify(repository, null, 2), "utf8");
+    return { key, kdf, wrappedKey };
+};
+
+/**
+ * 把星图加密成带明文头的信封
+ * @param {object} manifest
+ * @param {Buffer} key - 数据密钥
+ * @param {object} kdf - 口令密钥的派生参数，写入明文头
+ * @param {string} wrappedKey - 包裹后的数据密钥，写入明文头
+ */
+export const sealManifest = async (manifest, key, kdf, wrappedKey) => {
+    const { check, ...headerKdf } = kdf;
+    const envelope = {
+        format: ENCRYPTED_MANIFEST_FORMAT,
+        version: ENCRYPTED_MANIFEST_VERSION,
+        kdf: headerKdf,
+        data_key: wrappedKey,
+    };
+    // 接收者不知道密码，必须能在解开 payload 之前找到自己的那一项；公钥与备注 (名字、邮箱) 只留在 payload 里
+    if (manifest.recipients && manifest.recipients.length > 0) {
+        envelope.recipients = manifest.recipients.map(({ id, epk, wrapped_key }) => ({ id, epk, wrapped_key }));
+    }
+    envelope.payload = await encrypt(JSON.stringify(manifest), key);
+    return envelope;
+};
+
+/**
+ * 统一打开星图所用的凭据：密码字符串，或 { password, privateKeys } (接收者的 X25519 私钥，见 CryptoUtils.generateRecipientKeyPair)
+ * @param {string|{ password?: string, privateKey?: string, privateKeys?: string[] }} credentials
+ * @returns {{ password: string|null, privateKeys: string[] }}
+ */
+export const normalizeCredentials = (credentials) => {
+    if (typeof credentials === "string") return { password: credentials || null, privateKeys: [] };
+    const { password = null, privateKey, privateKeys = [] } = credentials || {};
+    return { password: password || null, privateKeys: privateKey ? [privateKey, ...privateKeys] : [...privateKeys] };
+};
+
+// 用接收者私钥解开数据密钥，没有匹配的接收者时返回 null
+const openWithPrivateKeys = async (recipients, privateKeys) => {
+    for (const privateKey of privateKeys) {
+        const id = recipientId(recipientPublicKey(privateKey));
+        const entry = (recipients || []).find((r) => r.id === id);
+        if (!entry) continue;
+        try {
+            return await unwrapDataKeyForRecipient(entry, privateKey);
+        } catch (e) {
+            // 条目损坏，继续尝试其他私钥
+        }
+    }
+    return null;
+};
+
+// 用密码解开数据密钥；kdf 为 null 表示早于 kdf 的旧星图，回退到当前目录的 salt.json
+const openWithPassword = async (password, kdf, wrappedKey, manifestPath) => {
+    if (!kdf) {
+        const { key: passwordKey, salt } = await loadCwdKey(password);
+        return { ...(await resolveDataKey(passwordKey, null, manifestPath)), kdf: createKdfParams(salt, passwordKey) };
+    }
+    const passwordKey = await deriveKey(password, kdf);
+    if (kdf.check && keyCheckValue(passwordKey) !== kdf.check) {
+        throw wrongPassword(manifestPath);
+    }
+    return { ...(await resolveDataKey(passwordKey, wrappedKey, manifestPath)), kdf: { ...kdf, check: keyCheckValue(passwordKey) } };
+};
+
+/**
+ * 读取星图并解开其数据密钥，加密星图同时解开。先尝试接收者私钥，再尝试密码
+ * @param {string} manifestPath
+ * @param {string|object} credentials - 密码，或 { password, privateKeys } (见 normalizeCredentials)
+ * @returns {Promise<{ manifest: object, encrypted: boolean, key: Buffer, kdf: object, wrappedKey: string }>}
+ *          key 是该星图的分片应当使用的数据密钥，kdf / wrappedKey 原样写回星图即可
+ */
+export const openManifest = async (manifestPath, credentials) => {
+    const data = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+    const { password, privateKeys } = normalizeCredentials(credentials);
+    if (!password && privateKeys.length === 0) {
+        throw new Error(`需要提供密码或接收者私钥才能打开星图: ${path.basename(manifestPath)}`);
+    }
+
+    const encrypted = isEncryptedManifest(data);
+    let kdf = data.kdf || null;
+    if (encrypted) {
+        if (data.version === 1) {
+            kdf = createKdfParams(data.salt);
+        } else if (data.version !== ENCRYPTED_MANIFEST_VERSION) {
+            throw new Error(`不支持的加密星图版本: ${data.version} (${path.basename(manifestPath)})`);
+        }
+    }
+
+    let opened = null;
+    const recipientKey = privateKeys.length > 0 ? await openWithPrivateKeys(data.recipients, privateKeys) : null;
+    if (recipientKey) {
+        opened = { key: recipientKey, kdf, wrappedKey: data.data_key };
+    } else if (password) {
+        opened = await openWithPassword(password, kdf, data.data_key, manifestPath);
+    } else {
+        const error = new Error(`星图 ${path.basename(manifestPath)} 的接收者中没有与所给私钥匹配的一项`);
+        error.code = WRONG_PASSWORD_ERROR;
+        throw error;
+    }
+
+    if (!encrypted) return { manifest: data, encrypted: false, migratedLocators: migrateLocators(data), ...opened };
+
+    let manifest;
+    try {
+        manifest = JSON.parse((await decrypt(data.payload, opened.key, { autoJson: false })).toString("utf8"));
+    } catch (e) {
+        throw wrongPassword(manifestPath, "或星图已损坏");
+    }
+    // 明文头里的 kdf 不含校验值，以 payload 中的完整记录为准
+    if (manifest.kdf && manifest.kdf.salt === opened.kdf.salt) opened.kdf = manifest.kdf;
+    return { manifest, encrypted: true, migratedLocators: migrateLocators(manifest), ...opened };
+};
+
+/**
+ * 把星图中绑定了网关的 Arweave URL 换成 ar://<交易 ID>，就地修改 chunks、pool、早期内联在版本中的分片与校验条带
+ * @param {object} manifest
+ * @returns {number} 改写的定位符个数
+ */
+export const migrateLocators = (manifest) => {
+    let migrated = 0;
+    const migrate = (entry) => {
+        if (!entry || typeof entry !== "object" || typeof entry.url !== "string") return;
+        const locator = normalizeLocator(entry.url);
+        if (locator === entry.url) return;
+        entry.url = locator;
+        migrated++;
+    };
+    (manifest.chunks || []).forEach(migrate);
+    Object.values(manifest.pool || {}).forEach(migrate);
+    for (const version of manifest.versions || []) (version.chunks || []).forEach(migrate);
+    for (const stripe of (manifest.parity && manifest.parity.stripes) || []) [...stripe.data, ...stripe.parity].forEach(migrate);
+    return migrated;
+};
+
+/**
+ * 打开星图并把迁移后的定位符写回，星图格式 (明文/加密) 与密钥保持不变
+ * @param {string} manifestPath
+ * @param {string|object} credentials - 密码，或 { privateKeys } 等接收者凭据
+ * @returns {Promise<number>} 改写的定位符个数，0 表示星图无需迁移 (不会重写文件)
+ */
+export const migrateManifestFile = async (manifestPath, credentials) => {
+    const { manifest, encrypted, key, kdf, wrappedKey, migratedLocators } = await openManifest(manifestPath, credentials);
+    if (migratedLocators > 0) await writeManifest(manifestPath, manifest, { key, kdf, wrappedKey, encrypt: encrypted });
+    return migratedLocators;
+};
+
+/**
+ * 写入星图，并把 kdf 与包裹后的数据密钥记录进去；encrypt 为 true 时写成加密星图
+ * @param {string} manifestPath
+ * @param {object} manifest
+ * @param {{ key: Buffer, kdf: object, wrappedKey: string, encrypt?: boolean }} keyInfo
+ */
+export const writeManifest = async (manifestPath, manifest, { key, kdf, wrappedKey, encrypt: sealed = false }) => {
+    manifest.kdf = kdf;
+    manifest.data_key = wrappedKey;
+    // sealManifest 在调用时同步序列化，并发保存时后调用者的内容最后落盘
+    const content = sealed ? await sealManifest(manifest, key, kdf, wrappedKey) : manifest;
+
+    // 先写临时文件再改名，中途崩溃也不会留下半截星图
+    const tempPath = `${manifestPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(content, null, 4));
+    fs.renameSync(tempPath, manifestPath);
+};
+
+/**
+ * 换密码：用新密码重新包裹星图的数据密钥，星图内容与所有分片保持不变
+ * 沿用星图原有的盐，scrypt 参数升级到当前默认值
+ * @param {string} manifestPath
+ * @param {string} oldPassword
+ * @param {string} newPassword
+ */
+export const rekeyManifest = async (manifestPath, oldPassword, newPassword) => {
+    const { manifest, encrypted, key, kdf: oldKdf } = await openManifest(manifestPath, oldPassword);
+
+    const params = createKdfParams(oldKdf.salt);
+    const passwordKey = await deriveKey(newPassword, params);
+    const kdf = createKdfParams(params.salt, passwordKey);
+    const wrappedKey = await wrapDataKey(key, passwordKey);
+
+    await writeManifest(manifestPath, manifest, { key, kdf, wrappedKey, encrypt: encrypted });
+    return manifestPath;
+};
+
+/**
+ * 换密码：重新包裹当前目录仓库密钥文件中该密码的数据密钥，之后用新密码上传的文件继续与旧文件共用数据密钥
+ * @param {string} oldPassword
+ * @param {string} newPassword
+ * @returns {Promise<boolean>} 仓库密钥文件中没有旧密码的数据密钥时返回 false
+ */
+export const rekeyRepositoryKey = async (oldPassword, newPassword) => {
+    if (!fs.existsSync(REPOSITORY_KEY_FILE)) return false;
+    const repository = JSON.parse(fs.readFileSync(REPOSITORY_KEY_FILE, "utf8"));
+    const params = createKdfParams(repository.salt);
+    const oldPasswordKey = await deriveKey(oldPassword, params);
+    const newPasswordKey = await deriveKey(newPassword, params);
+
+    const dataKeys = repository.data_keys || (repository.data_keys = []);
+    const save = () => fs.writeFileSync(REPOSITORY_KEY_FILE, JSON.stringify(repository, null, 2), "utf8");
+    for (let i = 0; i < dataKeys.length; i++) {
+        let key;
+        try {
+            key = await unwrapDataKey(dataKeys[i], oldPasswordKey);
+        } catch (e) {
+            continue;
+        }
+        dataKeys[i] = await wrapDataKey(key, newPasswordKey);
+        save();
+        return true;
+    }
+    // 旧仓库中还没登记过的密码：它的数据密钥就是口令派生密钥，登记到新密码名下
+    if (!repository.envelope) {
+        dataKeys.push(await wrapDataKey(legacyDataKey(oldPasswordKey), newPasswordKey));
+        save();
+        return true;
+    }
+    return false;
+};
+
+// 包裹给接收者的数据密钥只能解开这一个星图：还在用仓库共用密钥的星图 (或撤销了接收者的星图) 先换一把新的数据密钥，
+// 重新加密上传全部分片，并为仍然有效的接收者重新包裹。要用新密钥重新包裹给密码，所以必须提供密码
+const rotateDataKey = async (manifestPath, opened, credentials, recipients) => {
+    const { password } = normalizeCredentials(credentials);
+    if (!password) {
+        throw new Error(`更换星图 ${path.basename(manifestPath)} 的数据密钥需要密码，只凭接收者私钥无法分享或撤销`);
+    }
+    const key = generateDataKey();
+    const manifest = await reencryptManifest(opened.manifest, opened.key, key, { name: path.basename(manifestPath) });
+    manifest.data_key_scope = "manifest";
+    manifest.recipients = await Promise.all(recipients.map(async ({ public_key: publicKey, label }) => {
+        const entry = await wrapDataKeyForRecipient(key, publicKey);
+        if (label) entry.label = label;
+        return entry;
+    }));
+    const wrappedKey = await wrapDataKey(key, await deriveKey(password, opened.kdf));
+    return { manifest, key, wrappedKey };
+};
+
+/**
+ * 把星图的数据密钥包裹给一位接收者 (X25519 公钥)，对方用私钥即可打开星图，无需知道密码
+ * 星图还在用仓库共用的数据密钥时，先换成它自己的数据密钥：所有分片会重新加密上传一遍
+ * 同一公钥重复添加时替换原有条目
+ * @param {string} manifestPath
+ * @param {string|object} credentials - 星图的密码 (第一次分享时必须有密码)
+ * @param {string} publicKey - 接收者公钥 (base64url)
+ * @param {object} [options]
+ * @param {string} [options.label] - 备注，如同事的名字或邮箱，只记录在星图内容中，不写进加密星图的明文头
+ * @returns {Promise<string>} 接收者标识
+ */
+export const addRecipient = async (manifestPath, credentials, publicKey, { label } = {}) => {
+    const opened = await openManifest(manifestPath, credentials);
+    const entry = await wrapDataKeyForRecipient(opened.key, publicKey);
+    if (label) entry.label = label;
+    const others = (opened.manifest.recipients || []).filter((r) => r.id !== entry.id);
+
+    let { manifest, key, wrappedKey } = opened;
+    if (manifest.data_key_scope !== "manifest") {
+        ({ manifest, key, wrappedKey } = await rotateDataKey(manifestPath, opened, credentials, [...others, entry]));
+    } else {
+        manifest.recipients = [...others, entry];
+    }
+    await writeManifest(manifestPath, manifest, { key, kdf: opened.kdf, wrappedKey, encrypt: opened.encrypted });
+    return entry.id;
+};
+
+/**
+ * 移除一位接收者，并把星图换到一把新的数据密钥下 (所有分片重新加密上传)，其余接收者重新包裹。
+ * 对方若已保存过旧星图副本，仍能读取换密钥之前上传的旧分片
+ * @param {string} manifestPath
+ * @param {string|object} credentials - 星图的密码
+ * @param {string} recipient - 接收者标识、公钥或备注
+ * @returns {Promise<boolean>} 是否找到并移除
+ */
+export const revokeRecipient = async (manifestPath, credentials, recipient) => {
+    const opened = await openManifest(manifestPath, credentials);
+    const recipients = opened.manifest.recipients || [];
+    const remaining = recipients.filter((r) => r.id !== recipient && r.public_key !== recipient && r.label !== recipient);
+    if (remaining.length === recipients.length) return false;
+
+    const { manifest, key, wrappedKey } = await rotateDataKey(manifestPath, opened, credentials, remaining);
+    if (manifest.recipients.length === 0) delete manifest.recipients;
+    await writeManifest(manifestPath, manifest, { key, kdf: opened.kdf, wrappedKey, encrypt: opened.encrypted });
+    return true;
+};
+
+/**
+ * 列出星图的接收者
+ * @param {string} manifestPath
+ * @param {string|object} credentials - 密码或私钥
+ * @returns {Promise<Array<{ id: string, public_key: string, label?: string }>>}
+ */
+export const listRecipients = async (manifestPath, credentials) => {
+    const { manifest } = await openManifest(manifestPath, credentials);
+    return (manifest.recipients || []).map(({ id, public_key, label }) => ({ id, public_key, ...(label && { label }) }));
+};
@@ -0,0 +1,137 @@
+import fs from "node:fs";
+import { spawn } from "node:child_process";
+
+// 密码来源：所有入口 (filedust 命令、DustBrowser、watchsync) 都从这里取密码。
+// 密码绝不出现在命令行参数里 (会留在 shell 历史与 ps 中)，也没有任何内置的默认密码。
+//
+// 优先级：--password-command > --password-fd > --password-file > 环境变量 > 终端交互输入 (不回显)
+// 显式指定的来源读取失败或读到空密码时直接报错，不会悄悄换用下一个来源。
+
+export const DEFAULT_PASSWORD_ENV = "FILEDUST_PASSWORD";
+// 换密码 (filedust rekey) 时新密码的默认环境变量
+export const NEW_PASSWORD_ENV = "FILEDUST_NEW_PASSWORD";
+// 没有拿到密码 (未配置来源、读到空密码、取消输入) 时错误的 code
+export const PASSWORD_UNAVAILABLE_ERROR = "ERR_FILEDUST_PASSWORD_UNAVAILABLE";
+
+const unavailable = (message) => {
+    const error = new Error(message);
+    error.code = PASSWORD_UNAVAILABLE_ERROR;
+    return error;
+};
+
+// 密码文件、fd 与外部命令都只取第一行，去掉行尾换行但保留首尾空格 (它们可能是密码的一部分)
+const firstLine = (text) => text.split(/\r?\n/)[0];
+
+const nonEmpty = (password, source) => {
+    if (!password) throw unavailable(`从${source}读到的密码为空`);
+    return password;
+};
+
+const readPasswordFile = (file) => {
+    const stat = fs.statSync(file);
+    if (process.platform !== "win32" && (stat.mode & 0o077) !== 0) {
+        console.warn(`⚠️  密码文件 ${file} 可被其他用户读取，建议 chmod 600`);
+    }
+    return nonEmpty(firstLine(fs.readFileSync(file, "utf8")), `密码文件 ${file} `);
+};
+
+const readPasswordFd = (fd) => nonEmpty(firstLine(fs.readFileSync(Number(fd), "utf8")), `文件描述符 ${fd} `);
+
+// 通过 shell 运行外部命令 (如 `pass show filedust`、`op read ...`)，stdin/stderr 交给终端以便它自己询问口令
+const readPasswordCommand = (command) => new Promise((resolve, reject) => {
+    const child = spawn(command, { shell: true, stdio: ["inherit", "pipe", "inherit"] });
+    const chunks = [];
+    child.stdout.on("data", (data) => chunks.push(data));
+    child.on("error", reject);
+    child.on("close", (code) => {
+        if (code !== 0) return reject(new Error(`密码命令执行失败 (退出码 ${code}): ${command}`));
+        try {
+            resolve(nonEmpty(firstLine(Buffer.concat(chunks).toString("utf8")), `密码命令 `));
+        } catch (e) {
+            reject(e);
+        }
+    });
+});
+
+/**
+ * 在终端中询问密码，输入不回显
+ * @param {string} [question]
+ * @returns {Promise<string>}
+ */
+export const promptPassword = (question = "🔑 请输入密码: ") => new Promise((resolve, reject) => {
+    const { stdin } = process;
+    if (!stdin.isTTY) {
+        reject(unavailable("stdin 不是终端，无法交互输入密码"));
+        return;
+    }
+
+    const chars = [];
+    const wasRaw = stdin.isRaw;
+    const finish = (error) => {
+        stdin.removeListener("data", onData);
+        stdin.setRawMode(wasRaw);
+        stdin.pause();
+        process.stderr.write("\n");
+        if (error) reject(error);
+        else resolve(chars.join(""));
+    };
+    const onData = (data) => {
+        for (const ch of data) {
+            if (ch === "\r" || ch === "\n") return finish();
+            if (ch === "\u0003" || (ch === "\u0004" && chars.length === 0)) return finish(unavailable("已取消输入密码"));
+            if (ch === "\u007f" || ch === "\b") chars.pop();
+            else if (ch >= " ") chars.push(ch);
+        }
+    };
+
+    process.stderr.write(question);
+    stdin.setEncoding("utf8");
+    stdin.setRawMode(true);
+    stdin.resume();
+    stdin.on("data", onData);
+});
+
+/**
+ * 按优先级从各来源读取密码
+ * @param {object} [source]
+ * @param {string} [source.command] - 外部命令，取其 stdout 第一行
+ * @param {number|string} [source.fd] - 文件描述符，如 3 (配合 `3<password.txt`)
+ * @param {string} [source.file] - 密码文件
+ * @param {string} [source.env] - 环境变量名，默认 source.defaultEnv
+ * @param {string} [source.defaultEnv=FILEDUST_PASSWORD] - 没有指定 env 时读取的环境变量
+ * @param {boolean} [source.prompt=true] - 以上都没有时，若 stdin 是终端则交互式询问
+ * @param {string} [source.promptText]
+ * @param {boolean} [source.confirm] - 交互输入时要求再输入一次，两次不一致则报错 (用于设置新密码)
+ * @returns {Promise<string|null>} 没有任何可用来源时为 null
+ */
+export const readPassword = async ({ command, fd, file, env, defaultEnv = DEFAULT_PASSWORD_ENV, prompt = true, promptText, confirm = false } = {}) => {
+    if (command) return readPasswordCommand(command);
+    if (fd !== undefined && fd !== null) return readPasswordFd(fd);
+    if (file) return readPasswordFile(file);
+
+    const envName = env || defaultEnv;
+    if (process.env[envName]) return process.env[envName];
+    if (env) throw unavailable(`环境变量 ${env} 未设置或为空`);
+
+    if (!prompt || !process.stdin.isTTY) return null;
+    const password = await promptPassword(promptText);
+    if (confirm && (await promptPassword("🔑 请再输入一次: ")) !== password) {
+        throw unavailable("两次输入的密码不一致");
+    }
+    return password;
+};
+
+/**
+ * 同 readPassword，但没有可用来源时报错
+ * @param {object} [source] - 见 readPassword
+ * @param {string} [source.flagPrefix="password"] - 报错提示中的命令行选项前缀，如 new-password
+ * @returns {Promise<string>}
+ */
+export const requirePassword = async (source = {}) => {
+    const password = await readPassword(source);
+    if (!password) {
+        const flag = source.flagPrefix || "password";
+        throw unavailable(`需要密码：请在终端中运行以交互输入，或设置 ${source.defaultEnv || DEFAULT_PASSWORD_ENV} 环境变量，或使用 --${flag}-file / --${flag}-fd / --${flag}-command`);
+    }
+    return password;
+};
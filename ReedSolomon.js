@@ -0,0 +1,142 @@
+/**
+ * A pure JavaScript systematic Reed-Solomon erasure code over GF(2^8).
+ *
+ * k data shards are extended with m parity shards; any k of the k + m shards are enough
+ * to rebuild all data shards. The encoding matrix is the identity stacked on a Cauchy
+ * matrix, so every k x k sub-matrix is invertible (the code is MDS) for any k + m <= 256.
+ * All shards of a stripe must have the same length - callers pad shorter ones with zeros.
+ */
+
+// GF(2^8) with the primitive polynomial x^8 + x^4 + x^3 + x^2 + 1 (0x11d)
+const EXP = new Uint8Array(512);
+const LOG = new Uint8Array(256);
+{
+    let x = 1;
+    for (let i = 0; i < 255; i++) {
+        EXP[i] = x;
+        LOG[x] = i;
+        x <<= 1;
+        if (x & 0x100) x ^= 0x11d;
+    }
+    // Doubled so mul() can skip the modulo
+    for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+}
+
+const MAX_SHARDS = 256;
+
+function mul(a, b) {
+    if (a === 0 || b === 0) return 0;
+    return EXP[LOG[a] + LOG[b]];
+}
+
+function inv(a) {
+    if (a === 0) throw new Error("GF(256): zero has no inverse");
+    return EXP[255 - LOG[a]];
+}
+
+// Row i of the encoding matrix: unit rows for data shards, Cauchy rows 1 / (x_i + y_j) for parity
+function encodingRow(i, k) {
+    const row = new Uint8Array(k);
+    if (i < k) {
+        row[i] = 1;
+        return row;
+    }
+    for (let j = 0; j < k; j++) row[j] = inv(i ^ j);
+    return row;
+}
+
+// Gauss-Jordan elimination over GF(256)
+function invertMatrix(rows) {
+    const n = rows.length;
+    const a = rows.map((row, i) => {
+        const augmented = new Uint8Array(2 * n);
+        augmented.set(row);
+        augmented[n + i] = 1;
+        return augmented;
+    });
+    for (let col = 0; col < n; col++) {
+        const pivot = a.findIndex((row, r) => r >= col && row[col] !== 0);
+        if (pivot === -1) throw new Error("Reed-Solomon: singular decoding matrix");
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+        const scale = inv(a[col][col]);
+        for (let c = 0; c < 2 * n; c++) a[col][c] = mul(a[col][c], scale);
+        for (let r = 0; r < n; r++) {
+            const factor = a[r][col];
+            if (r === col || factor === 0) continue;
+            for (let c = 0; c < 2 * n; c++) a[r][c] ^= mul(factor, a[col][c]);
+        }
+    }
+    return a.map((row) => row.slice(n));
+}
+
+// out ^= coefficient * shard, using a 256-entry product table for the inner loop
+function mulAdd(out, shard, coefficient) {
+    if (coefficient === 0) return;
+    const table = new Uint8Array(256);
+    for (let v = 1; v < 256; v++) table[v] = mul(coefficient, v);
+    for (let p = 0; p < shard.length; p++) out[p] ^= table[shard[p]];
+}
+
+function checkShape(k, m) {
+    if (!Number.isInteger(k) || !Number.isInteger(m) || k < 1 || m < 1 || k + m > MAX_SHARDS) {
+        throw new Error(`Reed-Solomon: invalid shape k=${k}, m=${m} (need k >= 1, m >= 1, k + m <= ${MAX_SHARDS})`);
+    }
+}
+
+/**
+ * Computes m parity shards for k equally sized data shards.
+ * @param {Buffer[]} dataShards
+ * @param {number} m
+ * @returns {Buffer[]}
+ */
+function encode(dataShards, m) {
+    const k = dataShards.length;
+    checkShape(k, m);
+    const size = dataShards[0].length;
+    if (dataShards.some((shard) => shard.length !== size)) {
+        throw new Error("Reed-Solomon: data shards must have equal length");
+    }
+    const parity = [];
+    for (let i = 0; i < m; i++) {
+        const row = encodingRow(k + i, k);
+        const out = Buffer.alloc(size);
+        for (let j = 0; j < k; j++) mulAdd(out, dataShards[j], row[j]);
+        parity.push(out);
+    }
+    return parity;
+}
+
+/**
+ * Rebuilds the data shards from any k surviving shards.
+ * @param {(Buffer|null)[]} shards - k data shards followed by m parity shards; lost ones are null
+ * @param {number} k
+ * @returns {Buffer[]} all k data shards
+ */
+function reconstruct(shards, k) {
+    const m = shards.length - k;
+    checkShape(k, m);
+    const present = [];
+    for (let i = 0; i < shards.length && present.length < k; i++) {
+        if (shards[i]) present.push(i);
+    }
+    if (present.length < k) {
+        throw new Error(`Reed-Solomon: need ${k} shards to reconstruct, only ${present.length} available`);
+    }
+    if (present.every((i) => i < k)) return shards.slice(0, k);
+
+    const size = shards[present[0]].length;
+    const decoding = invertMatrix(present.map((i) => encodingRow(i, k)));
+    const data = [];
+    for (let j = 0; j < k; j++) {
+        if (shards[j]) {
+            data.push(shards[j]);
+            continue;
+        }
+        const out = Buffer.alloc(size);
+        present.forEach((i, c) => mulAdd(out, shards[i], decoding[j][c]));
+        data.push(out);
+    }
+    return data;
+}
+
+export { encode, reconstruct, MAX_SHARDS };
@@ -0,0 +1,52 @@
+// 有序恢复流水线：并发下载，但严格按分片顺序交给写入方。
+// 下载最多只能领先写入进度 window 个分片，已下载未写入的数据不会超过 window 个分片，
+// 因此无论文件多大，内存占用都大致恒定。
+
+// 还原出的文件整体 Hash 与星图记录不一致时错误的 code (此时不会留下输出文件)
+export const RESTORE_INTEGRITY_ERROR = "ERR_FILEDUST_RESTORE_INTEGRITY";
+
+export const integrityError = (message) => {
+    const error = new Error(message);
+    error.code = RESTORE_INTEGRITY_ERROR;
+    return error;
+};
+
+/**
+ * @param {object} options
+ * @param {number} options.count - 分片总数
+ * @param {(index: number) => Promise<Buffer|null>} options.fetchChunk - 下载并还原第 index 个分片
+ * @param {(data: Buffer|null, index: number) => Promise<void>} options.writeChunk - 按顺序写入
+ * @param {Function} options.limiter - p-limit 并发限制器
+ * @param {number} [options.window=16] - 重排窗口大小 (分片数)
+ */
+export const runOrderedPipeline = async ({ count, fetchChunk, writeChunk, limiter, window = 16 }) => {
+    const inflight = new Map();
+    let nextToStart = 0;
+    let aborted = false;
+
+    const fillWindow = (writeIndex) => {
+        while (nextToStart < count && nextToStart < writeIndex + window) {
+            const index = nextToStart++;
+            const task = limiter(() => {
+                // 流水线已失败时，排队中的任务直接放弃，不再发起网络请求
+                if (aborted) return null;
+                return fetchChunk(index);
+            });
+            // 先挂一个空 catch，避免后面的分片先失败时被当作未处理的 rejection
+            task.catch(() => { });
+            inflight.set(index, task);
+        }
+    };
+
+    try {
+        for (let index = 0; index < count; index++) {
+            fillWindow(index);
+            const data = await inflight.get(index);
+            inflight.delete(index);
+            await writeChunk(data, index);
+        }
+    } catch (e) {
+        aborted = true;
+        throw e;
+    }
+};
@@ -0,0 +1,26 @@
+// 存储后端读写共用的重试策略：失败后等待 delayMs 再加一点随机抖动 (Jitter) 重来，
+// 读分片的还原 / 修复 / 换密钥流程和写分片的上传流程都走这里，重试次数与间隔不会各自漂移。
+
+/**
+ * 执行 fn，失败时最多重试到共 retries 次
+ * @param {() => Promise<T>} fn
+ * @param {number} [retries=3] - 总尝试次数
+ * @param {number} [delayMs=1000] - 两次尝试之间的基础等待时间
+ * @returns {Promise<T>}
+ * @template T
+ */
+export const retry = async (fn, retries = 3, delayMs = 1000) => {
+    for (let i = 0; i < retries; i++) {
+        try {
+            return await fn();
+        } catch (error) {
+            console.warn(`⚠️ 重试 ${i + 1}/${retries} 失败: ${error.message}`);
+            if (i < retries - 1) {
+                // 增加随机休眠 (Jitter) 进一步防刷封禁
+                const jitter = Math.random() * 500;
+                await new Promise((resolve) => setTimeout(resolve, delayMs + jitter));
+            }
+        }
+    }
+    throw new Error(`已尝试 ${retries} 次，全部失败`);
+};
@@ -0,0 +1,123 @@
+import crypto from "node:crypto";
+import axios from "axios";
+import mime from "mime";
+
+// StorageBackend 接口的 S3 兼容实现 (AWS S3 / MinIO / R2 等)，使用 path-style 地址与 SigV4 签名，
+// 不依赖 AWS SDK。对象按密文 SHA-256 命名，定位符形如 s3://<bucket>/<prefix><sha256>
+//
+// 配置来自 options 或环境变量:
+//   FILEDUST_S3_ENDPOINT      如 https://s3.us-east-1.amazonaws.com 或 http://127.0.0.1:9000
+//   FILEDUST_S3_BUCKET
+//   FILEDUST_S3_REGION        默认 us-east-1
+//   FILEDUST_S3_PREFIX        默认 filedust/
+//   FILEDUST_S3_ACCESS_KEY_ID / FILEDUST_S3_SECRET_ACCESS_KEY (或 AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY)
+
+const LOCATOR_PREFIX = "s3://";
+
+const sha256Hex = (data) => crypto.createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+
+const encodePath = (pathname) => pathname.split("/").map(encodeURIComponent).join("/");
+
+export function createS3Backend(options = {}) {
+    const env = process.env;
+    const config = {
+        endpoint: (options.endpoint || env.FILEDUST_S3_ENDPOINT || "").replace(/\/+$/, ""),
+        bucket: options.bucket || env.FILEDUST_S3_BUCKET,
+        region: options.region || env.FILEDUST_S3_REGION || "us-east-1",
+        prefix: options.prefix !== undefined ? options.prefix : (env.FILEDUST_S3_PREFIX || "filedust/"),
+        accessKeyId: options.accessKeyId || env.FILEDUST_S3_ACCESS_KEY_ID || env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: options.secretAccessKey || env.FILEDUST_S3_SECRET_ACCESS_KEY || env.AWS_SECRET_ACCESS_KEY,
+    };
+
+    const ensureConfigured = () => {
+        const missing = ["endpoint", "bucket", "accessKeyId", "secretAccessKey"].filter((k) => !config[k]);
+        if (missing.length > 0) {
+            throw new Error(`S3 后端配置不完整，缺少: ${missing.join(", ")}`);
+        }
+    };
+
+    const parseLocator = (locator) => {
+        const rest = locator.slice(LOCATOR_PREFIX.length);
+        const slash = rest.indexOf("/");
+        if (slash <= 0) throw new Error(`无效的 S3 分片定位符: ${locator}`);
+        return { bucket: rest.slice(0, slash), key: rest.slice(slash + 1) };
+    };
+
+    // AWS Signature Version 4
+    const signedRequest = async ({ method, bucket, key, body, headers = {}, responseType, timeout }) => {
+        ensureConfigured();
+        const url = new URL(`${config.endpoint}/${bucket}/${key}`);
+        const canonicalUri = encodePath(url.pathname);
+        const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, "");
+        const dateStamp = amzDate.slice(0, 8);
+        const payloadHash = sha256Hex(body || "");
+
+        const signHeaders = {
+            host: url.host,
+            "x-amz-content-sha256": payloadHash,
+            "x-amz-date": amzDate,
+        };
+        for (const [name, value] of Object.entries(headers)) {
+            signHeaders[name.toLowerCase()] = String(value).trim();
+        }
+        const headerNames = Object.keys(signHeaders).sort();
+        const canonicalHeaders = headerNames.map((name) => `${name}:${signHeaders[name]}\n`).join("");
+        const signedHeaderList = headerNames.join(";");
+
+        const canonicalRequest = [method, canonicalUri, "", canonicalHeaders, signedHeaderList, payloadHash].join("\n");
+        const scope = `${dateStamp}/${config.region}/s3/aws4_request`;
+        const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256Hex(canonicalRequest)].join("\n");
+
+        const signingKey = hmac(hmac(hmac(hmac(`AWS4${config.secretAccessKey}`, dateStamp), config.region), "s3"), "aws4_request");
+        const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+
+        const { host, ...requestHeaders } = signHeaders;
+        requestHeaders.Authorization = `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, SignedHeaders=${signedHeaderList}, Signature=${signature}`;
+
+        return axios.request({
+            method,
+            url: `${url.origin}${canonicalUri}`,
+            data: body,
+            headers: requestHeaders,
+            responseType,
+            timeout: timeout || 30000,
+            maxBodyLength: Infinity,
+        });
+    };
+
+    return {
+        name: "s3",
+
+        async put(buffer, meta = {}) {
+            if (!Buffer.isBuffer(buffer)) {
+                throw new Error("data 必须是 Buffer 类型");
+            }
+            const key = `${config.prefix}${sha256Hex(buffer)}`;
+            const contentType = mime.getType(meta.filename || "") || "application/octet-stream";
+            try {
+                await signedRequest({ method: "PUT", bucket: config.bucket, key, body: buffer, headers: { "Content-Type": contentType } });
+            } catch (error) {
+                throw new Error(`上传失败: ${error.message} (File: ${meta.filename}, Size: ${buffer.byteLength})`);
+            }
+            return `${LOCATOR_PREFIX}${config.bucket}/${key}`;
+        },
+
+        async get(locator, options = {}) {
+            const { bucket, key } = parseLocator(locator);
+            const response = await signedRequest({ method: "GET", bucket, key, responseType: "arraybuffer", timeout: options.timeout });
+            return Buffer.from(response.data);
+        },
+
+        async exists(locator) {
+            const { bucket, key } = parseLocator(locator);
+            try {
+                await signedRequest({ method: "HEAD", bucket, key, timeout: 15000 });
+                return true;
+            } catch (error) {
+                if (error.response && error.response.status === 404) return false;
+                throw error;
+            }
+        },
+    };
+}
@@ -0,0 +1,71 @@
+import { createArweaveBackend } from "./ArweaveSDK.js";
+import { createLocalBackend } from "./LocalBackend.js";
+import { createS3Backend } from "./S3Backend.js";
+import { ARWEAVE_LOCATOR_PREFIX } from "./GatewayPool.js";
+
+// 存储后端统一接口:
+//   put(buffer, meta) -> locator   上传密文分片，返回写入 manifest 的定位符
+//   get(locator, options) -> Buffer 读取密文分片；options.validate 为可选的内容校验，能换来源重试的后端 (Arweave 多网关) 据此换下一个网关
+//   exists(locator) -> boolean      分片是否仍可读取
+//
+// 定位符是带协议头的字符串，读取时按协议头分派到对应后端，与本次运行选用哪个后端写入无关:
+//   ar://<txid>               Arweave (Turbo)，读取时才按 txid 拼出网关 URL，在所有配置的网关间择优 (见 GatewayPool)
+//   https://<gateway>/<txid>  老星图记录的网关 URL，打开星图时迁移为 ar://<txid> (见 ManifestFile.migrateLocators)
+//   local://<id>              本地目录
+//   s3://<bucket>/<key>       S3 兼容对象存储
+//
+// 每次运行通过环境变量 FILEDUST_BACKEND=arweave|local|s3 (默认 arweave) 或 setStorageBackend() 选择写入后端。
+
+const factories = {
+    arweave: createArweaveBackend,
+    local: createLocalBackend,
+    s3: createS3Backend,
+};
+
+const instances = new Map();
+let activeName = null;
+
+const instantiate = (name, options) => {
+    const factory = factories[name];
+    if (!factory) {
+        throw new Error(`未知的存储后端: ${name} (可选: ${Object.keys(factories).join(", ")})`);
+    }
+    const backend = factory(options);
+    instances.set(name, backend);
+    return backend;
+};
+
+const instanceFor = (name) => instances.get(name) || instantiate(name, {});
+
+/**
+ * 选择本次运行的写入后端
+ * @param {string} name - arweave | local | s3
+ * @param {object} [options] - 传给后端工厂的配置 (如 local 的 dir，s3 的 bucket 等)
+ */
+export const setStorageBackend = (name, options = {}) => {
+    const backend = instantiate(name, options);
+    activeName = name;
+    return backend;
+};
+
+// 当前写入后端
+export const getStorageBackend = () => {
+    if (!activeName) activeName = process.env.FILEDUST_BACKEND || "arweave";
+    return instanceFor(activeName);
+};
+
+// 按定位符找到能读取它的后端
+export const resolveBackend = (locator) => {
+    if (typeof locator !== "string" || locator.length === 0) {
+        throw new Error(`无效的分片定位符: ${locator}`);
+    }
+    if (locator.startsWith("local://")) return instanceFor("local");
+    if (locator.startsWith("s3://")) return instanceFor("s3");
+    if (locator.startsWith(ARWEAVE_LOCATOR_PREFIX)) return instanceFor("arweave");
+    if (/^https?:\/\//.test(locator)) return instanceFor("arweave");
+    throw new Error(`无法识别的分片定位符: ${locator}`);
+};
+
+export const getByLocator = (locator, options) => resolveBackend(locator).get(locator, options);
+
+export const existsByLocator = (locator) => resolveBackend(locator).exists(locator);
@@ -0,0 +1,180 @@
+import { TurboFactory } from "@ardrive/turbo-sdk/node";
+
+import { ENCRYPTION_OVERHEAD } from "./CryptoUtils.js";
+
+// 上传计划与费用估算 (dry run)：只切片、算哈希，不上传、不写星图与索引。
+// Turbo 对 100KiB 以下的数据免费，达到这个大小的分片按字节计费，价格以 winc 计 (1 AR = 10^12 winc)。
+// 价格来源可替换：离线环境或测试中用 setPricingSource() 或 FILEDUST_PRICE_WINC_PER_GIB 环境变量换成固定价格，不访问网络。
+
+export const FREE_TIER_BYTES = 100 * 1024;
+const WINC_PER_AR = 10n ** 12n;
+const BYTES_PER_GIB = 1024 ** 3;
+
+// 加密后的分片大小 (AES-GCM 不改变长度)
+export const encryptedSize = (plainSize) => plainSize + ENCRYPTION_OVERHEAD;
+
+export const isOverFreeTier = (encryptedBytes) => encryptedBytes >= FREE_TIER_BYTES;
+
+/**
+ * 按 Turbo 支付服务的实时报价估算
+ * @param {number[]} byteCounts - 需要付费的各个分片大小
+ * @returns {Promise<{ winc: string, fiat: { currency: string, amount: number } | null, source: string }>}
+ */
+const turboPricing = async (byteCounts) => {
+    const turbo = TurboFactory.unauthenticated();
+    const costs = await turbo.getUploadCosts({ bytes: byteCounts });
+    const winc = costs.reduce((sum, cost) => sum + BigInt(cost.winc), 0n);
+    let fiat = null;
+    try {
+        // 汇率是每 GiB 的 winc 与法币价格，按比例换算
+        const rates = await turbo.getFiatRates();
+        fiat = { currency: "usd", amount: (Number(winc) / Number(rates.winc)) * rates.fiat.usd };
+    } catch (e) {
+        // 拿不到汇率时只报 winc
+    }
+    return { winc: winc.toString(), fiat, source: "turbo" };
+};
+
+/**
+ * 固定单价的价格来源，用于离线估算与测试
+ * @param {number|string|bigint} wincPerGiB
+ */
+export const fixedPricing = (wincPerGiB) => async (byteCounts) => {
+    const perGiB = BigInt(wincPerGiB);
+    const winc = byteCounts.reduce((sum, bytes) => sum + (perGiB * BigInt(bytes)) / BigInt(BYTES_PER_GIB), 0n);
+    return { winc: winc.toString(), fiat: null, source: "fixed" };
+};
+
+let pricingSource = null;
+
+/**
+ * 替换价格来源，传 null 恢复默认 (FILEDUST_PRICE_WINC_PER_GIB 或 Turbo 实时报价)
+ * @param {((byteCounts: number[]) => Promise<{ winc: string, fiat?: object | null, source?: string }>) | null} source
+ */
+export const setPricingSource = (source) => {
+    pricingSource = source;
+};
+
+const activePricing = () => {
+    if (pricingSource) return pricingSource;
+    if (process.env.FILEDUST_PRICE_WINC_PER_GIB) return fixedPricing(process.env.FILEDUST_PRICE_WINC_PER_GIB);
+    return turboPricing;
+};
+
+const formatAr = (winc) => {
+    const value = BigInt(winc);
+    const fraction = (value % WINC_PER_AR).toString().padStart(12, "0").replace(/0+$/, "");
+    return fraction ? `${value / WINC_PER_AR}.${fraction}` : `${value / WINC_PER_AR}`;
+};
+
+/**
+ * 估算一批分片的上传费用，只有 arweave 后端 (Turbo) 有报价
+ * @param {number[]} encryptedSizes - 待上传分片加密后的大小
+ * @param {string} backendName - 写入后端
+ * @returns {Promise<{ winc: string, ar: string, fiat: object | null, source: string } | { error: string } | null>} 其他后端返回 null
+ */
+export const estimateUploadCost = async (encryptedSizes, backendName) => {
+    if (backendName !== "arweave") return null;
+    const billable = encryptedSizes.filter(isOverFreeTier);
+    if (billable.length === 0) return { winc: "0", ar: "0", fiat: null, source: "free-tier" };
+    try {
+        const { winc, fiat = null, source = "custom" } = await activePricing()(billable);
+        return { winc: String(winc), ar: formatAr(winc), fiat, source };
+    } catch (e) {
+        return { error: `无法获取报价: ${e.message}` };
+    }
+};
+
+/**
+ * 记录 dry run 中每个分片的去向，最后汇总成报告
+ * @param {{ file: string, manifest: string, backend: string }} target
+ */
+export const createUploadPlan = ({ file, manifest, backend }) => {
+    const uploads = [];
+    let reused = 0;
+    let bytes = 0;
+
+    // 按 FileDustParity 的方式组条带：每 k 个新分片配 m 个校验分片，大小为条带内最长的密文
+    let parity = null;
+    let stripe = [];
+    const parityShards = [];
+    const closeStripe = () => {
+        if (stripe.length === 0) return;
+        const size = Math.max(...stripe);
+        for (let i = 0; i < parity.m; i++) parityShards.push(size);
+        stripe = [];
+    };
+
+    return {
+        /**
+         * 本次上传要写的校验参数 (resolveParitySpec 的结果)，null 表示不写校验分片
+         * @param {{ k: number, m: number } | null} spec
+         */
+        useParity(spec) {
+            parity = spec;
+        },
+
+        // 断点续传、跨版本或跨文件去重命中的分片
+        reuse(plainSize) {
+            reused++;
+            bytes += plainSize;
+        },
+
+        upload(plainSize) {
+            const size = encryptedSize(plainSize);
+            uploads.push(size);
+            bytes += plainSize;
+            if (parity) {
+                stripe.push(size);
+                if (stripe.length >= parity.k) closeStripe();
+            }
+        },
+
+        async report() {
+            if (parity) closeStripe();
+            const sent = [...uploads, ...parityShards];
+            return {
+                dry_run: true,
+                file,
+                manifest,
+                backend,
+                chunks: reused + uploads.length,
+                new_chunks: uploads.length,
+                reused_chunks: reused,
+                parity: parity ? { k: parity.k, m: parity.m } : null,
+                parity_chunks: parityShards.length,
+                bytes,
+                upload_bytes: sent.reduce((sum, size) => sum + size, 0),
+                parity_bytes: parityShards.reduce((sum, size) => sum + size, 0),
+                over_free_tier: sent.filter(isOverFreeTier).length,
+                free_tier_bytes: FREE_TIER_BYTES,
+                cost: await estimateUploadCost(sent, backend),
+            };
+        },
+    };
+};
+
+/**
+ * 把 dry run 报告写成几行人类可读的摘要
+ * @param {object} report - createUploadPlan().report() 的结果
+ * @returns {string}
+ */
+export const describeUploadPlan = (report) => {
+    const lines = [
+        `🧪 [Dry Run] ${report.file} -> ${report.manifest} (后端: ${report.backend})`,
+        `   分片 ${report.chunks} 个：需上传 ${report.new_chunks} 个，去重复用 ${report.reused_chunks} 个`,
+        `   待上传 ${report.upload_bytes} 字节 (加密后)，其中 ${report.over_free_tier} 个分片达到 ${report.free_tier_bytes / 1024}KiB 免费额度`,
+    ];
+    if (report.parity_chunks > 0) {
+        lines.splice(2, 0, `   另有校验分片 ${report.parity_chunks} 个 (${report.parity.k}+${report.parity.m})，共 ${report.parity_bytes} 字节，已计入待上传`);
+    }
+    if (!report.cost) {
+        lines.push(`   该后端没有 Turbo 报价，不估算费用`);
+    } else if (report.cost.error) {
+        lines.push(`   ⚠️ ${report.cost.error}`);
+    } else {
+        const fiat = report.cost.fiat ? ` ≈ ${report.cost.fiat.amount.toFixed(4)} ${report.cost.fiat.currency.toUpperCase()}` : "";
+        lines.push(`   预计费用: ${report.cost.winc} winc (${report.cost.ar} AR)${fiat}`);
+    }
+    return lines.join("\n");
+};
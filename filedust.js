@@ -0,0 +1,456 @@
+#!/usr/bin/env node
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { fileURLToPath } from "node:url";
+
+import { uploadToDust } from "./FileDustUploader.js";
+import { downloadFromDust } from "./FileDustMerger.js";
+import { syncFileToDust, restoreFileSyncDust } from "./FileDustSync.js";
+import { snapshotTree, restoreTree, TREE_MANIFEST_SUFFIX } from "./FileDustTree.js";
+import { verifyManifest } from "./FileDustVerify.js";
+import { repairManifest } from "./FileDustRepair.js";
+import { watchPath } from "./FileDustWatch.js";
+import { parseParitySpec } from "./FileDustParity.js";
+import { RESTORE_INTEGRITY_ERROR } from "./RestorePipeline.js";
+import { gcChunkIndex } from "./ChunkIndex.js";
+import {
+    openManifest,
+    normalizeCredentials,
+    migrateManifestFile,
+    rekeyManifest,
+    rekeyRepositoryKey,
+    addRecipient,
+    revokeRecipient,
+    listRecipients,
+    WRONG_PASSWORD_ERROR,
+} from "./ManifestFile.js";
+import { generateRecipientKeyPair, recipientId } from "./CryptoUtils.js";
+import { setStorageBackend } from "./StorageBackend.js";
+import { configureGateways } from "./GatewayPool.js";
+import { readPassword, requirePassword, DEFAULT_PASSWORD_ENV, NEW_PASSWORD_ENV, PASSWORD_UNAVAILABLE_ERROR } from "./PasswordProvider.js";
+
+// filedust 统一命令行入口：各子命令只负责解析参数与输出，实际工作交给对应模块。
+// --json 时人类可读的日志全部改走 stderr，stdout 只输出一个 JSON 结果 (watch 为每次同步一行)，便于脚本解析。
+
+export const EXIT_CODES = {
+    OK: 0,
+    FAILURE: 1, // 运行失败 (网络、存储后端、文件读写等)
+    USAGE: 2, // 命令或参数错误
+    AUTH: 3, // 缺少密码，或密码/私钥打不开星图
+    INTEGRITY: 4, // 校验发现损坏的分片，下载未能完成，或还原出的文件 Hash 不一致
+};
+
+const USAGE = `用法: filedust <命令> [参数] [选项]
+
+命令:
+  upload <文件...>           切片、加密并上传文件，生成 <文件>.dust 星图
+  download <星图>            从 .dust 星图还原文件 (支持断点续传)
+  sync <文件|目录>           为文件 (<文件>.sync.dust) 或整个目录 (<目录>.tree.dust) 创建一个新的历史版本快照
+  restore <星图> [--version N] [--path P ...]
+                             恢复 .sync.dust / .tree.dust 中的某个版本，默认最新；--path 只还原目录快照中的部分路径
+  log <星图>                 列出 .sync.dust / .tree.dust 的版本时间线
+  browse                     启动 DustBrowser 流媒体浏览器
+  watch <文件|目录>          监听变动并自动 sync (目录递归监听，遵循 .gitignore 与 .dustignore)
+  verify <星图...> [--quick] 下载并校验所有分片与整文件 Hash；--quick 只确认分片仍然存在
+  repair <星图> <本地副本...> [--quick]
+                             用本地副本 (原文件、其他版本或目录) 重新上传丢失或损坏的分片
+  migrate <星图...>          把老星图中绑定网关的分片 URL 改写为 ar://<交易 ID> (upload/sync 写回星图时也会自动迁移)
+  rekey [星图...] [--repository]
+                             换密码：用新密码重新包裹星图的数据密钥，不重新上传分片；--repository 同时换掉当前目录 salt.json 中的仓库密钥
+  recipient keygen -o <私钥文件>
+                             生成接收者密钥对：私钥写入文件 (权限 600)，输出公钥发给分享者
+  recipient add <星图> <公钥|公钥文件> [--label 备注]
+                             把星图分享给接收者；第一次分享会把星图换成它自己的数据密钥，所有分片重新加密上传
+  recipient revoke <星图> <标识|公钥|备注>
+                             撤销接收者，星图换一把新的数据密钥 (所有分片重新加密上传)
+  recipient list <星图>      列出星图的接收者
+  gc                         清理仓库分片索引中不再被引用的条目
+
+通用选项:
+  密码默认从环境变量 ${DEFAULT_PASSWORD_ENV} 读取，未设置时在终端中询问 (不回显)；不接受命令行明文密码
+  --password-env <变量名>    从指定环境变量读取密码
+  --password-file <路径>     从文件读取密码 (取第一行，建议 chmod 600)
+  --password-fd <N>          从文件描述符读取密码，如 3<secret.txt
+  --password-command <命令>  运行外部命令并取其输出的第一行，如 "pass show filedust"
+  --new-password-env|-file|-fd|-command
+                             rekey 的新密码来源，用法同上；默认读取 ${NEW_PASSWORD_ENV}，未设置时在终端中询问两次
+  --private-key <路径>       接收者私钥文件，可重复 (也可写作 --key)；用于 download/restore/log/verify/migrate/browse/recipient list
+  -s, --chunk-size <KB>      最大切片大小 (新星图默认 90，加密后不超过 Arweave 免费线；已有星图默认沿用记录的参数)
+  -c, --concurrency <N>      并发上传/下载的分片数
+  -o, --output <路径>        download/restore 的输出路径 (目录快照为输出目录)
+  --backend <名称>           写入后端 arweave | local | s3 (默认 FILEDUST_BACKEND 或 arweave)
+  --gateway <URL>            读取用的 Arweave 网关，可重复，按健康度择优并自动回退 (默认 FILEDUST_GATEWAYS 或内置列表)
+  --encrypt-manifest         upload/sync 时写成加密星图
+  --index <路径>             仓库分片索引路径 (默认 FILEDUST_INDEX 或 ./dust_index.json)
+  --no-index                 upload/sync 时不做跨文件去重
+  --parity <k+m>             upload/sync/watch 时每 k 个新分片附带 m 个纠删码校验分片 (如 8+2)，默认沿用星图记录
+  --dry-run                  upload/sync 只切片与估算费用，不上传；gc 只报告不写回
+  --quick                    verify/repair 只发 HEAD/exists 请求找丢失的分片，不下载校验内容
+  --port <端口>              browse 监听端口 (默认 3000)
+  --json                     以 JSON 输出结果
+  -h, --help                 显示本帮助
+
+退出码: 0 成功, 1 运行失败, 2 用法错误, 3 密码或私钥错误, 4 数据校验失败`;
+
+const OPTIONS = {
+    "password-env": { type: "string" },
+    "password-file": { type: "string" },
+    "password-fd": { type: "string" },
+    "password-command": { type: "string" },
+    "new-password-env": { type: "string" },
+    "new-password-file": { type: "string" },
+    "new-password-fd": { type: "string" },
+    "new-password-command": { type: "string" },
+    repository: { type: "boolean" },
+    "private-key": { type: "string", multiple: true },
+    key: { type: "string", multiple: true },
+    label: { type: "string" },
+    "chunk-size": { type: "string", short: "s" },
+    concurrency: { type: "string", short: "c" },
+    output: { type: "string", short: "o" },
+    backend: { type: "string" },
+    gateway: { type: "string", multiple: true },
+    "encrypt-manifest": { type: "boolean" },
+    index: { type: "string" },
+    "no-index": { type: "boolean" },
+    "dry-run": { type: "boolean" },
+    parity: { type: "string" },
+    quick: { type: "boolean" },
+    port: { type: "string" },
+    version: { type: "string" },
+    path: { type: "string", multiple: true },
+    json: { type: "boolean" },
+    help: { type: "boolean", short: "h" },
+};
+
+class UsageError extends Error { }
+
+const positiveInteger = (value, name) => {
+    if (value === undefined) return undefined;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n <= 0) throw new UsageError(`${name} 必须是正整数: ${value}`);
+    return n;
+};
+
+// 0 (stdin) 也是合法的密码来源，如 `echo "$PW" | filedust ... --password-fd 0`
+const fileDescriptor = (value, name = "--password-fd") => {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 0) throw new UsageError(`${name} 必须是文件描述符编号: ${value}`);
+    return n;
+};
+
+const requireArgs = (args, count, usage) => {
+    if (args.length < count) throw new UsageError(`用法: filedust ${usage}`);
+    return args;
+};
+
+// 密码来源见 PasswordProvider.js
+const passwordSource = (values) => ({
+    command: values["password-command"],
+    fd: values["password-fd"] !== undefined ? fileDescriptor(values["password-fd"]) : undefined,
+    file: values["password-file"],
+    env: values["password-env"],
+});
+
+// rekey 的新密码：交互输入时要求输入两次
+const newPasswordSource = (values) => ({
+    command: values["new-password-command"],
+    fd: values["new-password-fd"] !== undefined ? fileDescriptor(values["new-password-fd"], "--new-password-fd") : undefined,
+    file: values["new-password-file"],
+    env: values["new-password-env"],
+    defaultEnv: NEW_PASSWORD_ENV,
+    flagPrefix: "new-password",
+    promptText: "🔑 请输入新密码: ",
+    confirm: true,
+});
+
+// 读取类命令既接受密码也接受接收者私钥；给了私钥时不再交互询问密码
+const readCredentials = async (values) => {
+    const privateKeys = [...(values["private-key"] || []), ...(values.key || [])].map((file) => fs.readFileSync(file, "utf8").trim());
+    if (privateKeys.length === 0) return requirePassword(passwordSource(values));
+    const password = await readPassword({ ...passwordSource(values), prompt: false });
+    return { password, privateKeys };
+};
+
+const paritySpec = (value) => {
+    if (value === undefined) return undefined;
+    try {
+        return parseParitySpec(value);
+    } catch (e) {
+        throw new UsageError(`--parity: ${e.message}`);
+    }
+};
+
+const syncOptions = (values) => ({
+    concurrency: positiveInteger(values.concurrency, "--concurrency"),
+    encryptManifest: values["encrypt-manifest"] ? true : undefined,
+    index: values["no-index"] ? false : values.index,
+    parity: paritySpec(values.parity),
+});
+
+// 没有指定 -s 时返回 undefined：已有星图沿用记录的切片参数，新星图用默认的 90KB
+const chunkSizeOf = (values) => positiveInteger(values["chunk-size"], "--chunk-size");
+
+// 每个命令返回 { result, text, exitCode? }：result 用于 --json，text 为人类可读的摘要
+const commands = {
+    async upload(args, values) {
+        const files = requireArgs(args, 1, "upload <文件...>");
+        const password = await requirePassword(passwordSource(values));
+        const options = { ...syncOptions(values), dryRun: values["dry-run"] };
+        const manifests = [];
+        for (const file of files) {
+            manifests.push(await uploadToDust(file, password, chunkSizeOf(values), options));
+        }
+        // dry run 的摘要已由上传模块打印
+        if (options.dryRun) return { result: { plans: manifests }, text: null };
+        return { result: { manifests }, text: manifests.map((m) => `✅ ${m}`).join("\n") };
+    },
+
+    async download(args, values) {
+        const [manifestPath] = requireArgs(args, 1, "download <星图>");
+        const output = await downloadFromDust(manifestPath, await readCredentials(values), { output: values.output });
+        if (!output) {
+            return { result: { output: null, complete: false }, text: "❌ 下载未完成，已保留进度，重新运行即可断点续传", exitCode: EXIT_CODES.INTEGRITY };
+        }
+        return { result: { output, complete: true }, text: `✅ ${output}` };
+    },
+
+    async sync(args, values) {
+        const [target] = requireArgs(args, 1, "sync <文件|目录>");
+        const password = await requirePassword(passwordSource(values));
+        const options = { ...syncOptions(values), dryRun: values["dry-run"] };
+        const manifest = fs.statSync(target).isDirectory()
+            ? await snapshotTree(target, password, chunkSizeOf(values), options)
+            : await syncFileToDust(target, password, chunkSizeOf(values), options);
+        if (options.dryRun) return { result: { plan: manifest }, text: null };
+        return { result: { manifest }, text: `✅ ${manifest}` };
+    },
+
+    async restore(args, values) {
+        const [manifestPath] = requireArgs(args, 1, "restore <星图> [--version N]");
+        const version = positiveInteger(values.version, "--version") || null;
+        if (manifestPath.endsWith(TREE_MANIFEST_SUFFIX)) {
+            const result = await restoreTree(manifestPath, await readCredentials(values), {
+                version,
+                output: values.output,
+                paths: values.path,
+                concurrency: positiveInteger(values.concurrency, "--concurrency"),
+            });
+            return { result, text: `✅ ${result.output} (${result.files} 个文件, ${result.dirs} 个目录, ${result.symlinks} 个符号链接)` };
+        }
+        if (values.path) throw new UsageError("--path 只适用于目录快照 (.tree.dust)");
+        const output = await restoreFileSyncDust(manifestPath, version, await readCredentials(values), {
+            output: values.output,
+            concurrency: positiveInteger(values.concurrency, "--concurrency"),
+        });
+        return { result: { output }, text: `✅ ${output}` };
+    },
+
+    async log(args, values) {
+        const [manifestPath] = requireArgs(args, 1, "log <星图>");
+        const { manifest } = await openManifest(manifestPath, await readCredentials(values));
+        if (!Array.isArray(manifest.versions)) throw new UsageError(`${manifestPath} 不是 .sync.dust / .tree.dust 星图`);
+
+        // 目录快照没有整体 file_hash，列出条目数代替分片数
+        const versions = manifest.versions.map(({ version, timestamp, total_size, file_hash, status, chunks, entries }) => (entries
+            ? { version, timestamp, total_size, status, entries: entries.length }
+            : { version, timestamp, total_size, file_hash, status, chunks: (chunks || []).length }));
+        const text = versions.map((v) => [
+            `v${v.version}`, v.timestamp, `${v.total_size} bytes`,
+            v.entries !== undefined ? `${v.entries} entries` : `${v.chunks} chunks`,
+            v.status, (v.file_hash || "").slice(0, 12),
+        ].join("\t")).join("\n");
+        return { result: { filename: manifest.filename || manifest.root, versions }, text: text || "(没有版本)" };
+    },
+
+    async verify(args, values) {
+        const manifests = requireArgs(args, 1, "verify <星图...>");
+        const credentials = await readCredentials(values);
+        const reports = [];
+        for (const manifestPath of manifests) {
+            reports.push(await verifyManifest(manifestPath, credentials, {
+                level: values.quick ? "quick" : "deep",
+                concurrency: positiveInteger(values.concurrency, "--concurrency"),
+            }));
+        }
+        const healthy = reports.every((r) => r.healthy);
+        const text = reports.map((r) => [
+            `${r.healthy ? "✅" : "❌"} ${r.manifest}: ${r.ok}/${r.checked} 个分片完好${r.level === "quick" ? " (快速体检，未校验内容)" : ""}`,
+            ...r.failed.map((f) => `   ${f.part !== undefined ? `[${f.part}] ` : ""}${f.url}: ${f.error}${f.versions ? ` (影响版本: ${f.versions.map((v) => `v${v}`).join(", ") || "无"})` : ""}`),
+            ...r.bad_files.map((f) => `   ${f.version !== undefined ? `v${f.version} ` : ""}${f.path || ""}: ${f.error}`),
+            ...(r.affected_versions && r.affected_versions.length > 0 ? [`   受影响的版本: ${r.affected_versions.map((v) => `v${v}`).join(", ")}`] : []),
+        ].join("\n")).join("\n");
+        return { result: { ok: healthy, reports }, text, exitCode: healthy ? EXIT_CODES.OK : EXIT_CODES.INTEGRITY };
+    },
+
+    async migrate(args, values) {
+        const manifests = requireArgs(args, 1, "migrate <星图...>");
+        const credentials = await readCredentials(values);
+        const migrated = [];
+        for (const manifestPath of manifests) {
+            migrated.push({ manifest: manifestPath, locators: await migrateManifestFile(manifestPath, credentials) });
+        }
+        const text = migrated.map((m) => (m.locators > 0
+            ? `✅ ${m.manifest}: ${m.locators} 个网关 URL 已改为 ar://<交易 ID>`
+            : `✅ ${m.manifest}: 无需迁移`)).join("\n");
+        return { result: { migrated }, text };
+    },
+
+    async rekey(args, values) {
+        if (args.length === 0 && !values.repository) throw new UsageError("用法: filedust rekey [星图...] [--repository]");
+        const oldPassword = await requirePassword(passwordSource(values));
+        const newPassword = await requirePassword(newPasswordSource(values));
+        if (newPassword === oldPassword) throw new UsageError("新密码与旧密码相同");
+
+        const manifests = [];
+        for (const manifestPath of args) {
+            manifests.push(await rekeyManifest(manifestPath, oldPassword, newPassword));
+        }
+        const repository = values.repository ? await rekeyRepositoryKey(oldPassword, newPassword) : undefined;
+        const text = [
+            ...manifests.map((m) => `✅ ${m}`),
+            ...(repository === undefined ? [] : [repository ? "✅ 仓库密钥已换到新密码名下" : "⚠️  当前目录的仓库密钥文件中没有旧密码的数据密钥"]),
+        ].join("\n");
+        return { result: { manifests, ...(repository !== undefined && { repository }) }, text };
+    },
+
+    async recipient(args, values) {
+        const [action, manifestPath, target] = args;
+        if (action === "keygen") {
+            if (!values.output) throw new UsageError("用法: filedust recipient keygen -o <私钥文件>");
+            if (fs.existsSync(values.output)) throw new UsageError(`私钥文件已存在，不会覆盖: ${values.output}`);
+            const { publicKey, privateKey } = generateRecipientKeyPair();
+            fs.writeFileSync(values.output, `${privateKey}\n`, { mode: 0o600 });
+            return { result: { id: recipientId(publicKey), public_key: publicKey, private_key_file: values.output }, text: publicKey };
+        }
+        if (action === "list") {
+            requireArgs(args, 2, "recipient list <星图>");
+            const recipients = await listRecipients(manifestPath, await readCredentials(values));
+            const text = recipients.map((r) => [r.id, r.public_key, r.label || ""].join("\t")).join("\n");
+            return { result: { recipients }, text: text || "(没有接收者)" };
+        }
+        if (action === "add") {
+            requireArgs(args, 3, "recipient add <星图> <公钥|公钥文件> [--label 备注]");
+            const publicKey = fs.existsSync(target) ? fs.readFileSync(target, "utf8").trim() : target;
+            if (!/^[A-Za-z0-9_-]{43}$/.test(publicKey)) throw new UsageError(`不是有效的接收者公钥: ${target}`);
+            const id = await addRecipient(manifestPath, await requirePassword(passwordSource(values)), publicKey, { label: values.label });
+            return { result: { manifest: manifestPath, id }, text: `✅ ${manifestPath}: 已分享给 ${values.label || id}` };
+        }
+        if (action === "revoke") {
+            requireArgs(args, 3, "recipient revoke <星图> <标识|公钥|备注>");
+            const revoked = await revokeRecipient(manifestPath, await requirePassword(passwordSource(values)), target);
+            if (!revoked) throw new UsageError(`星图 ${manifestPath} 中没有接收者 ${target}`);
+            return { result: { manifest: manifestPath, revoked }, text: `✅ ${manifestPath}: 已撤销 ${target}` };
+        }
+        throw new UsageError("用法: filedust recipient keygen|add|revoke|list ...");
+    },
+
+    async repair(args, values) {
+        const [manifestPath, ...sources] = requireArgs(args, 2, "repair <星图> <本地副本...>");
+        const report = await repairManifest(manifestPath, await readCredentials(values), sources, {
+            level: values.quick ? "quick" : "deep",
+            concurrency: positiveInteger(values.concurrency, "--concurrency"),
+            chunkSizeKB: chunkSizeOf(values),
+            index: values["no-index"] ? false : values.index,
+        });
+        const fixed = report.unresolved.length === 0;
+        const text = [
+            `${fixed ? "✅" : "❌"} ${report.manifest}: ${report.broken} 个坏分片，已修复 ${report.repaired.length} 个`,
+            ...report.unresolved.map((u) => `   ${u.part !== undefined ? `[${u.part}] ` : ""}${u.id || ""}: ${u.error}`),
+            ...(report.skipped.length > 0 ? [`   ${report.skipped.length} 个分片暂时无法访问，未重传`] : []),
+        ].join("\n");
+        return { result: report, text, exitCode: fixed ? EXIT_CODES.OK : EXIT_CODES.INTEGRITY };
+    },
+
+    async gc(args, values) {
+        const report = await gcChunkIndex({
+            indexPath: values.index ? path.resolve(values.index) : undefined,
+            dryRun: !!values["dry-run"],
+            // gc 不强制要求密码，只有给了密码才能看透加密星图
+            password: (await readPassword({ ...passwordSource(values), prompt: false })) || undefined,
+        });
+        const text = `🧹 扫描 ${report.scanned} 个星图，保留 ${report.kept} 个条目，${values["dry-run"] ? "可移除" : "已移除"} ${report.removed.length} 个`;
+        return { result: report, text };
+    },
+
+    // browse 与 watch 会一直运行，直到进程被终止
+    async browse(args, values) {
+        const { password, privateKeys } = normalizeCredentials(await readCredentials(values));
+        const { startDustBrowser } = await import("./DustBrowser.js");
+        const server = await startDustBrowser(password, { port: positiveInteger(values.port, "--port"), privateKeys });
+        return { result: { url: `http://localhost:${server.address().port}` }, text: null };
+    },
+
+    async watch(args, values, { emit }) {
+        const [target] = requireArgs(args, 1, "watch <文件|目录>");
+        watchPath(target, await requirePassword(passwordSource(values)), {
+            chunkSizeKB: chunkSizeOf(values),
+            syncOptions: syncOptions(values),
+            onSync: ({ manifest, error, changes }) => emit(error ? { ok: false, error: error.message, changes } : { ok: true, manifest, changes }),
+        });
+        return { result: { watching: path.resolve(target) }, text: null };
+    },
+};
+
+/**
+ * 运行 filedust 命令
+ * @param {string[]} argv - 不含 node 与脚本路径的参数
+ * @returns {Promise<number>} 退出码 (browse/watch 启动成功后返回 0，但进程保持运行)
+ */
+export const main = async (argv) => {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (e) {
+        console.error(`${e.message}\n\n${USAGE}`);
+        return EXIT_CODES.USAGE;
+    }
+    const { values, positionals } = parsed;
+    const [name, ...args] = positionals;
+    const json = !!values.json;
+
+    if (values.help || !name) {
+        (values.help ? console.log : console.error)(USAGE);
+        return values.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+    }
+
+    // --json: stdout 只留给结果，模块日志与进度输出改走 stderr
+    const writeStdout = process.stdout.write.bind(process.stdout);
+    if (json) {
+        console.log = console.error;
+        console.info = console.error;
+        process.stdout.write = process.stderr.write.bind(process.stderr);
+    }
+    const emit = (data) => writeStdout(`${JSON.stringify(data)}\n`);
+
+    const command = commands[name];
+    if (!command) {
+        console.error(`未知命令: ${name}\n\n${USAGE}`);
+        if (json) emit({ ok: false, error: `未知命令: ${name}` });
+        return EXIT_CODES.USAGE;
+    }
+
+    try {
+        if (values.backend) setStorageBackend(values.backend);
+        if (values.gateway) configureGateways({ gateways: values.gateway });
+        const { result, text, exitCode = EXIT_CODES.OK } = await command(args, values, { emit });
+        if (json) emit({ ok: exitCode === EXIT_CODES.OK, command: name, ...result });
+        else if (text) writeStdout(`${text}\n`);
+        return exitCode;
+    } catch (e) {
+        const exitCode = e instanceof UsageError
+            ? EXIT_CODES.USAGE
+            : e.code === WRONG_PASSWORD_ERROR || e.code === PASSWORD_UNAVAILABLE_ERROR ? EXIT_CODES.AUTH
+                : e.code === RESTORE_INTEGRITY_ERROR ? EXIT_CODES.INTEGRITY : EXIT_CODES.FAILURE;
+        console.error(`❌ ${e.message}`);
+        if (json) emit({ ok: false, command: name, error: e.message });
+        return exitCode;
+    }
+};
+
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main(process.argv.slice(2)).then((code) => {
+        process.exitCode = code;
+    });
+}
@@ -0,0 +1,67 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+import { createWorkspace, pseudoRandomBytes } from "./workspace.js";
+import { uploadToDust } from "../FileDustUploader.js";
+import { syncFileToDust, restoreFileSyncDust } from "../FileDustSync.js";
+import { gcChunkIndex } from "../ChunkIndex.js";
+
+const storedChunks = (workspace) => fs.readdirSync(workspace.storeDir).length;
+
+describe("repository-level chunk index", () => {
+    let workspace;
+    const image = pseudoRandomBytes(500 * 1024, "vm-image");
+
+    before(async () => {
+        workspace = await createWorkspace();
+    });
+
+    after(async () => {
+        await workspace.cleanup();
+    });
+
+    it("deduplicates identical content across different files", async () => {
+        fs.writeFileSync("vm-a.img", image);
+        await uploadToDust("vm-a.img", "pw", 32);
+        const afterFirst = storedChunks(workspace);
+
+        // 另一个文件：只在开头多了几个字节
+        fs.writeFileSync("vm-b.img", Buffer.concat([Buffer.from("header"), image]));
+        await uploadToDust("vm-b.img", "pw", 32);
+        assert.ok(storedChunks(workspace) - afterFirst <= 2, "only the edited chunk should be uploaded");
+
+        // 同步清单也能复用上传器写进索引的分片
+        fs.writeFileSync("vm-c.img", image);
+        const manifestName = await syncFileToDust("vm-c.img", "pw", 32);
+        assert.ok(storedChunks(workspace) - afterFirst <= 2);
+        assert.ok(fs.readFileSync(await restoreFileSyncDust(manifestName, null, "pw")).equals(image));
+    });
+
+    it("never reuses chunks encrypted under another key", async () => {
+        const before = storedChunks(workspace);
+        fs.writeFileSync("vm-d.img", image);
+        await uploadToDust("vm-d.img", "another-password", 32);
+        assert.ok(storedChunks(workspace) - before > 5);
+    });
+
+    it("keeps reachable entries and drops unreferenced ones on gc", async () => {
+        const dryRun = await gcChunkIndex({ dryRun: true });
+        assert.equal(dryRun.removed.length, 0);
+
+        fs.rmSync("vm-a.img.dust");
+        fs.rmSync("vm-b.img.dust");
+        fs.rmSync("vm-c.img.sync.dust");
+        const report = await gcChunkIndex();
+        // vm-b 独有的开头分片已不可达；vm-d 使用另一把密钥，仍然被引用
+        assert.ok(report.removed.length >= 1);
+        assert.ok(report.kept > 0);
+
+        const index = JSON.parse(fs.readFileSync("dust_index.json", "utf8"));
+        for (const entries of Object.values(index.scopes)) {
+            for (const entry of Object.values(entries)) {
+                assert.deepEqual(entry.refs, ["vm-d.img.dust"]);
+            }
+        }
+    });
+});
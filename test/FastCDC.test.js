@@ -0,0 +1,101 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+import { createWorkspace, pseudoRandomBytes } from "./workspace.js";
+import { FastCDC, FastCDCConfig, LegacyFastCDC, createChunker, chunkFile } from "../FastCDC.js";
+import { syncFileToDust } from "../FileDustSync.js";
+
+const config = new FastCDCConfig(8 * 1024, 32 * 1024, 64 * 1024);
+
+describe("FastCDC", () => {
+    let workspace;
+    const data = pseudoRandomBytes(2 * 1024 * 1024, "cdc");
+
+    before(async () => {
+        workspace = await createWorkspace();
+        fs.writeFileSync("data.bin", data);
+    });
+
+    after(async () => {
+        await workspace.cleanup();
+    });
+
+    it("keeps chunks within bounds and near the average size", () => {
+        const boundaries = new FastCDC(config).chunk(data);
+        const sizes = boundaries.map((end, i) => end - (i === 0 ? 0 : boundaries[i - 1]));
+
+        assert.equal(boundaries[boundaries.length - 1], data.length);
+        assert.ok(sizes.slice(0, -1).every((size) => size >= config.minSize && size <= config.maxSize));
+        const average = data.length / sizes.length;
+        assert.ok(average > config.avgSize * 0.75 && average < config.avgSize * 1.5, `average ${average}`);
+    });
+
+    it("is deterministic and only shifts boundaries locally after an insertion", () => {
+        const chunker = new FastCDC(config);
+        assert.deepEqual(chunker.chunk(data), new FastCDC(config).chunk(data));
+
+        const edited = Buffer.concat([data.subarray(0, 1000), Buffer.from("xyz"), data.subarray(1000)]);
+        const before = new Set(chunker.chunk(data).map((b) => b + 3));
+        const shared = chunker.chunk(edited).filter((b) => before.has(b));
+        assert.ok(shared.length > chunker.chunk(data).length - 3);
+    });
+
+    it("streams a file with exactly the in-memory boundaries", async () => {
+        for (const chunker of [new FastCDC(config), new LegacyFastCDC(config)]) {
+            const streamed = [];
+            for await (const { offset, data: chunk } of chunkFile("data.bin", chunker, { bufferSize: 100 * 1024 })) {
+                assert.ok(chunk.equals(data.subarray(offset, offset + chunk.length)));
+                streamed.push(offset + chunk.length);
+            }
+            assert.deepEqual(streamed, chunker.chunk(data));
+        }
+    });
+
+    it("selects the chunker version recorded in a manifest", () => {
+        assert.equal(createChunker(undefined, config).version, 1);
+        assert.equal(createChunker({ algorithm: "fastcdc", version: 2 }, config).version, 2);
+        assert.throws(() => createChunker({ algorithm: "fastcdc", version: 99 }, config));
+    });
+
+    it("keeps cutting with v1 for sync manifests created before chunker versioning", async () => {
+        fs.writeFileSync("legacy.bin", data.subarray(0, 512 * 1024));
+        // 老版本写出的清单没有 chunker 标记
+        fs.writeFileSync("legacy.bin.sync.dust", JSON.stringify({ filename: "legacy.bin", pool: {}, versions: [] }));
+
+        await syncFileToDust("legacy.bin", "pw", 32);
+        const v1 = JSON.parse(fs.readFileSync("legacy.bin.sync.dust", "utf8"));
+        const legacy = new LegacyFastCDC(new FastCDCConfig(4 * 1024, 16 * 1024, 32 * 1024));
+        assert.deepEqual(v1.chunker, { algorithm: "fastcdc", version: 1, min_size: 4096, avg_size: 16384, max_size: 32768 });
+        assert.equal(v1.versions[0].chunks.length, legacy.chunk(data.subarray(0, 512 * 1024)).length);
+
+        fs.appendFileSync("legacy.bin", Buffer.from("appended"));
+        await syncFileToDust("legacy.bin", "pw", 32);
+        const v2 = JSON.parse(fs.readFileSync("legacy.bin.sync.dust", "utf8"));
+        assert.ok(Object.keys(v2.pool).length <= Object.keys(v1.pool).length + 2);
+    });
+
+    it("records chunker parameters and reuses them when told to use different ones", async () => {
+        fs.writeFileSync("params.bin", data.subarray(0, 400 * 1024));
+        const manifestName = await syncFileToDust("params.bin", "pw", 32);
+        const first = JSON.parse(fs.readFileSync(manifestName, "utf8"));
+        assert.deepEqual(first.chunker, {
+            algorithm: "fastcdc", version: 2, min_size: 4096, avg_size: 16384, max_size: 32768, normalization: 2, seed: 1337,
+        });
+
+        const warnings = [];
+        const originalWarn = console.warn;
+        console.warn = (...args) => warnings.push(args.join(" "));
+        try {
+            fs.appendFileSync("params.bin", Buffer.from("more"));
+            await syncFileToDust("params.bin", "pw", 64);
+        } finally {
+            console.warn = originalWarn;
+        }
+
+        const second = JSON.parse(fs.readFileSync(manifestName, "utf8"));
+        assert.deepEqual(second.chunker, first.chunker);
+        assert.ok(warnings.some((w) => w.includes("max_size: 32768 -> 65536")));
+        assert.ok(Object.keys(second.pool).length <= Object.keys(first.pool).length + 2);
+    });
+});
@@ -0,0 +1,111 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+
+import { createWorkspace, pseudoRandomBytes } from "./workspace.js";
+import { encode, reconstruct } from "../ReedSolomon.js";
+import { parseParitySpec } from "../FileDustParity.js";
+import { uploadToDust } from "../FileDustUploader.js";
+import { downloadFromDust } from "../FileDustMerger.js";
+import { syncFileToDust, restoreFileSyncDust } from "../FileDustSync.js";
+import { snapshotTree, restoreTree } from "../FileDustTree.js";
+
+const PASSWORD = "parity-password";
+
+describe("ReedSolomon", () => {
+    it("rebuilds the data shards from any k of the k + m shards", () => {
+        const data = [0, 1, 2, 3].map((i) => pseudoRandomBytes(64, `rs-${i}`));
+        const parity = encode(data, 2);
+        assert.equal(parity.length, 2);
+
+        for (let a = 0; a < 6; a++) {
+            for (let b = a + 1; b < 6; b++) {
+                const shards = [...data, ...parity].map((shard, i) => (i === a || i === b ? null : shard));
+                assert.deepEqual(reconstruct(shards, 4), data, `lost shards ${a} and ${b}`);
+            }
+        }
+        assert.throws(() => reconstruct([null, null, null, data[3], ...parity], 4), /need 4 shards/);
+    });
+
+    it("parses k+m specs", () => {
+        assert.deepEqual(parseParitySpec("8+2"), { k: 8, m: 2 });
+        assert.deepEqual(parseParitySpec("4"), { k: 4, m: 2 });
+        assert.throws(() => parseParitySpec("0+2"), /无效的校验参数/);
+        assert.throws(() => parseParitySpec("200+100"), /无效的校验参数/);
+    });
+});
+
+describe("parity chunks", () => {
+    let workspace;
+    const storedFile = (url) => path.join(workspace.storeDir, url.slice(url.lastIndexOf("/") + 1));
+
+    before(async () => {
+        workspace = await createWorkspace();
+    });
+
+    after(async () => {
+        await workspace.cleanup();
+    });
+
+    it("restores a .dust file after losing up to m chunks of a stripe", async () => {
+        const original = pseudoRandomBytes(200 * 1024, "parity-upload");
+        fs.writeFileSync("movie.bin", original);
+        await uploadToDust("movie.bin", PASSWORD, 16, { index: false, parity: "3+2" });
+
+        const manifest = JSON.parse(fs.readFileSync("movie.bin.dust", "utf8"));
+        assert.equal(manifest.parity.algorithm, "reed-solomon");
+        const [stripe] = manifest.parity.stripes;
+        assert.equal(stripe.data.length, 3);
+        assert.equal(stripe.parity.length, 2);
+        // 每个分片恰好属于一个条带
+        const members = manifest.parity.stripes.flatMap((s) => s.data.map((member) => member.hash));
+        assert.deepEqual(members.sort(), manifest.chunks.map((c) => c.hash).sort());
+
+        // 一个数据分片丢失，一个被篡改
+        fs.rmSync(storedFile(stripe.data[0].url));
+        fs.writeFileSync(storedFile(stripe.data[2].url), "corrupted");
+        const restored = await downloadFromDust("movie.bin.dust", PASSWORD, { output: "movie.restored" });
+        assert.equal(restored, "movie.restored");
+        assert.deepEqual(fs.readFileSync("movie.restored"), original);
+
+        // 同一条带再丢一个，超出 m，只能保留进度等待修复
+        fs.rmSync(storedFile(stripe.parity[0].url));
+        assert.equal(await downloadFromDust("movie.bin.dust", PASSWORD, { output: "movie.again" }), null);
+    });
+
+    it("protects new sync versions and keeps the recorded setting", async () => {
+        const v1 = pseudoRandomBytes(150 * 1024, "parity-sync-v1");
+        fs.writeFileSync("notes.bin", v1);
+        await syncFileToDust("notes.bin", PASSWORD, 16, { index: false, parity: { k: 4, m: 1 } });
+        const v2 = Buffer.concat([v1, pseudoRandomBytes(60 * 1024, "parity-sync-v2")]);
+        fs.writeFileSync("notes.bin", v2);
+        await syncFileToDust("notes.bin", PASSWORD, 16, { index: false });
+
+        const manifest = JSON.parse(fs.readFileSync("notes.bin.sync.dust", "utf8"));
+        assert.deepEqual([manifest.parity.k, manifest.parity.m], [4, 1]);
+        const protectedHashes = new Set(manifest.parity.stripes.flatMap((s) => s.data.map((member) => member.hash)));
+        assert.equal(protectedHashes.size, Object.keys(manifest.pool).length);
+
+        const newId = manifest.versions[1].chunks.find((id) => !manifest.versions[0].chunks.includes(id));
+        fs.rmSync(storedFile(manifest.pool[newId].url));
+        const output = await restoreFileSyncDust("notes.bin.sync.dust", 2, PASSWORD, { output: "notes.v2" });
+        assert.deepEqual(fs.readFileSync(output), v2);
+    });
+
+    it("rebuilds lost chunks when restoring a directory snapshot", async () => {
+        fs.mkdirSync("album/sub", { recursive: true });
+        const a = pseudoRandomBytes(70 * 1024, "parity-tree-a");
+        const b = pseudoRandomBytes(50 * 1024, "parity-tree-b");
+        fs.writeFileSync("album/a.bin", a);
+        fs.writeFileSync("album/sub/b.bin", b);
+        await snapshotTree("album", PASSWORD, 16, { index: false, parity: "2+1" });
+
+        const manifest = JSON.parse(fs.readFileSync("album.tree.dust", "utf8"));
+        const [stripe] = manifest.parity.stripes;
+        fs.rmSync(storedFile(stripe.data[stripe.data.length - 1].url));
+        const { output } = await restoreTree("album.tree.dust", PASSWORD, { output: "album.restored" });
+        assert.deepEqual(fs.readFileSync(path.join(output, "a.bin")), a);
+        assert.deepEqual(fs.readFileSync(path.join(output, "sub/b.bin")), b);
+    });
+});
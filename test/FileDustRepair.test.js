@@ -0,0 +1,114 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+
+import { createWorkspace, pseudoRandomBytes } from "./workspace.js";
+import { uploadToDust } from "../FileDustUploader.js";
+import { downloadFromDust } from "../FileDustMerger.js";
+import { syncFileToDust } from "../FileDustSync.js";
+import { verifyManifest } from "../FileDustVerify.js";
+import { repairManifest } from "../FileDustRepair.js";
+
+const PASSWORD = "repair-password";
+
+describe("repairManifest", () => {
+    let workspace;
+    const storedFile = (url) => path.join(workspace.storeDir, url.slice(url.lastIndexOf("/") + 1));
+
+    before(async () => {
+        workspace = await createWorkspace();
+    });
+
+    after(async () => {
+        await workspace.cleanup();
+    });
+
+    it("re-uploads only the missing and corrupt parts of a .dust from the original", async () => {
+        const original = pseudoRandomBytes(200 * 1024, "repair-dust");
+        fs.writeFileSync("photo.bin", original);
+        await uploadToDust("photo.bin", PASSWORD, 32);
+        const manifest = JSON.parse(fs.readFileSync("photo.bin.dust", "utf8"));
+        const [first, second] = manifest.chunks;
+        fs.rmSync(storedFile(first.url));
+        fs.writeFileSync(storedFile(second.url), "corrupted");
+        const stored = fs.readdirSync(workspace.storeDir).length;
+
+        const report = await repairManifest("photo.bin.dust", PASSWORD, ["photo.bin"]);
+        assert.equal(report.broken, 2);
+        assert.deepEqual(report.repaired.map((r) => r.part).sort(), [first.part, second.part].sort());
+        assert.deepEqual(report.unresolved, []);
+        assert.equal(fs.readdirSync(workspace.storeDir).length, stored + 2);
+
+        const repaired = JSON.parse(fs.readFileSync("photo.bin.dust", "utf8"));
+        assert.notEqual(repaired.chunks[0].url, first.url);
+        assert.deepEqual(repaired.chunks.slice(2), manifest.chunks.slice(2));
+        assert.equal((await verifyManifest("photo.bin.dust", PASSWORD)).healthy, true);
+
+        fs.rmSync("photo.bin");
+        assert.ok(fs.readFileSync(await downloadFromDust("photo.bin.dust", PASSWORD)).equals(original));
+    });
+
+    it("repairs pool entries from another version and updates the shared index", async () => {
+        const v1 = pseudoRandomBytes(100 * 1024, "repair-v1");
+        const v2 = Buffer.concat([pseudoRandomBytes(100 * 1024, "repair-v2"), v1.subarray(50 * 1024)]);
+        fs.writeFileSync("old.bin", v1);
+        fs.copyFileSync("old.bin", "report.bin");
+        await syncFileToDust("report.bin", PASSWORD, 32);
+        fs.writeFileSync("report.bin", v2);
+        await syncFileToDust("report.bin", PASSWORD, 32);
+
+        const manifest = JSON.parse(fs.readFileSync("report.bin.sync.dust", "utf8"));
+        const onlyV1 = manifest.versions[0].chunks.find((id) => !manifest.versions[1].chunks.includes(id));
+        const onlyV2 = manifest.versions[1].chunks.find((id) => !manifest.versions[0].chunks.includes(id));
+        fs.rmSync(storedFile(manifest.pool[onlyV1].url));
+        fs.rmSync(storedFile(manifest.pool[onlyV2].url));
+
+        // 当前文件里找不到 v1 独有的内容
+        const partial = await repairManifest("report.bin.sync.dust", PASSWORD, ["report.bin"], { level: "quick" });
+        assert.deepEqual(partial.repaired.map((r) => r.id), [onlyV2]);
+        assert.deepEqual(partial.unresolved.map((u) => u.id), [onlyV1]);
+
+        const rest = await repairManifest("report.bin.sync.dust", PASSWORD, ["old.bin"], { level: "quick" });
+        assert.deepEqual(rest.repaired.map((r) => r.id), [onlyV1]);
+        assert.equal((await verifyManifest("report.bin.sync.dust", PASSWORD)).healthy, true);
+
+        const index = JSON.parse(fs.readFileSync("dust_index.json", "utf8"));
+        const [scope] = Object.values(index.scopes);
+        assert.equal(scope[onlyV1].url, rest.repaired[0].url);
+        assert.ok(!("replaced" in scope[onlyV1]));
+    });
+
+    it("keeps parity stripes valid for repaired chunks", async () => {
+        const original = pseudoRandomBytes(200 * 1024, "repair-parity");
+        fs.writeFileSync("parity.bin", original);
+        await uploadToDust("parity.bin", PASSWORD, 32, { parity: "2+1" });
+        const manifest = JSON.parse(fs.readFileSync("parity.bin.dust", "utf8"));
+        const [first, second] = manifest.parity.stripes;
+
+        // 条带还能重建：原样重传同一份密文，只有位置变了
+        fs.rmSync(storedFile(first.data[0].url));
+        const rebuilt = await repairManifest("parity.bin.dust", PASSWORD, ["parity.bin"]);
+        assert.equal(rebuilt.repaired.length, 1);
+        let repaired = JSON.parse(fs.readFileSync("parity.bin.dust", "utf8"));
+        assert.equal(repaired.parity.stripes[0].data[0].hash, first.data[0].hash);
+        assert.equal(repaired.parity.stripes[0].data[0].url, rebuilt.repaired[0].url);
+        assert.deepEqual(repaired.parity.stripes[0].parity, first.parity);
+        assert.equal(repaired.chunks.find((c) => c.hash === first.data[0].hash).url, rebuilt.repaired[0].url);
+
+        // 条带的数据分片全丢了：从本地副本重新加密上传，校验分片按新密文重新计算
+        for (const member of second.data) fs.rmSync(storedFile(member.url));
+        const reencrypted = await repairManifest("parity.bin.dust", PASSWORD, ["parity.bin"]);
+        assert.equal(reencrypted.repaired.length, 2);
+        repaired = JSON.parse(fs.readFileSync("parity.bin.dust", "utf8"));
+        const stripe = repaired.parity.stripes[1];
+        assert.deepEqual(stripe.data.map((m) => m.url).sort(), reencrypted.repaired.map((r) => r.url).sort());
+        assert.ok(stripe.data.every((m) => repaired.chunks.some((c) => c.hash === m.hash && c.url === m.url)));
+        assert.notDeepEqual(stripe.parity, second.parity);
+
+        // 新条带能重建重新上传过的分片
+        fs.rmSync(storedFile(stripe.data[1].url));
+        fs.rmSync("parity.bin");
+        assert.ok(fs.readFileSync(await downloadFromDust("parity.bin.dust", PASSWORD)).equals(original));
+    });
+});
@@ -0,0 +1,114 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+
+import { createWorkspace, pseudoRandomBytes } from "./workspace.js";
+import { snapshotTree, restoreTree } from "../FileDustTree.js";
+import { syncFileToDust } from "../FileDustSync.js";
+import { openManifest } from "../ManifestFile.js";
+import { CHUNKER_VERSION } from "../FastCDC.js";
+
+const PASSWORD = "tree-password";
+
+describe("directory snapshots", () => {
+    let workspace;
+    const big = pseudoRandomBytes(200 * 1024, "tree-big");
+
+    before(async () => {
+        workspace = await createWorkspace();
+        fs.mkdirSync("project/src/deep", { recursive: true });
+        fs.writeFileSync("project/README.md", "# project\n");
+        fs.writeFileSync("project/src/big.bin", big);
+        fs.writeFileSync("project/src/deep/copy.bin", big);
+        fs.writeFileSync("project/run.sh", "#!/bin/sh\necho hi\n");
+        fs.chmodSync("project/run.sh", 0o755);
+        fs.symlinkSync("src/big.bin", "project/latest");
+        fs.utimesSync("project/README.md", new Date("2024-01-02T03:04:05Z"), new Date("2024-01-02T03:04:05Z"));
+    });
+
+    after(async () => {
+        await workspace.cleanup();
+    });
+
+    it("records the tree and shares chunks between identical files", async () => {
+        const manifestName = await snapshotTree("project", PASSWORD, 32);
+        assert.equal(manifestName, "project.tree.dust");
+
+        const { manifest } = await openManifest(manifestName, PASSWORD);
+        assert.equal(manifest.chunker.version, CHUNKER_VERSION);
+        const entries = Object.fromEntries(manifest.versions[0].entries.map((e) => [e.path, e]));
+        assert.deepEqual(Object.keys(entries).sort(), ["README.md", "latest", "run.sh", "src", "src/big.bin", "src/deep", "src/deep/copy.bin"]);
+        assert.equal(entries.latest.type, "symlink");
+        assert.equal(entries.latest.target, "src/big.bin");
+        assert.equal(entries["run.sh"].mode, 0o755);
+        assert.deepEqual(entries["src/deep/copy.bin"].chunks, entries["src/big.bin"].chunks);
+        assert.equal(Object.keys(manifest.pool).length, new Set([
+            ...entries["src/big.bin"].chunks, ...entries["README.md"].chunks, ...entries["run.sh"].chunks,
+        ]).size);
+    });
+
+    it("skips unchanged files by size and mtime and does not add empty versions", async () => {
+        const stored = fs.readdirSync(workspace.storeDir).length;
+        await snapshotTree("project", PASSWORD, 32);
+        assert.equal((await openManifest("project.tree.dust", PASSWORD)).manifest.versions.length, 1);
+
+        // 同样大小、同样 mtime 的改动不会被重新读取 (这正是跳过的判据)
+        const { mtime } = fs.statSync("project/README.md");
+        fs.writeFileSync("project/README.md", "# PROJECT\n");
+        fs.utimesSync("project/README.md", mtime, mtime);
+        fs.appendFileSync("project/run.sh", "echo bye\n");
+        await snapshotTree("project", PASSWORD, 32);
+
+        const { manifest } = await openManifest("project.tree.dust", PASSWORD);
+        assert.equal(manifest.versions.length, 2);
+        const [v1, v2] = manifest.versions.map((v) => Object.fromEntries(v.entries.map((e) => [e.path, e])));
+        assert.deepEqual(v2["README.md"].chunks, v1["README.md"].chunks);
+        assert.notDeepEqual(v2["run.sh"].chunks, v1["run.sh"].chunks);
+        assert.equal(fs.readdirSync(workspace.storeDir).length, stored + 1);
+    });
+
+    it("restores a whole version with modes, mtimes and symlinks", async () => {
+        const result = await restoreTree("project.tree.dust", PASSWORD, { version: 1, output: "restored" });
+        assert.deepEqual([result.files, result.dirs, result.symlinks], [4, 2, 1]);
+
+        assert.equal(fs.readFileSync("restored/README.md", "utf8"), "# project\n");
+        assert.equal(fs.readFileSync("restored/run.sh", "utf8"), "#!/bin/sh\necho hi\n");
+        assert.ok(fs.readFileSync("restored/src/deep/copy.bin").equals(big));
+        assert.equal(fs.readlinkSync("restored/latest"), "src/big.bin");
+        assert.equal(fs.statSync("restored/run.sh").mode & 0o777, 0o755);
+        assert.equal(fs.statSync("restored/README.md").mtime.toISOString(), "2024-01-02T03:04:05.000Z");
+    });
+
+    it("restores only the requested subset", async () => {
+        const result = await restoreTree("project.tree.dust", PASSWORD, { paths: ["src/deep", "run.sh"], output: "partial" });
+        assert.deepEqual([result.files, result.dirs, result.symlinks], [2, 1, 0]);
+        assert.ok(fs.readFileSync(path.join("partial", "src", "deep", "copy.bin")).equals(big));
+        assert.equal(fs.readFileSync("partial/run.sh", "utf8"), "#!/bin/sh\necho hi\necho bye\n");
+        assert.ok(!fs.existsSync("partial/src/big.bin"));
+        await assert.rejects(restoreTree("project.tree.dust", PASSWORD, { paths: ["nope"], output: "partial" }), /没有匹配的路径/);
+    });
+
+    it("leaves out .gitignore'd and .dustignore'd paths and the built-in deny-list", async () => {
+        fs.mkdirSync("app/node_modules/pkg", { recursive: true });
+        fs.mkdirSync("app/src");
+        fs.writeFileSync("app/.dustignore", "node_modules/\n*.cache\n!wallet.json\n");
+        fs.writeFileSync("app/src/.dustignore", "!keep.cache\n");
+        // 与 watch 读取同一组忽略文件
+        fs.writeFileSync("app/.gitignore", "*.log\n");
+        fs.writeFileSync("app/src/debug.log", "z");
+        fs.writeFileSync("app/node_modules/pkg/index.js", "module.exports = 1;\n");
+        fs.writeFileSync("app/src/index.js", "export {};\n");
+        fs.writeFileSync("app/src/tmp.cache", "x");
+        fs.writeFileSync("app/src/keep.cache", "y");
+        fs.writeFileSync("app/wallet.json", "{}");
+        fs.writeFileSync("app/src/salt.json", "{}");
+
+        await snapshotTree("app", PASSWORD, 32);
+        const { manifest } = await openManifest("app.tree.dust", PASSWORD);
+        assert.deepEqual(manifest.versions[0].entries.map((e) => e.path).sort(), [".dustignore", ".gitignore", "src", "src/.dustignore", "src/index.js", "src/keep.cache"]);
+
+        await assert.rejects(syncFileToDust("app/wallet.json", PASSWORD, 32), /黑名单/);
+        await assert.rejects(syncFileToDust("app/src/tmp.cache", PASSWORD, 32), /\.dustignore/);
+    });
+});
@@ -0,0 +1,88 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+
+import { createWorkspace, pseudoRandomBytes } from "./workspace.js";
+import { syncFileToDust } from "../FileDustSync.js";
+import { snapshotTree } from "../FileDustTree.js";
+import { verifyManifest } from "../FileDustVerify.js";
+
+const PASSWORD = "verify-password";
+
+describe("verifyManifest", () => {
+    let workspace;
+    const storedFile = (url) => path.join(workspace.storeDir, url.slice(url.lastIndexOf("/") + 1));
+
+    before(async () => {
+        workspace = await createWorkspace();
+    });
+
+    after(async () => {
+        await workspace.cleanup();
+    });
+
+    it("reports missing and corrupt pool entries with the versions they affect", async () => {
+        const v1 = pseudoRandomBytes(120 * 1024, "verify-v1");
+        fs.writeFileSync("doc.bin", v1);
+        await syncFileToDust("doc.bin", PASSWORD, 32);
+        const before = JSON.parse(fs.readFileSync("doc.bin.sync.dust", "utf8"));
+        fs.writeFileSync("doc.bin", Buffer.concat([v1, pseudoRandomBytes(40 * 1024, "verify-v2")]));
+        await syncFileToDust("doc.bin", PASSWORD, 32);
+
+        const healthy = await verifyManifest("doc.bin.sync.dust", PASSWORD);
+        assert.equal(healthy.healthy, true);
+        assert.deepEqual(healthy.affected_versions, []);
+
+        const manifest = JSON.parse(fs.readFileSync("doc.bin.sync.dust", "utf8"));
+        const [shared] = manifest.versions[0].chunks;
+        const onlyV2 = manifest.versions[1].chunks.find((id) => !before.pool[id]);
+        fs.rmSync(storedFile(manifest.pool[onlyV2].url));
+        fs.writeFileSync(storedFile(manifest.pool[shared].url), "corrupted");
+
+        // quick 只看分片在不在：被篡改但仍存在的分片发现不了
+        const quick = await verifyManifest("doc.bin.sync.dust", PASSWORD, { level: "quick" });
+        assert.equal(quick.type, "sync");
+        assert.deepEqual(quick.failed.map((f) => [f.id, f.reason, f.versions]), [[onlyV2, "missing", [2]]]);
+        assert.deepEqual(quick.affected_versions, [2]);
+
+        const deep = await verifyManifest("doc.bin.sync.dust", PASSWORD);
+        const byId = Object.fromEntries(deep.failed.map((f) => [f.id, f]));
+        assert.equal(deep.healthy, false);
+        assert.equal(deep.failed.length, 2);
+        assert.equal(byId[onlyV2].reason, "missing");
+        assert.equal(byId[shared].reason, "corrupt");
+        assert.deepEqual(byId[shared].versions, [1, 2]);
+        assert.deepEqual(deep.affected_versions, [1, 2]);
+        assert.equal(deep.ok, deep.checked - 2);
+    });
+
+    it("checks the whole-file hash of every version in deep mode", async () => {
+        fs.writeFileSync("hashed.bin", pseudoRandomBytes(60 * 1024, "verify-hash"));
+        await syncFileToDust("hashed.bin", PASSWORD, 32);
+        const manifest = JSON.parse(fs.readFileSync("hashed.bin.sync.dust", "utf8"));
+        manifest.versions[0].file_hash = "0".repeat(64);
+        fs.writeFileSync("hashed.bin.sync.dust", JSON.stringify(manifest));
+
+        assert.equal((await verifyManifest("hashed.bin.sync.dust", PASSWORD, { level: "quick" })).healthy, true);
+        const deep = await verifyManifest("hashed.bin.sync.dust", PASSWORD);
+        assert.equal(deep.failed.length, 0);
+        assert.deepEqual(deep.bad_files, [{ version: 1, error: "整文件 Hash 不一致" }]);
+        assert.deepEqual(deep.affected_versions, [1]);
+        await assert.rejects(verifyManifest("hashed.bin.sync.dust", PASSWORD, { level: "full" }), /未知的体检级别/);
+    });
+
+    it("names the files of a tree snapshot that a bad chunk affects", async () => {
+        fs.mkdirSync("site/assets", { recursive: true });
+        fs.writeFileSync("site/index.html", "<h1>hi</h1>");
+        fs.writeFileSync("site/assets/logo.bin", pseudoRandomBytes(20 * 1024, "verify-logo"));
+        await snapshotTree("site", PASSWORD, 32);
+        const manifest = JSON.parse(fs.readFileSync("site.tree.dust", "utf8"));
+        const logo = manifest.versions[0].entries.find((e) => e.path === "assets/logo.bin");
+        fs.rmSync(storedFile(manifest.pool[logo.chunks[0]].url));
+
+        const report = await verifyManifest("site.tree.dust", PASSWORD);
+        assert.equal(report.type, "tree");
+        assert.deepEqual(report.failed.map((f) => [f.reason, f.versions, f.paths]), [["missing", [1], ["assets/logo.bin"]]]);
+    });
+});
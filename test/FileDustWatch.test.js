@@ -0,0 +1,122 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+import { createWorkspace } from "./workspace.js";
+import { watchPath } from "../FileDustWatch.js";
+import { openManifest } from "../ManifestFile.js";
+
+const PASSWORD = "watch-password";
+const DEBOUNCE_MS = 100;
+
+// 把 onSync 回调变成可以逐个 await 的队列
+const syncQueue = () => {
+    const results = [];
+    const waiters = [];
+    return {
+        onSync: (result) => (waiters.length ? waiters.shift()(result) : results.push(result)),
+        next: () => new Promise((resolve, reject) => {
+            if (results.length) return resolve(results.shift());
+            const timer = setTimeout(() => reject(new Error("等待同步超时")), 10000);
+            waiters.push((result) => {
+                clearTimeout(timer);
+                resolve(result);
+            });
+        }),
+    };
+};
+
+const latestPaths = async (manifestPath) => {
+    const { manifest } = await openManifest(manifestPath, PASSWORD);
+    return manifest.versions.at(-1).entries.map((e) => e.path).sort();
+};
+
+describe("watchPath", () => {
+    let workspace;
+
+    before(async () => {
+        workspace = await createWorkspace();
+    });
+
+    after(async () => {
+        await workspace.cleanup();
+    });
+
+    it("watches a directory recursively, honours .gitignore and picks up new directories", async () => {
+        fs.mkdirSync("project/src", { recursive: true });
+        fs.mkdirSync("project/build");
+        fs.writeFileSync("project/.gitignore", "*.log\nbuild/\n");
+        fs.writeFileSync("project/src/a.txt", "a");
+
+        const queue = syncQueue();
+        const watcher = watchPath("project", PASSWORD, { debounceMs: DEBOUNCE_MS, onSync: queue.onSync });
+        try {
+            fs.writeFileSync("project/src/b.txt", "b");
+            fs.writeFileSync("project/src/debug.log", "noise");
+            let result = await queue.next();
+            assert.equal(result.error, undefined);
+            assert.deepEqual(result.changes, ["src/b.txt"]);
+            assert.deepEqual(await latestPaths(result.manifest), [".gitignore", "src", "src/a.txt", "src/b.txt"]);
+
+            // 新建的子目录会被挂上监听，其中后来写入的文件也能触发同步
+            fs.mkdirSync("project/src/new");
+            await new Promise((resolve) => setTimeout(resolve, DEBOUNCE_MS / 2));
+            fs.writeFileSync("project/src/new/c.txt", "c");
+            result = await queue.next();
+            assert.ok(result.changes.includes("src/new/c.txt"));
+            assert.ok((await latestPaths(result.manifest)).includes("src/new/c.txt"));
+        } finally {
+            watcher.close();
+        }
+    });
+
+    it("queues changes that arrive while a sync is running", async () => {
+        fs.mkdirSync("queued");
+        fs.writeFileSync("queued/first.txt", "first");
+
+        // 第一轮同步上传分片时写入另一个文件
+        const { put } = workspace.backend;
+        let injected = false;
+        workspace.backend.put = async (...args) => {
+            if (!injected) {
+                injected = true;
+                fs.writeFileSync("queued/late.txt", "late");
+                await new Promise((resolve) => setTimeout(resolve, DEBOUNCE_MS * 3));
+            }
+            return put(...args);
+        };
+
+        const queue = syncQueue();
+        const watcher = watchPath("queued", PASSWORD, { debounceMs: DEBOUNCE_MS, onSync: queue.onSync });
+        try {
+            fs.writeFileSync("queued/second.txt", "second");
+            const first = await queue.next();
+            assert.deepEqual(first.changes, ["second.txt"]);
+            const second = await queue.next();
+            assert.deepEqual(second.changes, ["late.txt"]);
+            assert.deepEqual(await latestPaths(second.manifest), ["first.txt", "late.txt", "second.txt"]);
+        } finally {
+            watcher.close();
+            workspace.backend.put = put;
+        }
+    });
+
+    it("keeps watching a single file that editors replace by rename", async () => {
+        fs.writeFileSync("notes.txt", "v1");
+        const queue = syncQueue();
+        const watcher = watchPath("notes.txt", PASSWORD, { debounceMs: DEBOUNCE_MS, onSync: queue.onSync });
+        try {
+            for (const content of ["v2", "v3"]) {
+                fs.writeFileSync("notes.txt.swp", content);
+                fs.renameSync("notes.txt.swp", "notes.txt");
+                const result = await queue.next();
+                assert.equal(result.manifest, "notes.txt.sync.dust");
+                assert.deepEqual(result.changes, ["notes.txt"]);
+            }
+            const { manifest } = await openManifest("notes.txt.sync.dust", PASSWORD);
+            assert.equal(manifest.versions.length, 2);
+        } finally {
+            watcher.close();
+        }
+    });
+});
@@ -0,0 +1,136 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { createWorkspace, pseudoRandomBytes } from "./workspace.js";
+import { startFakeGateway } from "../FakeGateway.js";
+import { getByLocator, existsByLocator } from "../StorageBackend.js";
+import { configureGateways, resetGatewayStats, gatewayStats, parseGatewayUrl, normalizeLocator, CORRUPT_RESPONSE_ERROR } from "../GatewayPool.js";
+import { sha256Hex } from "../CryptoUtils.js";
+
+describe("GatewayPool", () => {
+    let workspace;
+    let primary;
+    let mirror;
+    let data;
+    let url;
+    let id;
+
+    before(async () => {
+        workspace = await createWorkspace();
+        primary = workspace.gateway;
+        mirror = await startFakeGateway({ dir: workspace.storeDir });
+        data = pseudoRandomBytes(4096, "gateway-pool");
+        id = (await workspace.backend.put(data)).slice("local://".length);
+        // 老星图记录的网关 URL
+        url = `${primary.url}/${id}`;
+    });
+
+    after(async () => {
+        configureGateways({ hedgeDelayMs: 2000 });
+        await mirror.close();
+        await workspace.cleanup();
+    });
+
+    beforeEach(() => {
+        configureGateways({ gateways: [primary.url, mirror.url], hedgeDelayMs: 2000 });
+        resetGatewayStats();
+        for (const gateway of [primary, mirror]) {
+            gateway.unavailable.clear();
+            gateway.corrupted.clear();
+            gateway.requests.length = 0;
+            gateway.latencyMs = 0;
+        }
+    });
+
+    it("parses gateway URLs by transaction id", () => {
+        assert.deepEqual(parseGatewayUrl(`https://arweave.net/${id}`), { gateway: "https://arweave.net", txid: id });
+        assert.deepEqual(parseGatewayUrl(`https://example.com/ar/${id}`), { gateway: "https://example.com/ar", txid: id });
+        assert.equal(parseGatewayUrl("https://arweave.net/not-a-txid"), null);
+        assert.equal(parseGatewayUrl("local://abc"), null);
+        assert.equal(normalizeLocator(`https://arweave.net/${id}`), `ar://${id}`);
+        assert.equal(normalizeLocator(`s3://bucket/${id}`), `s3://bucket/${id}`);
+        // 只迁移已知网关上的 URL
+        assert.equal(normalizeLocator(`https://v1.filedust.workers.dev/${id}`), `ar://${id}`);
+        assert.equal(normalizeLocator(`${primary.url}/${id}`), `ar://${id}`);
+        assert.equal(normalizeLocator(`https://example.com/files/${id}`), `https://example.com/files/${id}`);
+    });
+
+    it("builds gateway URLs for ar:// locators at read time", async () => {
+        configureGateways({ gateways: [mirror.url] });
+        assert.deepEqual(await getByLocator(`ar://${id}`), data);
+        assert.deepEqual(mirror.requests, [`GET ${id}`]);
+        assert.deepEqual(primary.requests, []);
+    });
+
+    it("falls back to another gateway and then prefers the healthy one", async () => {
+        primary.unavailable.add(id);
+        assert.deepEqual(await getByLocator(url), data);
+        assert.deepEqual(primary.requests, [`GET ${id}`]);
+        assert.deepEqual(mirror.requests, [`GET ${id}`]);
+
+        // 出过错的网关排到后面，下一次直接走镜像
+        primary.unavailable.clear();
+        await getByLocator(url);
+        assert.equal(primary.requests.length, 1);
+        assert.equal(mirror.requests.length, 2);
+        assert.deepEqual(gatewayStats().map((s) => [s.gateway, s.failures]), [[mirror.url, 0], [primary.url, 1]]);
+    });
+
+    it("moves on from a gateway that serves corrupted bytes and scores it as failing", async () => {
+        const validate = (buf) => sha256Hex(buf) === sha256Hex(data);
+        primary.corrupted.add(id);
+        assert.deepEqual(await getByLocator(url, { validate }), data);
+        assert.deepEqual(primary.requests, [`GET ${id}`]);
+        assert.deepEqual(mirror.requests, [`GET ${id}`]);
+        assert.deepEqual(gatewayStats().map((s) => [s.gateway, s.failures]), [[mirror.url, 0], [primary.url, 1]]);
+
+        // 下一次直接从镜像读
+        await getByLocator(url, { validate });
+        assert.equal(primary.requests.length, 1);
+
+        mirror.corrupted.add(id);
+        await assert.rejects(getByLocator(url, { validate }), (e) => e.code === CORRUPT_RESPONSE_ERROR);
+    });
+
+    it("hedges a slow gateway with the next one", async () => {
+        configureGateways({ hedgeDelayMs: 100 });
+        await getByLocator(url);
+        const fast = gatewayStats().find((s) => s.gateway === primary.url).latency_ms;
+        assert.ok(fast < 100);
+
+        primary.latencyMs = 1000;
+        const started = Date.now();
+        assert.deepEqual(await getByLocator(url), data);
+        assert.ok(Date.now() - started < 900, "the mirror should answer before the slow gateway");
+        assert.equal(mirror.requests.length, 1);
+        // 慢网关虽然没出错，延迟估计被拉高，排到了镜像后面；被取消的请求只是一个下限，按 EWMA 折入而不是直接取最大值
+        const [first, second] = gatewayStats();
+        assert.equal(first.gateway, mirror.url);
+        assert.deepEqual([second.gateway, second.failures, second.error_rate], [primary.url, 0, 0]);
+        assert.ok(second.latency_ms > fast && second.latency_ms < 100, `censored latency ${second.latency_ms}ms`);
+    });
+
+    it("rewrites locators from unlisted gateways and keeps their host as the last resort", async () => {
+        const foreign = url.replace(primary.url, mirror.url);
+        configureGateways({ gateways: [primary.url] });
+        assert.deepEqual(await getByLocator(foreign), data);
+        assert.deepEqual(mirror.requests, []);
+
+        primary.unavailable.add(id);
+        assert.deepEqual(await getByLocator(foreign), data);
+        assert.deepEqual(mirror.requests, [`GET ${id}`]);
+    });
+
+    it("reports a chunk missing only when a gateway answers 404", async () => {
+        assert.equal(await existsByLocator(url), true);
+        const missing = url.replace(id, "A".repeat(43));
+        assert.equal(await existsByLocator(missing), false);
+        await assert.rejects(getByLocator(missing), (e) => e.response.status === 404);
+        // 404 是正常的回答，不影响网关的健康度
+        assert.deepEqual(gatewayStats().map((s) => [s.failures, s.error_rate, s.cooling]), [[0, 0, false], [0, 0, false]]);
+
+        primary.unavailable.add(id);
+        mirror.unavailable.add(id);
+        await assert.rejects(existsByLocator(url), (e) => e.response.status === 500 && /所有网关/.test(e.message));
+    });
+});
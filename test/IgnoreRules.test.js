@@ -0,0 +1,94 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { compileIgnorePattern, createIgnoreMatcher, createDustIgnoreMatcher, assertNotIgnored, IGNORED_PATH_ERROR } from "../IgnoreRules.js";
+
+describe("IgnoreRules", () => {
+    let root;
+
+    before(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), "filedust-ignore-"));
+        fs.mkdirSync(path.join(root, "src/vendor"), { recursive: true });
+        fs.writeFileSync(path.join(root, ".gitignore"), "# 注释\n*.log\n!keep.log\nbuild/\n/top.txt\ndocs/**/*.pdf\n");
+        fs.writeFileSync(path.join(root, "src/.gitignore"), "vendor/\n!debug.log\n");
+    });
+
+    after(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it("compiles gitignore patterns", () => {
+        assert.equal(compileIgnorePattern("   "), null);
+        assert.equal(compileIgnorePattern("# comment"), null);
+        const rule = compileIgnorePattern("!out/");
+        assert.deepEqual([rule.negate, rule.dirOnly], [true, true]);
+        assert.ok(compileIgnorePattern("\\#file").regex.test("#file"));
+        assert.ok(compileIgnorePattern("a/**/b").regex.test("a/x/y/b"));
+        assert.ok(compileIgnorePattern("a/**/b").regex.test("a/b"));
+        assert.ok(!compileIgnorePattern("/a.txt").regex.test("sub/a.txt"));
+        assert.ok(compileIgnorePattern("a.txt").regex.test("sub/a.txt"));
+        assert.ok(compileIgnorePattern("file[0-9].txt").regex.test("file7.txt"));
+    });
+
+    it("applies rules from every level, with negation and directory-only patterns", () => {
+        const matcher = createIgnoreMatcher(root);
+        const at = (p) => path.join(root, p);
+        assert.ok(matcher.ignores(at("app.log")));
+        assert.ok(!matcher.ignores(at("keep.log")));
+        assert.ok(matcher.ignores(at("src/deep/app.log")));
+        // 更深一层的 .gitignore 可以重新包含
+        assert.ok(!matcher.ignores(at("src/debug.log")));
+        assert.ok(matcher.ignores(at("build"), true));
+        assert.ok(!matcher.ignores(at("build"), false));
+        assert.ok(matcher.ignores(at("build/out.js")));
+        assert.ok(matcher.ignores(at("top.txt")));
+        assert.ok(!matcher.ignores(at("src/top.txt")));
+        assert.ok(matcher.ignores(at("docs/a/b/c.pdf")));
+        assert.ok(matcher.ignores(at("src/vendor/lib.js")));
+        assert.ok(!matcher.ignores(root, true));
+        assert.ok(!matcher.ignores(path.dirname(root), true));
+    });
+
+    it("cannot re-include a file inside an ignored directory", () => {
+        const matcher = createIgnoreMatcher(root, { patterns: ["cache/", "!cache/keep.txt"] });
+        assert.ok(matcher.ignores(path.join(root, "cache/keep.txt")));
+    });
+
+    it("picks up edited ignore files after invalidate", () => {
+        const matcher = createIgnoreMatcher(root);
+        const file = path.join(root, "notes.tmp");
+        assert.ok(!matcher.ignores(file));
+        fs.appendFileSync(path.join(root, ".gitignore"), "*.tmp\n");
+        assert.ok(!matcher.ignores(file));
+        matcher.invalidate(root);
+        assert.ok(matcher.ignores(file));
+        assert.ok(matcher.isIgnoreFile(path.join(root, "src/.gitignore")));
+    });
+
+    it("reads .dustignore and always applies the built-in deny-list", () => {
+        fs.writeFileSync(path.join(root, ".dustignore"), "node_modules/\n!wallet.json\n!salt.json\n");
+        const matcher = createDustIgnoreMatcher(root);
+        assert.ok(matcher.ignores(path.join(root, "node_modules"), true));
+        assert.ok(matcher.ignores(path.join(root, "wallet.json")));
+        assert.ok(matcher.ignores(path.join(root, "src/salt.json")));
+        // 只读 .dustignore，.gitignore 中的规则不生效
+        assert.ok(!matcher.ignores(path.join(root, "app.log")));
+    });
+
+    it("refuses single files that are denied or excluded by .dustignore", () => {
+        const cwd = process.cwd();
+        process.chdir(root);
+        try {
+            fs.writeFileSync(path.join(root, "src/.dustignore"), "*.secret\n");
+            assert.throws(() => assertNotIgnored("wallet.json"), (e) => e.code === IGNORED_PATH_ERROR && /黑名单/.test(e.message));
+            assert.throws(() => assertNotIgnored("src/deep/key.secret"), (e) => e.code === IGNORED_PATH_ERROR && /\.dustignore/.test(e.message));
+            assert.doesNotThrow(() => assertNotIgnored("src/deep/key.txt"));
+            assert.throws(() => assertNotIgnored(path.join(os.tmpdir(), "salt.json")), (e) => e.code === IGNORED_PATH_ERROR);
+        } finally {
+            process.chdir(cwd);
+        }
+    });
+});
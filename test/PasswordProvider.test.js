@@ -0,0 +1,62 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { readPassword, requirePassword, PASSWORD_UNAVAILABLE_ERROR } from "../PasswordProvider.js";
+
+describe("PasswordProvider", () => {
+    let dir;
+    const savedEnv = process.env.FILEDUST_PASSWORD;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "filedust-password-"));
+        delete process.env.FILEDUST_PASSWORD;
+    });
+
+    after(() => {
+        if (savedEnv !== undefined) process.env.FILEDUST_PASSWORD = savedEnv;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("reads the first line of a file, a file descriptor or a command", async () => {
+        const file = path.join(dir, "secret.txt");
+        fs.writeFileSync(file, " spaced pass \nsecond line\n", { mode: 0o600 });
+        assert.equal(await readPassword({ file }), " spaced pass ");
+
+        const fd = fs.openSync(file, "r");
+        try {
+            assert.equal(await readPassword({ fd }), " spaced pass ");
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        const command = `"${process.execPath}" -e "process.stdout.write('from-command\\\\nignored')"`;
+        assert.equal(await readPassword({ command }), "from-command");
+        await assert.rejects(readPassword({ command: `"${process.execPath}" -e "process.exit(7)"` }), /退出码 7/);
+    });
+
+    it("prefers explicit sources over the environment and never falls back to a default", async () => {
+        const file = path.join(dir, "secret.txt");
+        process.env.FILEDUST_PASSWORD = "from-env";
+        process.env.OTHER_PASSWORD = "from-other-env";
+        try {
+            assert.equal(await readPassword({ file }), " spaced pass ");
+            assert.equal(await readPassword(), "from-env");
+            assert.equal(await readPassword({ env: "OTHER_PASSWORD" }), "from-other-env");
+        } finally {
+            delete process.env.FILEDUST_PASSWORD;
+            delete process.env.OTHER_PASSWORD;
+        }
+
+        // 测试进程的 stdin 不是终端，没有任何来源时不会询问，也没有内置默认值
+        assert.equal(await readPassword({ prompt: false }), null);
+        await assert.rejects(requirePassword({ prompt: false }), (e) => e.code === PASSWORD_UNAVAILABLE_ERROR);
+        await assert.rejects(readPassword({ env: "OTHER_PASSWORD" }), (e) => e.code === PASSWORD_UNAVAILABLE_ERROR);
+
+        const empty = path.join(dir, "empty.txt");
+        fs.writeFileSync(empty, "\n", { mode: 0o600 });
+        await assert.rejects(readPassword({ file: empty }), /为空/);
+    });
+});
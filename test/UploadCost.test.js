@@ -0,0 +1,125 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+
+import { createWorkspace, pseudoRandomBytes } from "./workspace.js";
+import { uploadToDust } from "../FileDustUploader.js";
+import { syncFileToDust } from "../FileDustSync.js";
+import { setStorageBackend } from "../StorageBackend.js";
+import { estimateUploadCost, fixedPricing, setPricingSource, FREE_TIER_BYTES } from "../UploadCost.js";
+
+const PASSWORD = "cost-password";
+const WINC_PER_GIB = 1024 ** 3; // 每字节 1 winc，便于核对
+
+describe("upload cost estimation and dry runs", () => {
+    let workspace;
+
+    before(async () => {
+        workspace = await createWorkspace();
+        setPricingSource(fixedPricing(WINC_PER_GIB));
+    });
+
+    after(async () => {
+        setPricingSource(null);
+        await workspace.cleanup();
+    });
+
+    it("prices only chunks at or over the free tier, and only for Turbo", async () => {
+        const sizes = [FREE_TIER_BYTES - 1, FREE_TIER_BYTES, 3 * FREE_TIER_BYTES];
+        const cost = await estimateUploadCost(sizes, "arweave");
+        assert.equal(cost.winc, String(4 * FREE_TIER_BYTES));
+        assert.equal(cost.ar, "0.0000004096");
+        assert.deepEqual(await estimateUploadCost([1024], "arweave"), { winc: "0", ar: "0", fiat: null, source: "free-tier" });
+        assert.equal(await estimateUploadCost(sizes, "local"), null);
+
+        setPricingSource(async () => {
+            throw new Error("offline");
+        });
+        try {
+            assert.match((await estimateUploadCost(sizes, "arweave")).error, /offline/);
+        } finally {
+            setPricingSource(fixedPricing(WINC_PER_GIB));
+        }
+    });
+
+    it("plans an upload without sending or writing anything", async () => {
+        fs.writeFileSync("plan.bin", pseudoRandomBytes(600 * 1024, "plan"));
+        const stored = fs.readdirSync(workspace.storeDir).length;
+
+        setStorageBackend("arweave");
+        let report;
+        try {
+            report = await uploadToDust("plan.bin", PASSWORD, 256, { dryRun: true });
+        } finally {
+            setStorageBackend("local", { dir: workspace.storeDir, gateway: workspace.gateway.url });
+        }
+
+        assert.equal(report.dry_run, true);
+        assert.equal(report.manifest, "plan.bin.dust");
+        assert.equal(report.bytes, 600 * 1024);
+        assert.equal(report.reused_chunks, 0);
+        assert.equal(report.new_chunks, report.chunks);
+        assert.ok(report.over_free_tier > 0);
+        assert.equal(report.upload_bytes, 600 * 1024 + report.chunks * 28);
+        assert.ok(Number(report.cost.winc) > 0 && Number(report.cost.winc) <= report.upload_bytes);
+
+        assert.ok(!fs.existsSync("plan.bin.dust"));
+        assert.ok(!fs.existsSync("dust_index.json"));
+        assert.ok(!fs.existsSync("salt.json"), "a dry run must not create the repository key file");
+        assert.equal(fs.readdirSync(workspace.storeDir).length, stored);
+    });
+
+    it("adds the parity shards an upload would write to the plan and the cost", async () => {
+        fs.writeFileSync("plan-parity.bin", pseudoRandomBytes(1536 * 1024, "plan-parity"));
+        setStorageBackend("arweave");
+        let plain;
+        let protectedPlan;
+        try {
+            plain = await uploadToDust("plan-parity.bin", PASSWORD, 512, { dryRun: true });
+            protectedPlan = await uploadToDust("plan-parity.bin", PASSWORD, 512, { dryRun: true, parity: "2+1" });
+        } finally {
+            setStorageBackend("local", { dir: workspace.storeDir, gateway: workspace.gateway.url });
+        }
+
+        assert.equal(plain.parity_chunks, 0);
+        assert.deepEqual(protectedPlan.parity, { k: 2, m: 1 });
+        assert.equal(protectedPlan.new_chunks, plain.new_chunks);
+        assert.equal(protectedPlan.parity_chunks, Math.ceil(plain.new_chunks / 2));
+        // 校验分片与条带内最长的分片一样大
+        assert.ok(protectedPlan.parity_bytes > 0 && protectedPlan.parity_bytes <= protectedPlan.parity_chunks * (512 * 1024 + 28));
+        assert.equal(protectedPlan.upload_bytes, plain.upload_bytes + protectedPlan.parity_bytes);
+        assert.ok(protectedPlan.over_free_tier > plain.over_free_tier, "parity shards of large stripes are billed");
+        assert.ok(BigInt(protectedPlan.cost.winc) > BigInt(plain.cost.winc));
+        assert.ok(!fs.existsSync("plan-parity.bin.dust"));
+    });
+
+    it("counts chunks that a sync would deduplicate", async () => {
+        const v1 = pseudoRandomBytes(300 * 1024, "plan-sync");
+        fs.writeFileSync("plan-sync.bin", v1);
+        await syncFileToDust("plan-sync.bin", PASSWORD, 32);
+
+        // 早期清单的密文摘要是 MD5：真正同步时会下载迁移，dry run 不应该下载任何分片
+        const legacy = JSON.parse(fs.readFileSync("plan-sync.bin.sync.dust", "utf8"));
+        const [entry] = Object.values(legacy.pool);
+        const stored = fs.readFileSync(path.join(workspace.storeDir, entry.url.slice(entry.url.lastIndexOf("/") + 1)));
+        entry.hash = crypto.createHash("md5").update(stored).digest("hex");
+        fs.writeFileSync("plan-sync.bin.sync.dust", JSON.stringify(legacy));
+        const manifestBefore = fs.readFileSync("plan-sync.bin.sync.dust");
+        workspace.gateway.requests.length = 0;
+
+        const unchanged = await syncFileToDust("plan-sync.bin", PASSWORD, 32, { dryRun: true });
+        assert.equal(unchanged.new_chunks, 0);
+        assert.equal(unchanged.bytes, v1.length);
+
+        fs.writeFileSync("plan-sync.bin", Buffer.concat([v1, Buffer.from("appended")]));
+        const report = await syncFileToDust("plan-sync.bin", PASSWORD, 32, { dryRun: true });
+        assert.ok(report.reused_chunks > 0);
+        assert.ok(report.new_chunks >= 1 && report.new_chunks <= 2);
+        assert.equal(report.over_free_tier, 0);
+        assert.equal(report.cost, null); // 本地后端没有报价
+        assert.ok(fs.readFileSync("plan-sync.bin.sync.dust").equals(manifestBefore));
+        assert.deepEqual(workspace.gateway.requests, []);
+    });
+});
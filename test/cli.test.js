@@ -0,0 +1,225 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { execFile } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+import { createWorkspace, pseudoRandomBytes } from "./workspace.js";
+
+const CLI = fileURLToPath(new URL("../filedust.js", import.meta.url));
+const PASSWORD = "cli-password";
+
+describe("filedust command line", () => {
+    let workspace;
+    let env;
+
+    // 子进程必须异步启动：本进程里的假网关要继续响应它的请求
+    const run = (args, extraEnv = {}) => new Promise((resolve) => {
+        execFile(process.execPath, [CLI, ...args], { cwd: workspace.dir, env: { ...env, ...extraEnv }, timeout: 60000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+    const runJson = async (args, extraEnv) => {
+        const res = await run([...args, "--json"], extraEnv);
+        return { ...res, result: JSON.parse(res.stdout) };
+    };
+
+    before(async () => {
+        workspace = await createWorkspace();
+        env = {
+            ...process.env,
+            FILEDUST_BACKEND: "local",
+            FILEDUST_LOCAL_DIR: workspace.storeDir,
+            FILEDUST_LOCAL_GATEWAY: workspace.gateway.url,
+            FILEDUST_GATEWAYS: workspace.gateway.url,
+            FILEDUST_PASSWORD: PASSWORD,
+        };
+    });
+
+    after(async () => {
+        await workspace.cleanup();
+    });
+
+    it("uploads, verifies and downloads to a chosen path with JSON output", async () => {
+        const original = pseudoRandomBytes(150 * 1024, "cli");
+        fs.writeFileSync("cli.bin", original);
+
+        const upload = await runJson(["upload", "cli.bin", "-s", "32", "-c", "2"]);
+        assert.equal(upload.code, 0, upload.stderr);
+        assert.deepEqual(upload.result.manifests, ["cli.bin.dust"]);
+
+        const verify = await runJson(["verify", "cli.bin.dust"]);
+        assert.equal(verify.code, 0, verify.stderr);
+        assert.equal(verify.result.ok, true);
+        assert.equal(verify.result.reports[0].failed.length, 0);
+
+        const output = path.join("out", "copy.bin");
+        assert.equal((await run(["download", "cli.bin.dust", "-o", output])).code, 1, "missing output directory is a runtime failure");
+        fs.mkdirSync("out");
+        const download = await runJson(["download", "cli.bin.dust", "-o", output]);
+        assert.equal(download.code, 0, download.stderr);
+        assert.equal(download.result.output, output);
+        assert.ok(fs.readFileSync(output).equals(original));
+    });
+
+    it("syncs versions, lists them and restores a chosen one", async () => {
+        const v1 = pseudoRandomBytes(80 * 1024, "cli-notes");
+        fs.writeFileSync("notes.bin", v1);
+        assert.equal((await run(["sync", "notes.bin", "-s", "32"])).code, 0);
+        fs.writeFileSync("notes.bin", Buffer.concat([v1, Buffer.from("v2")]));
+        assert.equal((await run(["sync", "notes.bin", "-s", "32"])).code, 0);
+
+        const log = await runJson(["log", "notes.bin.sync.dust"]);
+        assert.deepEqual(log.result.versions.map((v) => [v.version, v.status]), [[1, "completed"], [2, "completed"]]);
+
+        const restore = await runJson(["restore", "notes.bin.sync.dust", "--version", "1", "-o", "notes-v1.bin"]);
+        assert.equal(restore.code, 0, restore.stderr);
+        assert.ok(fs.readFileSync("notes-v1.bin").equals(v1));
+    });
+
+    it("keeps the recorded chunk size without warning unless a different one is requested", async () => {
+        const v1 = pseudoRandomBytes(100 * 1024, "cli-sized");
+        fs.writeFileSync("sized.bin", v1);
+        assert.equal((await run(["sync", "sized.bin", "-s", "32"])).code, 0);
+
+        fs.writeFileSync("sized.bin", Buffer.concat([v1, Buffer.from("v2")]));
+        const plain = await run(["sync", "sized.bin"]);
+        assert.equal(plain.code, 0, plain.stderr);
+        assert.doesNotMatch(plain.stderr, /切片参数/);
+        assert.equal(JSON.parse(fs.readFileSync("sized.bin.sync.dust", "utf8")).chunker.max_size, 32 * 1024);
+
+        fs.writeFileSync("sized.bin", Buffer.concat([v1, Buffer.from("v3")]));
+        const resized = await run(["sync", "sized.bin", "-s", "64"]);
+        assert.equal(resized.code, 0, resized.stderr);
+        assert.match(resized.stderr, /切片参数与同步清单记录不一致/);
+        assert.equal(JSON.parse(fs.readFileSync("sized.bin.sync.dust", "utf8")).chunker.max_size, 32 * 1024);
+    });
+
+    it("fails a restore that does not match the recorded hashes without leaving an output file", async () => {
+        // 篡改过的分片过不了密文校验
+        const manifest = JSON.parse(fs.readFileSync("notes.bin.sync.dust", "utf8"));
+        const { url } = manifest.pool[manifest.versions[0].chunks[0]];
+        const stored = path.join(workspace.storeDir, url.slice(url.lastIndexOf("/") + 1));
+        const original = fs.readFileSync(stored);
+        fs.writeFileSync(stored, "corrupted");
+        try {
+            const corrupt = await runJson(["restore", "notes.bin.sync.dust", "--version", "1", "-o", "corrupt.bin"]);
+            assert.notEqual(corrupt.code, 0);
+            assert.equal(corrupt.result.ok, false);
+            assert.ok(!fs.existsSync("corrupt.bin") && !fs.existsSync("corrupt.bin.tmp"));
+        } finally {
+            fs.writeFileSync(stored, original);
+        }
+
+        // 分片都完好，但整体 Hash 与记录不一致
+        const tampered = structuredClone(manifest);
+        tampered.versions[0].file_hash = "0".repeat(64);
+        fs.writeFileSync("tampered.sync.dust", JSON.stringify(tampered));
+        const mismatch = await runJson(["restore", "tampered.sync.dust", "--version", "1", "-o", "mismatch.bin"]);
+        assert.equal(mismatch.code, 4);
+        assert.ok(!fs.existsSync("mismatch.bin") && !fs.existsSync("mismatch.bin.tmp"));
+    });
+
+    it("migrates gateway-bound URLs in old manifests to transaction ids", async () => {
+        const original = pseudoRandomBytes(60 * 1024, "cli-legacy");
+        fs.writeFileSync("legacy.bin", original);
+        assert.equal((await run(["upload", "legacy.bin", "-s", "32"])).code, 0);
+
+        // 早期版本把上传时的网关 URL 直接写进星图
+        const manifest = JSON.parse(fs.readFileSync("legacy.bin.dust", "utf8"));
+        assert.ok(manifest.chunks.every((c) => c.url.startsWith("local://")));
+        for (const chunk of manifest.chunks) chunk.url = chunk.url.replace("local://", "https://v1.filedust.workers.dev/");
+        fs.writeFileSync("legacy.bin.dust", JSON.stringify(manifest));
+
+        const migrate = await runJson(["migrate", "legacy.bin.dust"]);
+        assert.equal(migrate.code, 0, migrate.stderr);
+        assert.deepEqual(migrate.result.migrated, [{ manifest: "legacy.bin.dust", locators: manifest.chunks.length }]);
+        const migrated = JSON.parse(fs.readFileSync("legacy.bin.dust", "utf8"));
+        assert.deepEqual(migrated.chunks.map((c) => c.url), manifest.chunks.map((c) => c.url.replace("https://v1.filedust.workers.dev/", "ar://")));
+        assert.deepEqual((await runJson(["migrate", "legacy.bin.dust"])).result.migrated[0].locators, 0);
+
+        assert.equal((await run(["download", "legacy.bin.dust", "-o", "legacy.copy"])).code, 0);
+        assert.ok(fs.readFileSync("legacy.copy").equals(original));
+    });
+
+    it("changes the password of manifests and the repository key with rekey", async () => {
+        const newPassword = { FILEDUST_NEW_PASSWORD: "cli-new-password" };
+        assert.equal((await run(["rekey"], newPassword)).code, 2);
+        assert.equal((await run(["rekey", "legacy.bin.dust"], { FILEDUST_NEW_PASSWORD: PASSWORD })).code, 2, "same password");
+        assert.equal((await run(["rekey", "legacy.bin.dust"], { FILEDUST_NEW_PASSWORD: "" })).code, 3);
+
+        const rekey = await runJson(["rekey", "legacy.bin.dust", "--repository"], newPassword);
+        assert.equal(rekey.code, 0, rekey.stderr);
+        assert.deepEqual(rekey.result, { ok: true, command: "rekey", manifests: ["legacy.bin.dust"], repository: true });
+        assert.equal((await run(["download", "legacy.bin.dust", "-o", "legacy.old"])).code, 3);
+        assert.equal((await run(["download", "legacy.bin.dust", "-o", "legacy.new"], { FILEDUST_PASSWORD: newPassword.FILEDUST_NEW_PASSWORD })).code, 0);
+        assert.ok(fs.readFileSync("legacy.new").equals(fs.readFileSync("legacy.bin")));
+
+        // 仓库密钥换回原密码，后面的用例继续用它上传
+        const back = await run(["rekey", "--repository", "--new-password-env", "OLD_PASSWORD"], {
+            FILEDUST_PASSWORD: newPassword.FILEDUST_NEW_PASSWORD,
+            OLD_PASSWORD: PASSWORD,
+        });
+        assert.equal(back.code, 0, back.stderr);
+    });
+
+    it("shares a manifest with a recipient who downloads it with a private key file", async () => {
+        const keygen = await runJson(["recipient", "keygen", "-o", "colleague.key"]);
+        assert.equal(keygen.code, 0, keygen.stderr);
+        assert.equal(fs.statSync("colleague.key").mode & 0o777, 0o600);
+        assert.equal((await run(["recipient", "keygen", "-o", "colleague.key"])).code, 2, "never overwrites a key");
+        fs.writeFileSync("colleague.pub", keygen.result.public_key);
+
+        const add = await runJson(["recipient", "add", "notes.bin.sync.dust", "colleague.pub", "--label", "colleague"]);
+        assert.equal(add.code, 0, add.stderr);
+        assert.equal(add.result.id, keygen.result.id);
+        const list = await runJson(["recipient", "list", "notes.bin.sync.dust"]);
+        assert.deepEqual(list.result.recipients, [{ id: keygen.result.id, public_key: keygen.result.public_key, label: "colleague" }]);
+
+        const asColleague = { FILEDUST_PASSWORD: "" };
+        const restore = await run(["restore", "notes.bin.sync.dust", "--version", "1", "-o", "shared-v1.bin", "--private-key", "colleague.key"], asColleague);
+        assert.equal(restore.code, 0, restore.stderr);
+        assert.ok(fs.readFileSync("shared-v1.bin").equals(fs.readFileSync("notes-v1.bin")));
+
+        assert.equal((await run(["recipient", "revoke", "notes.bin.sync.dust", "colleague"])).code, 0);
+        assert.equal((await run(["recipient", "revoke", "notes.bin.sync.dust", "colleague"])).code, 2);
+        assert.equal((await run(["log", "notes.bin.sync.dust", "--private-key", "colleague.key"], asColleague)).code, 3);
+    });
+
+    it("estimates an upload with --dry-run using an offline price", async () => {
+        fs.writeFileSync("big.bin", pseudoRandomBytes(400 * 1024, "cli-big"));
+        const plan = await runJson(["upload", "big.bin", "-s", "256", "--backend", "arweave", "--dry-run"], {
+            FILEDUST_PRICE_WINC_PER_GIB: String(1024 ** 3),
+        });
+        assert.equal(plan.code, 0, plan.stderr);
+        const [report] = plan.result.plans;
+        assert.equal(report.backend, "arweave");
+        assert.ok(report.over_free_tier > 0);
+        assert.equal(report.cost.source, "fixed");
+        assert.ok(Number(report.cost.winc) > 0);
+        assert.ok(!fs.existsSync("big.bin.dust"));
+    });
+
+    it("reports usage, password and integrity failures through exit codes", async () => {
+        assert.equal((await run(["frobnicate"])).code, 2);
+        assert.equal((await run(["restore"])).code, 2);
+        assert.equal((await run(["restore", "notes.bin.sync.dust", "--version", "zero"])).code, 2);
+
+        const wrong = await runJson(["download", "cli.bin.dust"], { FILEDUST_PASSWORD: "wrong-password" });
+        assert.equal(wrong.code, 3);
+        assert.equal(wrong.result.ok, false);
+        assert.equal((await run(["download", "cli.bin.dust"], { FILEDUST_PASSWORD: "" })).code, 3);
+
+        fs.writeFileSync("pw.txt", `${PASSWORD}\n`);
+        const manifest = JSON.parse(fs.readFileSync("cli.bin.dust", "utf8"));
+        const brokenId = manifest.chunks[0].url.slice(manifest.chunks[0].url.lastIndexOf("/") + 1);
+        fs.writeFileSync(path.join(workspace.storeDir, brokenId), "corrupted");
+        const verify = await runJson(["verify", "cli.bin.dust", "--password-file", "pw.txt"], { FILEDUST_PASSWORD: "" });
+        assert.equal(verify.code, 4);
+        assert.equal(verify.result.reports[0].failed[0].part, manifest.chunks[0].part);
+        assert.equal(verify.result.reports[0].failed[0].reason, "corrupt");
+        // --quick 只确认分片存在，篡改过的内容要 deep 才能发现
+        assert.equal((await run(["verify", "cli.bin.dust", "--quick"])).code, 0);
+    });
+});
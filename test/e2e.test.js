@@ -0,0 +1,327 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import crypto from "node:crypto";
+
+import { createWorkspace, pseudoRandomBytes } from "./workspace.js";
+import { uploadToDust } from "../FileDustUploader.js";
+import { downloadFromDust } from "../FileDustMerger.js";
+import { syncFileToDust, restoreFileSyncDust } from "../FileDustSync.js";
+import { decrypt, generateRecipientKeyPair } from "../CryptoUtils.js";
+import { getByLocator } from "../StorageBackend.js";
+import { openManifest, rekeyManifest, rekeyRepositoryKey, addRecipient, revokeRecipient } from "../ManifestFile.js";
+
+const PASSWORD = "test-password";
+
+describe("FileDust end-to-end (local backend + fake gateway)", () => {
+    let workspace;
+    let browser;
+    let browserUrl;
+    const original = pseudoRandomBytes(400 * 1024, "movie");
+
+    before(async () => {
+        workspace = await createWorkspace();
+        fs.writeFileSync("movie.bin", original);
+
+        // DustBrowser 在导入时按当前目录确定缓存位置，所以要在切换工作目录之后再导入
+        const { startDustBrowser } = await import("../DustBrowser.js");
+        browser = await startDustBrowser(PASSWORD, { port: 0 });
+        browserUrl = `http://127.0.0.1:${browser.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise((resolve) => browser.close(resolve));
+        await workspace.cleanup();
+    });
+
+    it("uploads, records chunk offsets and restores identical bytes", async () => {
+        const manifestName = await uploadToDust("movie.bin", PASSWORD, 32);
+        const manifest = JSON.parse(fs.readFileSync(manifestName, "utf8"));
+
+        assert.ok(manifest.chunks.length > 1);
+        let expectedOffset = 0;
+        for (const chunk of manifest.chunks) {
+            assert.equal(chunk.offset, expectedOffset);
+            // 星图只记录本地分片 ID，网关在读取时才拼出 URL
+            assert.ok(chunk.url.startsWith("local://"));
+            expectedOffset += chunk.size;
+        }
+        assert.equal(expectedOffset, original.length);
+        assert.ok(new Set(manifest.chunks.map((c) => c.size)).size > 1, "CDC should produce variable chunk sizes");
+
+        workspace.gateway.requests.length = 0;
+        await downloadFromDust(manifestName, PASSWORD);
+        assert.ok(fs.readFileSync("restored_movie.bin").equals(original));
+        assert.equal(workspace.gateway.requests.length, manifest.chunks.length);
+    });
+
+    it("resumes an interrupted download without refetching written chunks", async () => {
+        const manifest = JSON.parse(fs.readFileSync("movie.bin.dust", "utf8"));
+        const idOf = (chunk) => chunk.url.slice(chunk.url.lastIndexOf("/") + 1);
+        const brokenIndex = Math.floor(manifest.chunks.length / 2);
+
+        fs.rmSync("restored_movie.bin", { force: true });
+        workspace.gateway.unavailable.add(idOf(manifest.chunks[brokenIndex]));
+        await downloadFromDust("movie.bin.dust", PASSWORD);
+        assert.ok(fs.existsSync("restored_movie.bin.tmp"));
+        assert.ok(!fs.existsSync("restored_movie.bin"));
+
+        workspace.gateway.unavailable.clear();
+        workspace.gateway.requests.length = 0;
+        await downloadFromDust("movie.bin.dust", PASSWORD);
+
+        assert.ok(fs.readFileSync("restored_movie.bin").equals(original));
+        assert.ok(!fs.existsSync("restored_movie.bin.tmp.progress"));
+        assert.ok(!workspace.gateway.requests.includes(`GET ${idOf(manifest.chunks[0])}`));
+    });
+
+    it("streams arbitrary byte ranges across variable-size chunks", async () => {
+        const full = await fetch(`${browserUrl}/stream?m=movie.bin.dust`);
+        assert.equal(full.status, 200);
+        assert.ok(Buffer.from(await full.arrayBuffer()).equals(original));
+
+        const ranges = [[0, 99], [70000, 150000], [original.length - 10, original.length - 1], [123456, 123456]];
+        for (const [start, end] of ranges) {
+            const res = await fetch(`${browserUrl}/stream?m=movie.bin.dust`, { headers: { Range: `bytes=${start}-${end}` } });
+            assert.equal(res.status, 206);
+            assert.equal(res.headers.get("content-range"), `bytes ${start}-${end}/${original.length}`);
+            assert.ok(Buffer.from(await res.arrayBuffer()).equals(original.subarray(start, end + 1)));
+        }
+
+        const suffix = await fetch(`${browserUrl}/stream?m=movie.bin.dust`, { headers: { Range: "bytes=-500" } });
+        assert.ok(Buffer.from(await suffix.arrayBuffer()).equals(original.subarray(original.length - 500)));
+
+        const unsatisfiable = await fetch(`${browserUrl}/stream?m=movie.bin.dust`, { headers: { Range: `bytes=${original.length}-` } });
+        assert.equal(unsatisfiable.status, 416);
+    });
+
+    it("re-opens a streamed manifest once the file has been rewritten", async () => {
+        const first = pseudoRandomBytes(150 * 1024, "clip-1");
+        fs.writeFileSync("clip.bin", first);
+        await uploadToDust("clip.bin", PASSWORD, 32);
+        const before = await fetch(`${browserUrl}/stream?m=clip.bin.dust`, { headers: { Range: "bytes=0-" } });
+        assert.ok(Buffer.from(await before.arrayBuffer()).equals(first));
+
+        // 同名文件换了内容重新上传后，浏览器不能继续用缓存里的旧星图和旧分片
+        const second = pseudoRandomBytes(210 * 1024, "clip-2");
+        fs.writeFileSync("clip.bin", second);
+        await uploadToDust("clip.bin", PASSWORD, 32);
+        const after = await fetch(`${browserUrl}/stream?m=clip.bin.dust`, { headers: { Range: "bytes=0-" } });
+        assert.equal(after.headers.get("content-range"), `bytes 0-${second.length - 1}/${second.length}`);
+        assert.ok(Buffer.from(await after.arrayBuffer()).equals(second));
+    });
+
+    it("syncs versions with cross-version dedupe and restores each one", async () => {
+        const v1 = pseudoRandomBytes(300 * 1024, "notes");
+        const v2 = Buffer.concat([v1.subarray(0, 150 * 1024), Buffer.from("inserted in the middle"), v1.subarray(150 * 1024)]);
+
+        fs.writeFileSync("notes.bin", v1);
+        const manifestName = await syncFileToDust("notes.bin", PASSWORD, 32);
+        const poolAfterV1 = Object.keys(JSON.parse(fs.readFileSync(manifestName, "utf8")).pool).length;
+
+        fs.writeFileSync("notes.bin", v2);
+        await syncFileToDust("notes.bin", PASSWORD, 32);
+        const manifest = JSON.parse(fs.readFileSync(manifestName, "utf8"));
+
+        assert.equal(manifest.versions.length, 2);
+        assert.ok(manifest.versions.every((v) => v.status === "completed"));
+        const newChunks = Object.keys(manifest.pool).length - poolAfterV1;
+        assert.ok(newChunks < manifest.versions[1].chunks.length / 2, `expected dedupe, got ${newChunks} new chunks`);
+
+        assert.ok(fs.readFileSync(await restoreFileSyncDust(manifestName, 1, PASSWORD)).equals(v1));
+        assert.ok(fs.readFileSync(await restoreFileSyncDust(manifestName, null, PASSWORD)).equals(v2));
+    });
+
+    it("streams a chosen version of a sync manifest", async () => {
+        const v1 = pseudoRandomBytes(300 * 1024, "notes");
+        for (const [version, expected] of [[1, v1], [2, fs.readFileSync("notes.bin")]]) {
+            const res = await fetch(`${browserUrl}/stream?m=notes.bin.sync.dust&v=${version}`, { headers: { Range: "bytes=100000-200000" } });
+            assert.equal(res.status, 206);
+            assert.ok(Buffer.from(await res.arrayBuffer()).equals(expected.subarray(100000, 200001)));
+        }
+
+        const page = await (await fetch(`${browserUrl}/`)).text();
+        assert.match(page, /view\?m=notes\.bin\.sync\.dust&v=2/);
+    });
+
+    it("migrates MD5 chunk ids of old sync manifests to HMAC-SHA256", async () => {
+        const md5 = (buf) => crypto.createHash("md5").update(buf).digest("hex");
+        const v1 = pseudoRandomBytes(200 * 1024, "legacy-ids");
+        fs.writeFileSync("ids.bin", v1);
+        const manifestName = await syncFileToDust("ids.bin", PASSWORD, 32);
+
+        // 把清单改写成旧格式：pool 键为明文 MD5，hash 为密文 MD5
+        const { key } = await openManifest(manifestName, PASSWORD);
+        const manifest = JSON.parse(fs.readFileSync(manifestName, "utf8"));
+        const legacyPool = {};
+        const rename = {};
+        for (const [id, entry] of Object.entries(manifest.pool)) {
+            const buf = await getByLocator(entry.url);
+            const legacyId = md5(await decrypt(buf, key, { autoJson: false }));
+            legacyPool[legacyId] = { hash: md5(buf), url: entry.url };
+            rename[id] = legacyId;
+        }
+        manifest.pool = legacyPool;
+        manifest.versions[0].chunks = manifest.versions[0].chunks.map((id) => rename[id]);
+        fs.writeFileSync(manifestName, JSON.stringify(manifest));
+
+        const v2 = Buffer.concat([v1, Buffer.from("tail")]);
+        fs.writeFileSync("ids.bin", v2);
+        await syncFileToDust("ids.bin", PASSWORD, 32);
+
+        const migrated = JSON.parse(fs.readFileSync(manifestName, "utf8"));
+        const legacyIds = new Set(Object.keys(legacyPool));
+        for (const [id, entry] of Object.entries(migrated.pool)) {
+            assert.match(id, /^[0-9a-f]{64}$/);
+            assert.match(entry.hash, /^[0-9a-f]{64}$/);
+            assert.ok(!legacyIds.has(id));
+        }
+        assert.ok(migrated.versions.every((v) => v.chunks.every((id) => migrated.pool[id])));
+        assert.ok(fs.readFileSync(await restoreFileSyncDust(manifestName, 1, PASSWORD)).equals(v1));
+        assert.ok(fs.readFileSync(await restoreFileSyncDust(manifestName, 2, PASSWORD)).equals(v2));
+    });
+
+    it("writes encrypted manifests that only the password opens", async () => {
+        const secret = pseudoRandomBytes(150 * 1024, "secret");
+        fs.writeFileSync("secret-plans.bin", secret);
+        const manifestName = await uploadToDust("secret-plans.bin", PASSWORD, 32, { encryptManifest: true });
+
+        const onDisk = fs.readFileSync(manifestName, "utf8");
+        const header = JSON.parse(onDisk);
+        assert.deepEqual(Object.keys(header).sort(), ["data_key", "format", "kdf", "payload", "version"]);
+        assert.ok(!onDisk.includes("secret-plans"));
+        assert.ok(!onDisk.includes("local://"));
+
+        await assert.rejects(downloadFromDust(manifestName, "wrong-password"), /密码错误/);
+        await downloadFromDust(manifestName, PASSWORD);
+        assert.ok(fs.readFileSync("restored_secret-plans.bin").equals(secret));
+
+        // 再次上传时沿用加密格式，且不会重新上传任何分片
+        const before = fs.readdirSync(workspace.storeDir).length;
+        await uploadToDust("secret-plans.bin", PASSWORD, 32);
+        assert.ok(JSON.parse(fs.readFileSync(manifestName, "utf8")).payload);
+        assert.equal(fs.readdirSync(workspace.storeDir).length, before);
+
+        const res = await fetch(`${browserUrl}/stream?m=${manifestName}`, { headers: { Range: "bytes=1000-99999" } });
+        assert.equal(res.status, 206);
+        assert.ok(Buffer.from(await res.arrayBuffer()).equals(secret.subarray(1000, 100000)));
+    });
+
+    it("syncs into an encrypted sync manifest and restores from it", async () => {
+        const v1 = pseudoRandomBytes(120 * 1024, "diary");
+        fs.writeFileSync("diary.bin", v1);
+        const manifestName = await syncFileToDust("diary.bin", PASSWORD, 32, { encryptManifest: true });
+        const v2 = Buffer.concat([v1, Buffer.from("one more entry")]);
+        fs.writeFileSync("diary.bin", v2);
+        await syncFileToDust("diary.bin", PASSWORD, 32);
+
+        const onDisk = fs.readFileSync(manifestName, "utf8");
+        assert.ok(!onDisk.includes("diary"));
+        await assert.rejects(syncFileToDust("diary.bin", "wrong-password", 32), /密码错误/);
+        assert.equal(fs.readFileSync(manifestName, "utf8"), onDisk);
+
+        assert.ok(fs.readFileSync(await restoreFileSyncDust(manifestName, 1, PASSWORD)).equals(v1));
+        assert.ok(fs.readFileSync(await restoreFileSyncDust(manifestName, 2, PASSWORD)).equals(v2));
+    });
+
+    it("derives keys from the KDF parameters recorded in the manifest", async () => {
+        const manifest = JSON.parse(fs.readFileSync("movie.bin.dust", "utf8"));
+        const { salt } = JSON.parse(fs.readFileSync("salt.json", "utf8"));
+        assert.equal(manifest.kdf.name, "scrypt");
+        assert.equal(manifest.kdf.salt, salt);
+        assert.deepEqual([manifest.kdf.N, manifest.kdf.r, manifest.kdf.p], [16384, 8, 1]);
+
+        // 换一个没有 salt.json 的目录还原
+        fs.mkdirSync("elsewhere", { recursive: true });
+        fs.copyFileSync("movie.bin.dust", "elsewhere/movie.bin.dust");
+        process.chdir("elsewhere");
+        try {
+            await assert.rejects(downloadFromDust("movie.bin.dust", "wrong-password"), /密码错误/);
+            await downloadFromDust("movie.bin.dust", PASSWORD);
+            assert.ok(fs.readFileSync("restored_movie.bin").equals(original));
+            assert.ok(!fs.existsSync("salt.json"));
+        } finally {
+            process.chdir(workspace.dir);
+        }
+    });
+
+    it("changes the password by rewrapping data keys without touching chunks", async () => {
+        const storedBefore = fs.readdirSync(workspace.storeDir).sort();
+        const newPassword = "brand-new-password";
+
+        for (const name of ["movie.bin.dust", "notes.bin.sync.dust", "secret-plans.bin.dust"]) {
+            const { key: before } = await openManifest(name, PASSWORD);
+            await rekeyManifest(name, PASSWORD, newPassword);
+            const { key: after } = await openManifest(name, newPassword);
+            assert.ok(after.equals(before));
+            await assert.rejects(openManifest(name, PASSWORD), /密码错误/);
+        }
+        assert.ok(await rekeyRepositoryKey(PASSWORD, newPassword));
+
+        fs.rmSync("restored_movie.bin", { force: true });
+        await downloadFromDust("movie.bin.dust", newPassword);
+        assert.ok(fs.readFileSync("restored_movie.bin").equals(original));
+        assert.ok(fs.readFileSync(await restoreFileSyncDust("notes.bin.sync.dust", 1, newPassword)).equals(pseudoRandomBytes(300 * 1024, "notes")));
+        assert.deepEqual(fs.readdirSync(workspace.storeDir).sort(), storedBefore);
+
+        // 新密码继续使用同一把仓库数据密钥，跨文件去重照常生效
+        fs.writeFileSync("movie-copy.bin", original);
+        await uploadToDust("movie-copy.bin", newPassword, 32);
+        assert.deepEqual(fs.readdirSync(workspace.storeDir).sort(), storedBefore);
+    });
+
+    it("shares manifests with recipients who open them with a private key", async () => {
+        const password = "brand-new-password";
+        const colleague = generateRecipientKeyPair();
+        const stranger = generateRecipientKeyPair();
+
+        const { key: repositoryKey } = await openManifest("movie.bin.dust", password);
+        const id = await addRecipient("secret-plans.bin.dust", password, colleague.publicKey, { label: "colleague" });
+        await addRecipient("notes.bin.sync.dust", password, colleague.publicKey);
+        const header = JSON.parse(fs.readFileSync("secret-plans.bin.dust", "utf8"));
+        assert.deepEqual(header.recipients.map((r) => Object.keys(r).sort()), [["epk", "id", "wrapped_key"]]);
+        assert.equal(header.recipients[0].id, id);
+        assert.ok(!JSON.stringify(header).includes("secret-plans"));
+        assert.ok(!JSON.stringify(header).includes("colleague"));
+
+        // 分享出去的是星图自己的数据密钥，不是仓库共用的那一把
+        for (const name of ["secret-plans.bin.dust", "notes.bin.sync.dust"]) {
+            const { manifest, key } = await openManifest(name, password);
+            assert.equal(manifest.data_key_scope, "manifest");
+            assert.ok(!key.equals(repositoryKey));
+        }
+        const { key: sharedKey } = await openManifest("secret-plans.bin.dust", password);
+
+        // 同事的目录里没有 salt.json，也不知道密码
+        fs.mkdirSync("colleague", { recursive: true });
+        fs.copyFileSync("secret-plans.bin.dust", "colleague/secret-plans.bin.dust");
+        fs.copyFileSync("notes.bin.sync.dust", "colleague/notes.bin.sync.dust");
+        process.chdir("colleague");
+        try {
+            const { manifest } = await openManifest("secret-plans.bin.dust", { privateKey: colleague.privateKey });
+            await downloadFromDust("secret-plans.bin.dust", { privateKeys: [stranger.privateKey, colleague.privateKey] });
+            assert.equal(fs.readFileSync(`restored_${manifest.filename}`).length, manifest.total_size);
+            const notes = await restoreFileSyncDust("notes.bin.sync.dust", 1, { privateKey: colleague.privateKey });
+            assert.ok(fs.readFileSync(notes).equals(pseudoRandomBytes(300 * 1024, "notes")));
+            await assert.rejects(openManifest("secret-plans.bin.dust", { privateKey: stranger.privateKey }), /没有与所给私钥匹配/);
+        } finally {
+            process.chdir(workspace.dir);
+        }
+
+        // 改密码不影响接收者；撤销后私钥不再能打开星图，密码照常可用
+        await rekeyManifest("secret-plans.bin.dust", password, PASSWORD);
+        await openManifest("secret-plans.bin.dust", { privateKey: colleague.privateKey });
+        assert.ok(await revokeRecipient("secret-plans.bin.dust", PASSWORD, "colleague"));
+        assert.ok(!(await revokeRecipient("secret-plans.bin.dust", PASSWORD, id)));
+        await assert.rejects(openManifest("secret-plans.bin.dust", { privateKey: colleague.privateKey }), /没有与所给私钥匹配/);
+        assert.ok(!("recipients" in JSON.parse(fs.readFileSync("secret-plans.bin.dust", "utf8"))));
+
+        // 撤销后换了数据密钥，被撤销者手里的旧密钥解不开星图现在引用的分片
+        const { manifest, key } = await openManifest("secret-plans.bin.dust", PASSWORD);
+        assert.ok(!key.equals(sharedKey));
+        await assert.rejects(decrypt(await getByLocator(manifest.chunks[0].url), sharedKey, { autoJson: false }), /解密失败/);
+        fs.rmSync(`restored_${manifest.filename}`, { force: true });
+        await downloadFromDust("secret-plans.bin.dust", PASSWORD);
+        assert.equal(fs.readFileSync(`restored_${manifest.filename}`).length, manifest.total_size);
+    });
+});
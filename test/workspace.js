@@ -0,0 +1,56 @@
+import { mkdtemp, mkdir, rm } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import crypto from "node:crypto";
+
+import { setStorageBackend } from "../StorageBackend.js";
+import { startFakeGateway } from "../FakeGateway.js";
+import { configureGateways, resetGatewayStats } from "../GatewayPool.js";
+
+// 每个测试文件一个临时工作目录：manifest、salt.json、还原文件都写在这里，
+// 分片存进本地内容寻址目录，并通过本地假网关以 Turbo 风格的 URL 读回。
+export const createWorkspace = async () => {
+    const originalCwd = process.cwd();
+    const dir = await mkdtemp(path.join(os.tmpdir(), "filedust-test-"));
+    process.chdir(dir);
+
+    const storeDir = path.join(dir, "dust_store");
+    await mkdir(storeDir, { recursive: true });
+    const gateway = await startFakeGateway({ dir: storeDir });
+    const backend = setStorageBackend("local", { dir: storeDir, gateway: gateway.url });
+    // 只从本地假网关读取，不访问公网网关
+    configureGateways({ gateways: [gateway.url] });
+    resetGatewayStats();
+
+    // 各模块日志很多，默认静音；FILEDUST_TEST_VERBOSE=1 时保留
+    const originalConsole = { log: console.log, warn: console.warn };
+    if (!process.env.FILEDUST_TEST_VERBOSE) {
+        console.log = () => { };
+        console.warn = () => { };
+    }
+
+    return {
+        dir,
+        storeDir,
+        gateway,
+        backend,
+        cleanup: async () => {
+            Object.assign(console, originalConsole);
+            await gateway.close();
+            configureGateways({ gateways: null });
+            process.chdir(originalCwd);
+            await rm(dir, { recursive: true, force: true });
+        },
+    };
+};
+
+// 可复现的伪随机内容，CDC 切出的分片大小各不相同
+export const pseudoRandomBytes = (size, seed = "filedust") => {
+    const out = Buffer.alloc(size);
+    let counter = 0;
+    for (let offset = 0; offset < size; offset += 32) {
+        const block = crypto.createHash("sha256").update(`${seed}:${counter++}`).digest();
+        block.copy(out, offset, 0, Math.min(32, size - offset));
+    }
+    return out;
+};
@@ -1,9 +1,11 @@
 import { syncFileToDust, restoreFileSyncDust } from "./FileDustSync.js";
+import { requirePassword } from "./PasswordProvider.js";
 import fs from "fs";
 
 async function main() {
     const filePath = "test.md";
-    const password = "my_super_secret_password";
+    // 演示脚本同样没有内置密码：从 FILEDUST_PASSWORD 读取或在终端中输入
+    const password = await requirePassword();
 
     // 初始化文件 (如果不存在则创建一个小的测试文件)
     if (!fs.existsSync(filePath)) {